@@ -0,0 +1,35 @@
+const fs = require("fs");
+const path = require("path");
+
+//Load the role/permission matrix
+//Roles can be added or changed in roles.json (or the file in ROLES_CONFIG) without code changes
+//Each role has a list of permissions like "bootcamp:update:any", "*" grants everything and "review:*" grants every review permission
+//Roles with "register": true can be picked by users when they register
+
+const rolesPath =
+  process.env.ROLES_CONFIG || path.join(__dirname, "roles.json");
+
+const roles = JSON.parse(fs.readFileSync(rolesPath, "utf-8"));
+
+//Check if a single granted permission covers the requested one
+const matchesPermission = (granted, permission) =>
+  granted === "*" ||
+  granted === permission ||
+  (granted.endsWith(":*") && permission.startsWith(granted.slice(0, -1)));
+
+//Check if a role has a permission
+const hasPermission = (role, permission) =>
+  !!roles[role] &&
+  roles[role].permissions.some((granted) =>
+    matchesPermission(granted, permission)
+  );
+
+//Check if a role can be chosen when registering
+const canRegisterAs = (role) => !!roles[role] && !!roles[role].register;
+
+module.exports = {
+  roles: Object.keys(roles),
+  hasPermission,
+  canRegisterAs,
+  matchesPermission,
+};
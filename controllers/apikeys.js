@@ -0,0 +1,93 @@
+const ErrorResponse = require("../utils/errorResponse");
+const asyncHandler = require("../middleware/async");
+const ApiKey = require("../models/ApiKey");
+const Bootcamp = require("../models/Bootcamp");
+
+//@desc:     Get API keys of the logged in user
+//@route:    GET   /api/v1/auth/apikeys
+//@access:   Private
+
+exports.getApiKeys = asyncHandler(async (req, res, next) => {
+  const apiKeys = await ApiKey.find({ user: req.user.id }).sort("-createdAt");
+
+  res.status(200).json({ success: true, count: apiKeys.length, data: apiKeys });
+});
+
+//@desc:     Create API key
+//@route:    POST   /api/v1/auth/apikeys
+//@access:   Private
+
+exports.createApiKey = asyncHandler(async (req, res, next) => {
+  const { name, scopes, bootcamp } = req.body;
+
+  //Expiry in days (Defaults to 90, at most API_KEY_MAX_EXPIRE days)
+  const maxExpire = parseInt(process.env.API_KEY_MAX_EXPIRE, 10) || 365;
+  const expiresIn = parseInt(req.body.expiresIn, 10) || 90;
+
+  if (expiresIn < 1 || expiresIn > maxExpire) {
+    return next(
+      new ErrorResponse(
+        `API keys have to expire within 1 to ${maxExpire} days`,
+        400
+      )
+    );
+  }
+
+  //A key can only be limited to a bootcamp the user manages
+  if (bootcamp) {
+    const limitedBootcamp = await Bootcamp.findById(bootcamp);
+
+    if (!limitedBootcamp) {
+      return next(
+        new ErrorResponse(`No bootcamp with the id of ${bootcamp}`, 404)
+      );
+    }
+
+    if (
+      !(await limitedBootcamp.isManagedBy(req.user.id)) &&
+      !req.user.hasPermission("bootcamp:update:any")
+    ) {
+      return next(
+        new ErrorResponse(
+          `User ${req.user.id} is not authorized to create a key for bootcamp ${bootcamp}`,
+          401
+        )
+      );
+    }
+  }
+
+  const apiKey = new ApiKey({
+    name,
+    scopes,
+    bootcamp,
+    expiresAt: Date.now() + expiresIn * 24 * 60 * 60 * 1000,
+    user: req.user.id,
+  });
+
+  //The plain key is only returned once
+  const key = apiKey.generateKey();
+  await apiKey.save();
+
+  res.status(201).json({ success: true, key, data: apiKey });
+});
+
+//@desc:     Delete API key
+//@route:    DELETE   /api/v1/auth/apikeys/:id
+//@access:   Private
+
+exports.deleteApiKey = asyncHandler(async (req, res, next) => {
+  const apiKey = await ApiKey.findOne({
+    _id: req.params.id,
+    user: req.user.id,
+  });
+
+  if (!apiKey) {
+    return next(
+      new ErrorResponse(`No API key with the id of ${req.params.id}`, 404)
+    );
+  }
+
+  await apiKey.deleteOne();
+
+  res.status(200).json({ success: true, data: {} });
+});
@@ -1,8 +1,16 @@
 const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
 const ErrorResponse = require("../utils/errorResponse");
 const asyncHandler = require("../middleware/async");
 const sendEmail = require("../utils/sendEmail");
+const getDevice = require("../utils/getDevice");
+const totp = require("../utils/totp");
+const oidc = require("../utils/oidc");
+const { generateCsrfToken, csrfTokenMatches } = require("../utils/csrf");
 const User = require("../models/User");
+const Session = require("../models/Session");
+const { canRegisterAs } = require("../config/roles");
+const { checkPassword } = require("../utils/passwordPolicy");
 
 //@desc:     Register user
 //@route:    POST   /api/v1/auth/register
@@ -12,6 +20,20 @@ exports.register = asyncHandler(async (req, res, next) => {
   const { name, email, password, role } = req.body;
   console.log("Request body is", req.body);
 
+  //Roles like admin can only be given by an admin
+  if (role && !canRegisterAs(role)) {
+    return next(
+      new ErrorResponse(`Role ${role} can not be chosen on registration`, 400)
+    );
+  }
+
+  //Check password against the password policy
+  const passwordErrors = await checkPassword(password);
+
+  if (passwordErrors.length > 0) {
+    return next(new ErrorResponse(passwordErrors.join(", "), 400));
+  }
+
   console.log("Creating User");
   //Create user
   const user = await User.create({
@@ -21,7 +43,14 @@ exports.register = asyncHandler(async (req, res, next) => {
     role,
   });
 
-  sendTokenResponse(user, 201, res);
+  //Registration still succeeds if the email fails, the user can ask for a new one
+  try {
+    await sendVerificationEmail(user, req);
+  } catch (error) {
+    console.log(error);
+  }
+
+  await sendTokenResponse(user, 201, req, res);
 });
 
 //@desc:     Login user
@@ -45,47 +74,206 @@ exports.login = asyncHandler(async (req, res, next) => {
     return next(new ErrorResponse(`Invalid credentials`, 401));
   }
 
+  //Locked accounts can not log in, even with the right password
+  if (user.isLocked()) {
+    return next(lockedError(user));
+  }
+
   //Check if password matches using method defined in User.js (models folder)
   const isMatch = await user.matchPassword(password);
 
   if (!isMatch) {
+    if (await user.registerFailedLogin()) {
+      await sendLockoutEmail(user);
+      return next(lockedError(user));
+    }
+
     return next(new ErrorResponse(`Invalid credentials`, 401));
   }
 
-  sendTokenResponse(user, 200, res);
+  await sendLoginResponse(user, req, res);
 });
 
+//Finish a login once the first factor (Password, magic link or OIDC provider) checks out
+//With 2FA on, the user only gets a challenge token which has to be exchanged with a code
+const sendLoginResponse = async (user, req, res) => {
+  if (user.twoFactorEnabled) {
+    return res.status(200).json({
+      success: true,
+      twoFactorRequired: true,
+      challengeToken: user.getTwoFactorChallengeToken(),
+    });
+  }
+
+  await user.resetFailedLogins();
+
+  await sendTokenResponse(user, 200, req, res);
+};
+
+//Error returned while an account is locked
+const lockedError = (user) => {
+  const minutes = Math.ceil((user.lockUntil - Date.now()) / (60 * 1000));
+
+  return new ErrorResponse(
+    `Account is locked because of too many failed logins, please try again after ${minutes} minutes`,
+    423
+  );
+};
+
+//Let the owner know their account was locked (Someone may be guessing their password)
+const sendLockoutEmail = async (user) => {
+  const message = `Your account has been locked until ${new Date(
+    user.lockUntil
+  ).toUTCString()} because of too many failed login attempts. If this was not you, please reset your password once the account is unlocked.`;
+
+  try {
+    await sendEmail({
+      email: user.email,
+      subject: "Account locked",
+      message: message,
+    });
+  } catch (error) {
+    console.log(error);
+  }
+};
+
 //Get token from model, create cookie and send response
-const sendTokenResponse = (user, statusCode, res) => {
-  //Create token
-  const token = user.getSignedJwtToken();
+//A new session is started unless an existing one is passed in (refresh token rotation)
+const sendTokenResponse = async (user, statusCode, req, res, session) => {
+  if (!session) {
+    session = new Session({
+      user: user._id,
+      device: getDevice(req.get("user-agent")),
+      userAgent: req.get("user-agent"),
+      ip: req.ip,
+    });
+  }
+
+  //Create refresh token (Rotates the previous one if the session already had one)
+  const refreshToken = session.getRefreshToken();
+  session.lastSeenAt = Date.now();
+  await session.save();
+
+  //Create access token
+  const token = user.getSignedJwtToken(session._id);
+
+  //CSRF token for cookie based auth (Readable by the front end, so not httpOnly)
+  const csrfToken = generateCsrfToken();
+
+  const options = cookieOptions(
+    new Date(Date.now() + process.env.JWT_COOKIE_EXPIRE * 24 * 60 * 60 * 1000)
+  );
+
+  res
+    .status(statusCode)
+    .cookie("token", token, options)
+    .cookie("refreshToken", refreshToken, {
+      ...cookieOptions(session.expiresAt),
+      path: "/api/v1/auth", //Refresh token is only needed by the auth routes
+    })
+    .cookie("csrfToken", csrfToken, { ...options, httpOnly: false })
+    .json({ success: true, token, refreshToken, csrfToken });
+};
+
+//Options for the auth cookies
+//COOKIE_SAME_SITE can be set to "none" when the front end is served from another site (Cookies are then always secure)
+const cookieOptions = (expires) => {
+  const sameSite = process.env.COOKIE_SAME_SITE || "strict";
 
   const options = {
-    expires: new Date(
-      Date.now() + process.env.JWT_COOKIE_EXPIRE * 24 * 60 * 60 * 1000
-    ),
+    expires: expires,
     httpOnly: true,
+    sameSite: sameSite,
   };
 
-  if (process.env.NODE_ENV === "production") {
+  if (process.env.NODE_ENV === "production" || sameSite === "none") {
     options.secure = true;
   }
 
-  res
-    .status(statusCode)
-    .cookie("token", token, options)
-    .json({ success: true, token });
+  return options;
 };
 
-//@desc:     Log user out / clear cookie
+//@desc:     Get new access token using a refresh token
+//@route:    POST   /api/v1/auth/refresh
+//@access:   Public
+
+exports.refresh = asyncHandler(async (req, res, next) => {
+  let refreshToken = req.body.refreshToken;
+
+  //In cookie mode the refresh token cookie can be used, but only with a CSRF token
+  if (
+    !refreshToken &&
+    process.env.COOKIE_AUTH === "true" &&
+    req.cookies.refreshToken
+  ) {
+    if (!csrfTokenMatches(req)) {
+      return next(new ErrorResponse(`Invalid CSRF token`, 403));
+    }
+
+    refreshToken = req.cookies.refreshToken;
+  }
+
+  if (!refreshToken) {
+    return next(new ErrorResponse(`Please provide a refresh token`, 400));
+  }
+
+  const refreshTokenHash = Session.hashToken(refreshToken);
+
+  const session = await Session.findOne({ refreshTokenHash }).select(
+    "+refreshTokenHash +usedTokenHashes"
+  );
+
+  if (!session) {
+    //A token that was already rotated is being reused, so it may have been stolen
+    //Revoke the whole session (token family) to log out both parties
+    const reusedSession = await Session.findOne({
+      usedTokenHashes: refreshTokenHash,
+    });
+
+    if (reusedSession) {
+      reusedSession.revokedAt = Date.now();
+      await reusedSession.save();
+
+      return next(
+        new ErrorResponse(
+          `Refresh token reuse detected, please log in again`,
+          401
+        )
+      );
+    }
+
+    return next(new ErrorResponse(`Invalid refresh token`, 401));
+  }
+
+  if (!session.isActive()) {
+    return next(new ErrorResponse(`Invalid refresh token`, 401));
+  }
+
+  const user = await User.findById(session.user);
+
+  if (!user) {
+    return next(new ErrorResponse(`Invalid refresh token`, 401));
+  }
+
+  await sendTokenResponse(user, 200, req, res, session);
+});
+
+//@desc:     Log user out / revoke session / clear cookie
 //@route:    GET   /api/v1/auth/logout
 //@access:   Private
 
 exports.logout = asyncHandler(async (req, res, next) => {
-  res.cookie("token", "none", {
-    expires: new Date(Date.now() + 10 * 1000),
-    httpOnly: true,
-  });
+  //Revoke the session the access token belongs to
+  req.session.revokedAt = Date.now();
+  await req.session.save();
+
+  const options = cookieOptions(new Date(Date.now() + 10 * 1000));
+
+  res.cookie("token", "none", options);
+
+  res.cookie("refreshToken", "none", { ...options, path: "/api/v1/auth" });
+
+  res.cookie("csrfToken", "none", { ...options, httpOnly: false });
 
   res.status(200).json({ success: true, data: {} });
 });
@@ -107,14 +295,31 @@ exports.getMe = asyncHandler(async (req, res, next) => {
 exports.updateDetails = asyncHandler(async (req, res, next) => {
   const fieldsToUpdate = {
     name: req.body.name,
-    email: req.body.email,
   };
 
+  const emailChanged = req.body.email && req.body.email !== req.user.email;
+
+  if (emailChanged && (await User.findOne({ email: req.body.email }))) {
+    return next(new ErrorResponse(`Duplicate field value entered`, 400));
+  }
+
   const user = await User.findByIdAndUpdate(req.user.id, fieldsToUpdate, {
     new: true,
     runValidators: true,
   });
 
+  //A changed email only takes effect once the new address is confirmed
+  if (emailChanged) {
+    user.pendingEmail = req.body.email;
+
+    try {
+      await sendVerificationEmail(user, req);
+    } catch (error) {
+      console.log(error);
+      return next(new ErrorResponse(`Email could not be sent`, 500));
+    }
+  }
+
   res.status(200).json({ success: true, data: user });
 });
 
@@ -123,17 +328,36 @@ exports.updateDetails = asyncHandler(async (req, res, next) => {
 //@access:   Private
 
 exports.updatePassword = asyncHandler(async (req, res, next) => {
-  const user = await User.findById(req.user.id).select("+password");
+  const user = await User.findById(req.user.id).select(
+    "+password +passwordHistory"
+  );
 
   //Check current password
   if (!(await user.matchPassword(req.body.currentPassword))) {
     return next(new ErrorResponse(`Password is incorrect`, 401));
   }
 
+  //Check new password against the password policy (Including reuse of previous passwords)
+  const passwordErrors = await checkPassword(req.body.newPassword, user);
+
+  if (passwordErrors.length > 0) {
+    return next(new ErrorResponse(passwordErrors.join(", "), 400));
+  }
+
   user.password = req.body.newPassword;
   await user.save();
 
-  sendTokenResponse(user, 200, res);
+  //Sign out everywhere else, the current session gets a new refresh token
+  await Session.revokeAll(user._id, req.session && req.session._id);
+
+  //protect loads the session without the token hashes, they are needed to rotate the refresh token (Reuse detection)
+  const session =
+    req.session &&
+    (await Session.findById(req.session._id).select(
+      "+refreshTokenHash +usedTokenHashes"
+    ));
+
+  await sendTokenResponse(user, 200, req, res, session || undefined);
 });
 
 //@desc:     Forgot password
@@ -194,12 +418,19 @@ exports.resetPassword = asyncHandler(async (req, res, next) => {
   const user = await User.findOne({
     resetPasswordToken,
     resetPasswordExpire: { $gt: Date.now() },
-  });
+  }).select("+password +passwordHistory");
 
   if (!user) {
     return next(new ErrorResponse(`Invalid token`, 400));
   }
 
+  //Check new password against the password policy (Including reuse of previous passwords)
+  const passwordErrors = await checkPassword(req.body.password, user);
+
+  if (passwordErrors.length > 0) {
+    return next(new ErrorResponse(passwordErrors.join(", "), 400));
+  }
+
   //Set new password
   user.password = req.body.password;
 
@@ -208,5 +439,491 @@ exports.resetPassword = asyncHandler(async (req, res, next) => {
   user.resetPasswordExpire = undefined;
   await user.save();
 
-  sendTokenResponse(user, 200, res);
+  //Whoever knew the old password is signed out
+  await Session.revokeAll(user._id);
+
+  await sendTokenResponse(user, 200, req, res);
+});
+
+//Get verification token from model, save it and mail the verification link
+//Goes to the pending email address if the user is changing their email
+const sendVerificationEmail = async (user, req) => {
+  //Get verification token
+  const verificationToken = user.getEmailVerificationToken();
+
+  await user.save();
+
+  // Create verification url
+  const verifyUrl = `${req.protocol}://${req.get(
+    "host"
+  )}/api/v1/auth/verifyemail/${verificationToken}`;
+
+  const message = `You are receiving this email because this address was used for an account. Please make a GET request to: \n\n ${verifyUrl} \n\n to verify your email address.`;
+
+  try {
+    await sendEmail({
+      email: user.pendingEmail || user.email,
+      subject: "Email verification token",
+      message: message,
+    });
+  } catch (error) {
+    user.emailVerificationToken = undefined;
+    user.emailVerificationExpire = undefined;
+    user.pendingEmail = undefined;
+
+    await user.save({ validateBeforeSave: false });
+
+    throw error;
+  }
+};
+
+//@desc:     Resend email verification
+//@route:    POST   /api/v1/auth/verifyemail
+//@access:   Private
+
+exports.resendVerificationEmail = asyncHandler(async (req, res, next) => {
+  const user = await User.findById(req.user.id);
+
+  if (user.isEmailVerified && !user.pendingEmail) {
+    return next(new ErrorResponse(`Email is already verified`, 400));
+  }
+
+  try {
+    await sendVerificationEmail(user, req);
+
+    res.status(200).json({ success: true, data: "Email sent" });
+  } catch (error) {
+    console.log(error);
+    return next(new ErrorResponse(`Email could not be sent`, 500));
+  }
+});
+
+//@desc:     Verify email
+//@route:    GET   /api/v1/auth/verifyemail/:verificationtoken
+//@access:   Public
+
+exports.verifyEmail = asyncHandler(async (req, res, next) => {
+  //Get hashed token
+  const emailVerificationToken = crypto
+    .createHash("sha256")
+    .update(req.params.verificationtoken)
+    .digest("hex");
+
+  const user = await User.findOne({
+    emailVerificationToken,
+    emailVerificationExpire: { $gt: Date.now() },
+  });
+
+  if (!user) {
+    return next(new ErrorResponse(`Invalid token`, 400));
+  }
+
+  //Swap in the new email address if the user was changing it
+  if (user.pendingEmail) {
+    user.email = user.pendingEmail;
+    user.pendingEmail = undefined;
+  }
+
+  user.isEmailVerified = true;
+  user.emailVerificationToken = undefined;
+  user.emailVerificationExpire = undefined;
+  await user.save();
+
+  res.status(200).json({ success: true, data: user });
+});
+
+//@desc:     Send a magic login link
+//@route:    POST   /api/v1/auth/magiclink
+//@access:   Public
+
+exports.sendMagicLink = asyncHandler(async (req, res, next) => {
+  const user = await User.findOne({ email: req.body.email });
+
+  if (!user) {
+    return next(new ErrorResponse("There is no user with that email", 404));
+  }
+
+  //Get magic link token
+  const magicLinkToken = user.getMagicLinkToken();
+
+  await user.save({ validateBeforeSave: false });
+
+  // Create magic link url
+  const magicLinkUrl = `${req.protocol}://${req.get(
+    "host"
+  )}/api/v1/auth/magiclink/${magicLinkToken}`;
+
+  const message = `You are receiving this email because you (or someone else) has requested a login link. Please make a GET request to: \n\n ${magicLinkUrl} \n\n The link can only be used once and expires in 15 minutes.`;
+
+  try {
+    await sendEmail({
+      email: user.email,
+      subject: "Login link",
+      message: message,
+    });
+
+    res.status(200).json({ success: true, data: "Email sent" });
+  } catch (error) {
+    console.log(error);
+    user.magicLinkToken = undefined;
+    user.magicLinkExpire = undefined;
+
+    await user.save({ validateBeforeSave: false });
+
+    return next(new ErrorResponse(`Email could not be sent`, 500));
+  }
+});
+
+//@desc:     Login with a magic link
+//@route:    GET   /api/v1/auth/magiclink/:magiclinktoken
+//@access:   Public
+
+exports.magicLinkLogin = asyncHandler(async (req, res, next) => {
+  //Get hashed token
+  const magicLinkToken = crypto
+    .createHash("sha256")
+    .update(req.params.magiclinktoken)
+    .digest("hex");
+
+  //Find the user and clear the token in one step, so the link can only be used once
+  const user = await User.findOneAndUpdate(
+    {
+      magicLinkToken,
+      magicLinkExpire: { $gt: Date.now() },
+    },
+    { $unset: { magicLinkToken: 1, magicLinkExpire: 1 } },
+    { new: true }
+  );
+
+  if (!user) {
+    return next(new ErrorResponse(`Invalid token`, 400));
+  }
+
+  if (user.isLocked()) {
+    return next(lockedError(user));
+  }
+
+  //Opening the link proves the user owns the email address
+  if (!user.isEmailVerified) {
+    user.isEmailVerified = true;
+    await user.save({ validateBeforeSave: false });
+  }
+
+  //The link replaces the password, not the second factor
+  await sendLoginResponse(user, req, res);
+});
+
+//@desc:     Start login with an OpenID Connect provider
+//@route:    GET   /api/v1/auth/oidc/:provider
+//@access:   Public
+
+exports.oidcLogin = asyncHandler(async (req, res, next) => {
+  const provider = oidc.getProvider(req.params.provider);
+
+  if (!provider) {
+    return next(
+      new ErrorResponse(`No login provider named ${req.params.provider}`, 404)
+    );
+  }
+
+  const state = oidc.randomValue();
+  const nonce = oidc.randomValue();
+  const codeVerifier = oidc.randomValue();
+
+  const url = await oidc.getAuthorizationUrl(provider, {
+    redirectUri: oidcRedirectUri(provider, req),
+    state,
+    nonce,
+    codeVerifier,
+  });
+
+  //Remember the login attempt in a short-lived signed cookie, so the callback can check it came from this browser
+  //SameSite has to be lax, because the provider redirects back from another site
+  const attempt = jwt.sign(
+    { purpose: "oidc", provider: provider.name, state, nonce, codeVerifier },
+    process.env.JWT_SECRET,
+    { expiresIn: "10m" }
+  );
+
+  res
+    .cookie("oidc", attempt, {
+      ...cookieOptions(new Date(Date.now() + 10 * 60 * 1000)),
+      sameSite: "lax",
+      path: "/api/v1/auth/oidc",
+    })
+    .redirect(url);
+});
+
+//@desc:     Finish login with an OpenID Connect provider
+//@route:    GET   /api/v1/auth/oidc/:provider/callback
+//@access:   Public
+
+exports.oidcCallback = asyncHandler(async (req, res, next) => {
+  const provider = oidc.getProvider(req.params.provider);
+
+  if (!provider) {
+    return next(
+      new ErrorResponse(`No login provider named ${req.params.provider}`, 404)
+    );
+  }
+
+  if (req.query.error) {
+    return next(
+      new ErrorResponse(
+        `Login with ${provider.name} failed: ${req.query.error}`,
+        401
+      )
+    );
+  }
+
+  let attempt;
+
+  try {
+    attempt = jwt.verify(req.cookies.oidc, process.env.JWT_SECRET);
+  } catch (error) {
+    return next(
+      new ErrorResponse(`Login attempt expired, please try again`, 400)
+    );
+  }
+
+  if (
+    attempt.purpose !== "oidc" ||
+    attempt.provider !== provider.name ||
+    attempt.state !== req.query.state
+  ) {
+    return next(new ErrorResponse(`Invalid login state`, 400));
+  }
+
+  res.clearCookie("oidc", { path: "/api/v1/auth/oidc" });
+
+  let claims;
+
+  try {
+    claims = await oidc.getClaims(provider, {
+      code: req.query.code,
+      redirectUri: oidcRedirectUri(provider, req),
+      nonce: attempt.nonce,
+      codeVerifier: attempt.codeVerifier,
+    });
+  } catch (error) {
+    console.log(error);
+    return next(new ErrorResponse(`Login with ${provider.name} failed`, 401));
+  }
+
+  //Accounts are linked by email, so only emails the provider has verified can be trusted
+  if (!claims.email || claims.email_verified !== true) {
+    return next(
+      new ErrorResponse(
+        `Your ${provider.name} email address has not been verified`,
+        401
+      )
+    );
+  }
+
+  const identity = { provider: provider.name, subject: claims.sub };
+
+  //Providers may send the email with other casing or spaces than it was registered with
+  const email = claims.email.trim().toLowerCase();
+
+  let user = await User.findOne({ identities: { $elemMatch: identity } });
+
+  if (!user) {
+    user = await User.findOne({ email });
+
+    if (user) {
+      //Anybody can register an email without verifying it, linking such an account would
+      //give its password to whoever registered it, so the email has to be verified first
+      if (!user.isEmailVerified) {
+        return next(
+          new ErrorResponse(
+            `An account with this email already exists, please log in and verify your email before logging in with ${provider.name}`,
+            409
+          )
+        );
+      }
+
+      //Link the identity to the existing account with the same email
+      user.identities.push(identity);
+      await user.save({ validateBeforeSave: false });
+    } else {
+      //First login, create an account (The random password can be replaced through forgot password)
+      user = await User.create({
+        name: claims.name || email.split("@")[0],
+        email,
+        password: crypto.randomBytes(32).toString("hex"),
+        role: "user",
+        isEmailVerified: true,
+        identities: [identity],
+      });
+    }
+  }
+
+  if (user.isLocked()) {
+    return next(lockedError(user));
+  }
+
+  await sendLoginResponse(user, req, res);
+});
+
+//URL the provider redirects back to (Has to be registered with the provider)
+const oidcRedirectUri = (provider, req) =>
+  provider.redirectUri ||
+  `${req.protocol}://${req.get("host")}/api/v1/auth/oidc/${
+    provider.name
+  }/callback`;
+
+//@desc:     Start two-factor authentication enrollment
+//@route:    POST   /api/v1/auth/2fa/enroll
+//@access:   Private (Publisher/Admin)
+
+exports.enrollTwoFactor = asyncHandler(async (req, res, next) => {
+  const user = await User.findById(req.user.id);
+
+  if (user.twoFactorEnabled) {
+    return next(
+      new ErrorResponse(`Two-factor authentication is already enabled`, 400)
+    );
+  }
+
+  //Secret is only used once it has been confirmed with a code
+  user.twoFactorSecret = totp.generateSecret();
+  await user.save();
+
+  res.status(200).json({
+    success: true,
+    data: {
+      secret: user.twoFactorSecret,
+      otpauthUrl: totp.keyUri(
+        user.twoFactorSecret,
+        user.email,
+        process.env.TWO_FACTOR_ISSUER || "SkillBridge"
+      ),
+    },
+  });
+});
+
+//@desc:     Confirm two-factor authentication enrollment
+//@route:    POST   /api/v1/auth/2fa/confirm
+//@access:   Private (Publisher/Admin)
+
+exports.confirmTwoFactor = asyncHandler(async (req, res, next) => {
+  const user = await User.findById(req.user.id).select(
+    "+twoFactorSecret +twoFactorLastStep +twoFactorRecoveryCodes"
+  );
+
+  if (user.twoFactorEnabled) {
+    return next(
+      new ErrorResponse(`Two-factor authentication is already enabled`, 400)
+    );
+  }
+
+  if (!user.twoFactorSecret) {
+    return next(
+      new ErrorResponse(`Please start two-factor enrollment first`, 400)
+    );
+  }
+
+  //Only authenticator codes are accepted here, the user has no recovery codes yet
+  const step = totp.verify(String(req.body.code), user.twoFactorSecret);
+
+  if (step === null) {
+    return next(new ErrorResponse(`Invalid two-factor code`, 400));
+  }
+
+  user.twoFactorEnabled = true;
+  user.twoFactorLastStep = step;
+
+  //Recovery codes are only shown once
+  const recoveryCodes = user.generateRecoveryCodes();
+  await user.save();
+
+  res.status(200).json({ success: true, data: { recoveryCodes } });
+});
+
+//@desc:     Disable two-factor authentication
+//@route:    POST   /api/v1/auth/2fa/disable
+//@access:   Private
+
+exports.disableTwoFactor = asyncHandler(async (req, res, next) => {
+  const user = await User.findById(req.user.id).select(
+    "+password +twoFactorSecret +twoFactorLastStep +twoFactorRecoveryCodes"
+  );
+
+  if (!user.twoFactorEnabled) {
+    return next(
+      new ErrorResponse(`Two-factor authentication is not enabled`, 400)
+    );
+  }
+
+  //Both the password and a code are needed, so a stolen session alone can not turn 2FA off
+  if (!(await user.matchPassword(req.body.password || ""))) {
+    return next(new ErrorResponse(`Password is incorrect`, 401));
+  }
+
+  if (!user.matchTwoFactorCode(req.body.code)) {
+    return next(new ErrorResponse(`Invalid two-factor code`, 401));
+  }
+
+  user.twoFactorEnabled = false;
+  user.twoFactorSecret = undefined;
+  user.twoFactorLastStep = undefined;
+  user.twoFactorRecoveryCodes = undefined;
+  await user.save();
+
+  res.status(200).json({ success: true, data: {} });
+});
+
+//@desc:     Complete login with a two-factor code
+//@route:    POST   /api/v1/auth/2fa/verify
+//@access:   Public
+
+exports.verifyTwoFactor = asyncHandler(async (req, res, next) => {
+  const { challengeToken, code } = req.body;
+
+  if (!challengeToken || !code) {
+    return next(
+      new ErrorResponse(`Please provide a challenge token and a code`, 400)
+    );
+  }
+
+  let decoded;
+
+  try {
+    decoded = jwt.verify(challengeToken, process.env.JWT_SECRET);
+  } catch (error) {
+    return next(new ErrorResponse(`Invalid challenge token`, 401));
+  }
+
+  //Access tokens can not be used as challenge tokens
+  if (decoded.purpose !== "2fa") {
+    return next(new ErrorResponse(`Invalid challenge token`, 401));
+  }
+
+  const user = await User.findById(decoded.id).select(
+    "+twoFactorSecret +twoFactorLastStep +twoFactorRecoveryCodes"
+  );
+
+  if (!user || !user.twoFactorEnabled) {
+    return next(new ErrorResponse(`Invalid challenge token`, 401));
+  }
+
+  if (user.isLocked()) {
+    return next(lockedError(user));
+  }
+
+  //Wrong codes count as failed logins as well, so codes can not be guessed
+  if (!user.matchTwoFactorCode(code)) {
+    if (await user.registerFailedLogin()) {
+      await sendLockoutEmail(user);
+      return next(lockedError(user));
+    }
+
+    return next(new ErrorResponse(`Invalid two-factor code`, 401));
+  }
+
+  //Save the used code (Last step or consumed recovery code)
+  await user.save();
+  await user.resetFailedLogins();
+
+  await sendTokenResponse(user, 200, req, res);
 });
@@ -1,8 +1,13 @@
-const path = require("path");
+const mongoose = require("mongoose");
 const ErrorResponse = require("../utils/errorResponse");
 const asyncHandler = require("../middleware/async");
 const geocoder = require("../utils/geocoder");
+const { quarantineUpload } = require("../utils/uploads");
+const { getFileUrl } = require("../utils/storage");
 const Bootcamp = require("../models/Bootcamp");
+const Organization = require("../models/Organization");
+const Revision = require("../models/Revision");
+const User = require("../models/User");
 
 //@desc:     Get all bootcamps
 //@route:    GET   /api/v1/bootcamps
@@ -13,13 +18,29 @@ exports.getBootcamps = asyncHandler(async (req, res, next) => {
 });
 
 //@desc:     Get single bootcamp
-//@route:    GET   /api/v1/bootcamps/:id
-//@access:   Public
+//@route:    GET   /api/v1/bootcamps/:id (id or slug)
+//@access:   Public (Drafts only for members of the organization and admins)
 
 exports.getBootcamp = asyncHandler(async (req, res, next) => {
-  const bootcamp = await Bootcamp.findById(req.params.id);
+  const visible = await Bootcamp.visibleTo(req.user);
+  const bySlug = !/^[0-9a-fA-F]{24}$/.test(req.params.id);
+
+  const bootcamp = await Bootcamp.findOne({
+    $and: [bySlug ? { slug: req.params.id } : { _id: req.params.id }, visible],
+  });
 
   if (!bootcamp) {
+    //Slugs of earlier names redirect to the current one
+    const renamed =
+      bySlug &&
+      (await Bootcamp.findOne({
+        $and: [{ previousSlugs: req.params.id }, visible],
+      }).sort("-createdAt"));
+
+    if (renamed) {
+      return res.redirect(301, `${req.baseUrl}/${renamed.slug}`);
+    }
+
     return next(
       new ErrorResponse(`Bootcamp not found with id of ${req.params.id}`, 404)
     );
@@ -35,21 +56,67 @@ exports.createBootcamp = asyncHandler(async (req, res, next) => {
   //Add user to req.body
   req.body.user = req.user.id;
 
-  //Check for published bootcamp
-  const publishedBootcamp = await Bootcamp.findOne({ user: req.user.id });
+  //API keys limited to a single bootcamp can not create new ones
+  if (!req.user.canAccessBootcamp()) {
+    return next(
+      new ErrorResponse(`API key is not authorized to create a bootcamp`, 403)
+    );
+  }
+
+  //Bootcamps belong to an organization the user edits for (Defaults to the organization they own)
+  let organization;
+
+  if (req.body.organization) {
+    organization = await Organization.findById(req.body.organization);
+
+    if (!organization) {
+      return next(
+        new ErrorResponse(
+          `No organization with the id of ${req.body.organization}`,
+          404
+        )
+      );
+    }
+
+    if (!organization.hasRole(req.user.id, "editor")) {
+      return next(
+        new ErrorResponse(
+          `User ${req.user.id} is not authorized to add a bootcamp to organization ${organization._id}`,
+          401
+        )
+      );
+    }
+  } else {
+    organization = await Organization.findPersonal(req.user);
+  }
+
+  req.body.organization = organization._id;
 
-  //If the user is not an admin, they can only add one bootcamp
-  if (publishedBootcamp && req.user.role != "admin") {
+  //If the user is not an admin, the organization can only add bootcamps up to its quota
+  if (
+    !req.user.hasPermission("bootcamp:create:unlimited") &&
+    (await organization.isFull())
+  ) {
     return next(
       new ErrorResponse(
-        `The user with ID ${req.user.id} has already published a bootcamp`,
+        `Organization ${organization._id} has reached its quota of ${organization.bootcampQuota} bootcamps`,
         400
       )
     );
   }
 
+  //New bootcamps start as drafts (See changeBootcampStatus)
+  delete req.body.status;
+  delete req.body.publishedAt;
+
+  //Bootcamps stay hidden until the publisher has been verified (Admins are trusted)
+  req.body.publisherVerified =
+    req.user.isVerifiedPublisher || req.user.hasPermission("publisher:review");
+
   const bootcamp = await Bootcamp.create(req.body);
 
+  await Revision.record(Bootcamp, null, bootcamp, req.user.id);
+
   res.status(201).json({ success: true, data: bootcamp });
 });
 
@@ -66,8 +133,21 @@ exports.updateBootcamp = asyncHandler(async (req, res, next) => {
     );
   }
 
-  //Make sure user is bootcamp owner
-  if (bootcamp.user.toString() !== req.user.id && req.user.role !== "admin") {
+  //API keys can be limited to a single bootcamp
+  if (!req.user.canAccessBootcamp(bootcamp._id)) {
+    return next(
+      new ErrorResponse(
+        `API key is not authorized to update bootcamp ${bootcamp._id}`,
+        403
+      )
+    );
+  }
+
+  //Make sure user is an editor of the bootcamp
+  if (
+    !(await bootcamp.isManagedBy(req.user.id)) &&
+    !req.user.hasPermission("bootcamp:update:any")
+  ) {
     return next(
       new ErrorResponse(
         `User ${req.params.id} is not authorized to update this bootcamp`,
@@ -75,9 +155,41 @@ exports.updateBootcamp = asyncHandler(async (req, res, next) => {
       )
     );
   }
-  bootcamp = await Bootcamp.findByIdAndUpdate(req.params.id, req.body, {
-    new: true,
-    runValidators: true,
+  //Verification is only changed by approving the publisher, the status by changeBootcampStatus and the owner and organization by a transfer
+  delete req.body.publisherVerified;
+  delete req.body.user;
+  delete req.body.organization;
+
+  //Slugs follow the name (See the slug hooks in Bootcamp.js), so old slugs of other bootcamps can not be taken over
+  delete req.body.slug;
+  delete req.body.previousSlugs;
+
+  //Images are changed through the gallery (See controllers/images.js)
+  delete req.body.photo;
+  delete req.body.images;
+  delete req.body.coverImage;
+  delete req.body.publishedAt;
+
+  //The trash fields are only changed by softDelete and restore (See utils/softDelete.js)
+  delete req.body.deletedAt;
+  delete req.body.deletedBy;
+  delete req.body.deletedWith;
+
+  req.body.status = bootcamp.statusAfterEdit(req.user);
+
+  //Keep the changes in the revision history (In the same transaction, so concurrent updates get their own versions)
+  await mongoose.connection.transaction(async (session) => {
+    const before = await Bootcamp.findById(req.params.id).session(session);
+
+    bootcamp = await Bootcamp.findByIdAndUpdate(req.params.id, req.body, {
+      new: true,
+      runValidators: true,
+      session,
+    });
+
+    await Revision.record(Bootcamp, before, bootcamp, req.user.id, {
+      session,
+    });
   });
 
   res.status(200).json({ success: true, data: bootcamp });
@@ -96,8 +208,21 @@ exports.deleteBootcamp = asyncHandler(async (req, res, next) => {
     );
   }
 
-  //Make sure user is bootcamp owner
-  if (bootcamp.user.toString() !== req.user.id && req.user.role !== "admin") {
+  //API keys can be limited to a single bootcamp
+  if (!req.user.canAccessBootcamp(bootcamp._id)) {
+    return next(
+      new ErrorResponse(
+        `API key is not authorized to delete bootcamp ${bootcamp._id}`,
+        403
+      )
+    );
+  }
+
+  //Make sure user is an owner of the bootcamp
+  if (
+    !(await bootcamp.isManagedBy(req.user.id, "owner")) &&
+    !req.user.hasPermission("bootcamp:delete:any")
+  ) {
     return next(
       new ErrorResponse(
         `User ${req.params.id} is not authorized to delete this bootcamp`,
@@ -106,12 +231,137 @@ exports.deleteBootcamp = asyncHandler(async (req, res, next) => {
     );
   }
 
-  //Triggering pre-remove middleware for cascade deletion
-  await bootcamp.deleteOne();
+  //Move the bootcamp with its courses and reviews to the trash (Purged after TRASH_RETENTION days)
+  await bootcamp.softDelete(req.user.id);
+
+  res.status(200).json({ success: true, data: bootcamp });
+});
+
+//@desc:     Restore deleted bootcamp (With the courses and reviews deleted together with it)
+//@route:    POST   /api/v1/bootcamps/:id/restore
+//@access:   Private
+
+exports.restoreBootcamp = asyncHandler(async (req, res, next) => {
+  const bootcamp = await Bootcamp.findDeletedById(req.params.id);
+
+  if (!bootcamp) {
+    return next(
+      new ErrorResponse(
+        `No deleted bootcamp with the id of ${req.params.id}`,
+        404
+      )
+    );
+  }
+
+  //API keys can be limited to a single bootcamp
+  if (!req.user.canAccessBootcamp(bootcamp._id)) {
+    return next(
+      new ErrorResponse(
+        `API key is not authorized to restore bootcamp ${bootcamp._id}`,
+        403
+      )
+    );
+  }
+
+  //Make sure user is an owner of the bootcamp
+  if (
+    !(await bootcamp.isManagedBy(req.user.id, "owner")) &&
+    !req.user.hasPermission("bootcamp:delete:any")
+  ) {
+    return next(
+      new ErrorResponse(
+        `User ${req.user.id} is not authorized to restore this bootcamp`,
+        401
+      )
+    );
+  }
+
+  //The owner may have been deleted as well
+  if (!(await User.exists({ _id: bootcamp.user }))) {
+    return next(
+      new ErrorResponse(
+        `The owner of bootcamp ${bootcamp._id} is deleted, please restore the user first`,
+        400
+      )
+    );
+  }
+
+  await bootcamp.restore();
 
   res.status(200).json({ success: true, data: bootcamp });
 });
 
+//@desc:     Change bootcamp status (submit, publish, reject, archive or restore)
+//@route:    PUT   /api/v1/bootcamps/:id/:action
+//@access:   Private
+
+exports.changeBootcampStatus = (action) =>
+  asyncHandler(async (req, res, next) => {
+    const transition = Bootcamp.transitions[action];
+
+    let bootcamp = await Bootcamp.findById(req.params.id);
+
+    if (!bootcamp) {
+      return next(
+        new ErrorResponse(`Bootcamp not found with id of ${req.params.id}`, 404)
+      );
+    }
+
+    //API keys can be limited to a single bootcamp
+    if (!req.user.canAccessBootcamp(bootcamp._id)) {
+      return next(
+        new ErrorResponse(
+          `API key is not authorized to update bootcamp ${bootcamp._id}`,
+          403
+        )
+      );
+    }
+
+    //Reviewing needs its own permission, other changes can be made by the editors
+    if (transition.permission) {
+      if (!req.user.hasPermission(transition.permission)) {
+        return next(
+          new ErrorResponse(
+            `User role ${req.user.role} is not authorized to ${action} bootcamps`,
+            403
+          )
+        );
+      }
+    } else if (
+      !(await bootcamp.isManagedBy(req.user.id)) &&
+      !req.user.hasPermission("bootcamp:update:any")
+    ) {
+      return next(
+        new ErrorResponse(
+          `User ${req.user.id} is not authorized to update this bootcamp`,
+          401
+        )
+      );
+    }
+
+    if (!transition.from.includes(bootcamp.status)) {
+      return next(
+        new ErrorResponse(
+          `Can not ${action} a bootcamp with status ${bootcamp.status}`,
+          400
+        )
+      );
+    }
+
+    const update = { status: transition.to };
+
+    if (transition.to === "published") {
+      update.publishedAt = Date.now();
+    }
+
+    //Not saving the document, the save hooks would geocode the address again
+    bootcamp = await Bootcamp.findByIdAndUpdate(req.params.id, update, {
+      new: true,
+    });
+
+    res.status(200).json({ success: true, data: bootcamp });
+  });
+
 //@desc      Get bootcamps within a radius
 //@route:    GET   /api/v1/bootcamps/radius/:zipcode/:distance
 //@access:   Private
@@ -136,13 +386,39 @@ exports.getBootcampsInRadius = asyncHandler(async (req, res, next) => {
     location: {
       $geoWithin: { $centerSphere: [[lng, lat], radius] },
     },
+    ...(await Bootcamp.visibleTo()),
   });
   res
     .status(200)
     .json({ success: true, count: bootcamps.length, data: bootcamps });
 });
 
-//@desc      Upload photo for bootcamp
+//@desc      Get the cover photo of a bootcamp (Redirects to a signed URL)
+//@route:    GET   /api/v1/bootcamps/:id/photo
+//@access:   Public (Drafts only for members of the organization and admins)
+
+exports.getBootcampPhoto = asyncHandler(async (req, res, next) => {
+  const bootcamp = await Bootcamp.findOne(
+    { $and: [{ _id: req.params.id }, await Bootcamp.visibleTo(req.user)] },
+    "photo"
+  );
+
+  if (!bootcamp) {
+    return next(
+      new ErrorResponse(`Bootcamp not found with id of ${req.params.id}`, 404)
+    );
+  }
+
+  if (!bootcamp.photo || bootcamp.photo === "no-photo.jpg") {
+    return next(
+      new ErrorResponse(`Bootcamp ${bootcamp._id} has no photo`, 404)
+    );
+  }
+
+  res.redirect(302, await getFileUrl(bootcamp.photo));
+});
+
+//@desc      Upload cover photo for bootcamp
 //@route:    PUT   /api/v1/bootcamps/:id/photo
 //@access:   Private
 
@@ -156,56 +432,40 @@ exports.bootcampPhotoUpload = asyncHandler(async (req, res, next) => {
     );
   }
 
-  //Make sure user is bootcamp owner
-  if (bootcamp.user.toString() !== req.user.id && req.user.role !== "admin") {
+  //API keys can be limited to a single bootcamp
+  if (!req.user.canAccessBootcamp(bootcamp._id)) {
     return next(
       new ErrorResponse(
-        `User ${req.params.id} is not authorized to update this bootcamp`,
-        401
+        `API key is not authorized to update bootcamp ${bootcamp._id}`,
+        403
       )
     );
   }
 
-  if (!req.files) {
-    return next(new ErrorResponse(`Please upload a file`, 400));
-  }
-  // console.log(req.files);
-  const file = req.files.file;
-
-  // Make sure the image is a photo
-
-  if (!file.mimetype.startsWith("image")) {
-    return next(new ErrorResponse(`Please upload an image file`, 400));
-  }
-
-  // Check filesize
-
-  if (file.size > process.env.MAX_FILE_UPLOAD) {
+  //Make sure user is an editor of the bootcamp
+  if (
+    !(await bootcamp.isManagedBy(req.user.id)) &&
+    !req.user.hasPermission("bootcamp:update:any")
+  ) {
     return next(
       new ErrorResponse(
-        `Please upload an image less than ${process.env.MAX_FILE_UPLOAD}`,
-        400
+        `User ${req.params.id} is not authorized to update this bootcamp`,
+        401
       )
     );
   }
 
-  // Create custom filename in order to avoid overwrites
-  // Path.parse will help in retreiving the extension
-
-  file.name = `photo_${bootcamp._id}${path.parse(file.name).ext}`;
-  file.mv(`${process.env.FILE_UPLOAD_PATH}/${file.name}`, async (err) => {
-    if (err) {
-      console.log(err);
-      return next(new ErrorResponse(`Problem with file upload`, 500));
-    }
-
-    await Bootcamp.findByIdAndUpdate(req.params.id, { photo: file.name });
+  if (!req.files || !req.files.file) {
+    return next(new ErrorResponse(`Please upload a file`, 400));
+  }
 
-    res.status(200).json({
-      success: true,
-      data: file.name,
-    });
+  //Once it has been scanned, the photo is added to the gallery and becomes the cover (See controllers/images.js)
+  const upload = await quarantineUpload(req.files.file, {
+    purpose: "bootcampImage",
+    user: req.user.id,
+    bootcamp: bootcamp._id,
+    options: { cover: true },
   });
 
-  // console.log(file.name);
+  res.status(202).json({ success: true, data: upload });
 });
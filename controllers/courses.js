@@ -1,17 +1,24 @@
+const mongoose = require("mongoose");
 const ErrorResponse = require("../utils/errorResponse");
 const asyncHandler = require("../middleware/async");
 const Course = require("../models/Course");
 const Bootcamp = require("../models/Bootcamp");
+const Revision = require("../models/Revision");
 
 //@desc:     Get all courses
 //@route:    GET   /api/v1/courses
 //@route:    GET   /api/v1/bootcamps/:bootcampId/courses
-//@access:   Public
+//@access:   Public (Courses of drafts only for members of the organization and admins)
 
 exports.getCourses = asyncHandler(async (req, res, next) => {
   //If bootcampID is present in the query
   if (req.params.bootcampId) {
-    const courses = await Course.find({ bootcamp: req.params.bootcampId });
+    const courses = await Course.find({
+      $and: [
+        { bootcamp: req.params.bootcampId },
+        { bootcamp: { $in: await Bootcamp.visibleIds(req.user) } },
+      ],
+    });
 
     return res.status(200).json({
       success: true,
@@ -25,10 +32,13 @@ exports.getCourses = asyncHandler(async (req, res, next) => {
 
 //@desc:     Get a single courses
 //@route:    GET   /api/v1/courses/:id
-//@access:   Public
+//@access:   Public (Courses of drafts only for members of the organization and admins)
 
 exports.getCourse = asyncHandler(async (req, res, next) => {
-  const course = await Course.findById(req.params.id).populate({
+  const course = await Course.findOne({
+    _id: req.params.id,
+    bootcamp: { $in: await Bootcamp.visibleIds(req.user) },
+  }).populate({
     path: "bootcamp",
     select: "name description",
   });
@@ -61,8 +71,21 @@ exports.addCourse = asyncHandler(async (req, res, next) => {
     );
   }
 
-  //Make sure user is bootcamp owner
-  if (bootcamp.user.toString() !== req.user.id && req.user.role !== "admin") {
+  //API keys can be limited to a single bootcamp
+  if (!req.user.canAccessBootcamp(bootcamp._id)) {
+    return next(
+      new ErrorResponse(
+        `API key is not authorized to add a course to bootcamp ${bootcamp._id}`,
+        403
+      )
+    );
+  }
+
+  //Make sure user is an editor of the bootcamp
+  if (
+    !(await bootcamp.isManagedBy(req.user.id)) &&
+    !req.user.hasPermission("course:create:any")
+  ) {
     return next(
       new ErrorResponse(
         `User ${req.user.id} is not authorized to add a course to bootcamp ${bootcamp._id}`,
@@ -73,6 +96,8 @@ exports.addCourse = asyncHandler(async (req, res, next) => {
 
   const course = await Course.create(req.body);
 
+  await Revision.record(Course, null, course, req.user.id);
+
   res.status(201).json({ success: true, data: course });
 });
 
@@ -89,8 +114,21 @@ exports.updateCourse = asyncHandler(async (req, res, next) => {
     );
   }
 
-  //Make sure user is course owner
-  if (course.user.toString() !== req.user.id && req.user.role !== "admin") {
+  //API keys can be limited to a single bootcamp
+  if (!req.user.canAccessBootcamp(course.bootcamp)) {
+    return next(
+      new ErrorResponse(
+        `API key is not authorized to update course ${course._id}`,
+        403
+      )
+    );
+  }
+
+  //Make sure user is an editor of the bootcamp
+  if (
+    !(await course.isManagedBy(req.user.id)) &&
+    !req.user.hasPermission("course:update:any")
+  ) {
     return next(
       new ErrorResponse(
         `User ${req.user.id} is not authorized to update course ${course._id}`,
@@ -99,9 +137,22 @@ exports.updateCourse = asyncHandler(async (req, res, next) => {
     );
   }
 
-  course = await Course.findByIdAndUpdate(req.params.id, req.body, {
-    new: true, //Returns the new version of the course
-    runValidators: true,
+  //The trash fields are only changed by softDelete and restore (See utils/softDelete.js)
+  delete req.body.deletedAt;
+  delete req.body.deletedBy;
+  delete req.body.deletedWith;
+
+  //Keep the changes in the revision history (In the same transaction, so concurrent updates get their own versions)
+  await mongoose.connection.transaction(async (session) => {
+    const before = await Course.findById(req.params.id).session(session);
+
+    course = await Course.findByIdAndUpdate(req.params.id, req.body, {
+      new: true, //Returns the new version of the course
+      runValidators: true,
+      session,
+    });
+
+    await Revision.record(Course, before, course, req.user.id, { session });
   });
 
   res.status(200).json({ success: true, data: course });
@@ -120,8 +171,21 @@ exports.deleteCourse = asyncHandler(async (req, res, next) => {
     );
   }
 
-  //Make sure user is course owner
-  if (course.user.toString() !== req.user.id && req.user.role !== "admin") {
+  //API keys can be limited to a single bootcamp
+  if (!req.user.canAccessBootcamp(course.bootcamp)) {
+    return next(
+      new ErrorResponse(
+        `API key is not authorized to delete course ${course._id}`,
+        403
+      )
+    );
+  }
+
+  //Make sure user is an editor of the bootcamp
+  if (
+    !(await course.isManagedBy(req.user.id)) &&
+    !req.user.hasPermission("course:delete:any")
+  ) {
     return next(
       new ErrorResponse(
         `User ${req.user.id} is not authorized to delete course ${course._id}`,
@@ -130,7 +194,62 @@ exports.deleteCourse = asyncHandler(async (req, res, next) => {
     );
   }
 
-  await course.deleteOne();
+  //Move the course to the trash (Purged after TRASH_RETENTION days)
+  await course.softDelete(req.user.id);
+
+  res.status(200).json({ success: true, data: course });
+});
+
+//@desc:     Restore deleted course
+//@route:    POST   /api/v1/courses/:id/restore
+//@access:   Private
+
+exports.restoreCourse = asyncHandler(async (req, res, next) => {
+  const course = await Course.findDeletedById(req.params.id);
+
+  if (!course) {
+    return next(
+      new ErrorResponse(
+        `No deleted course with the id of ${req.params.id}`,
+        404
+      )
+    );
+  }
+
+  //API keys can be limited to a single bootcamp
+  if (!req.user.canAccessBootcamp(course.bootcamp)) {
+    return next(
+      new ErrorResponse(
+        `API key is not authorized to restore course ${course._id}`,
+        403
+      )
+    );
+  }
+
+  //Make sure user is an editor of the bootcamp
+  if (
+    !(await course.isManagedBy(req.user.id)) &&
+    !req.user.hasPermission("course:delete:any")
+  ) {
+    return next(
+      new ErrorResponse(
+        `User ${req.user.id} is not authorized to restore course ${course._id}`,
+        401
+      )
+    );
+  }
+
+  //The bootcamp may have been deleted as well
+  if (!(await Bootcamp.exists({ _id: course.bootcamp }))) {
+    return next(
+      new ErrorResponse(
+        `The bootcamp of course ${course._id} is deleted, please restore the bootcamp first`,
+        400
+      )
+    );
+  }
+
+  await course.restore();
 
   res.status(200).json({ success: true, data: course });
 });
@@ -0,0 +1,28 @@
+const path = require("path");
+const ErrorResponse = require("../utils/errorResponse");
+const asyncHandler = require("../middleware/async");
+const { getStorage } = require("../utils/storage");
+
+//@desc:     Download a file with a signed URL (Local storage only, signed S3 URLs point to the bucket)
+//@route:    GET   /api/v1/files/:key?expires=&signature=
+//@access:   Public (Signed URL)
+
+exports.downloadFile = asyncHandler(async (req, res, next) => {
+  const storage = getStorage();
+  const key = req.params[0];
+
+  if (
+    !storage.verifySignature ||
+    !storage.verifySignature(key, req.query.expires, req.query.signature)
+  ) {
+    return next(new ErrorResponse(`Invalid or expired download link`, 403));
+  }
+
+  const file = await storage.get(key);
+
+  if (!file) {
+    return next(new ErrorResponse(`File not found`, 404));
+  }
+
+  res.type(path.extname(key)).send(file);
+});
@@ -0,0 +1,252 @@
+const ErrorResponse = require("../utils/errorResponse");
+const asyncHandler = require("../middleware/async");
+const { variants, imageFiles } = require("../utils/images");
+const { quarantineUpload } = require("../utils/uploads");
+const { removeFile } = require("../utils/cascadeDelete");
+const { getFileUrl } = require("../utils/storage");
+const Bootcamp = require("../models/Bootcamp");
+
+//Find the bootcamp and make sure the user can edit it (Editor of the organization or the "update:any" permission)
+const findEditableBootcamp = async (req) => {
+  const bootcamp = await Bootcamp.findById(req.params.bootcampId);
+
+  if (!bootcamp) {
+    throw new ErrorResponse(
+      `Bootcamp not found with id of ${req.params.bootcampId}`,
+      404
+    );
+  }
+
+  //API keys can be limited to a single bootcamp
+  if (!req.user.canAccessBootcamp(bootcamp._id)) {
+    throw new ErrorResponse(
+      `API key is not authorized to update bootcamp ${bootcamp._id}`,
+      403
+    );
+  }
+
+  if (
+    !(await bootcamp.isManagedBy(req.user.id)) &&
+    !req.user.hasPermission("bootcamp:update:any")
+  ) {
+    throw new ErrorResponse(
+      `User ${req.user.id} is not authorized to update this bootcamp`,
+      401
+    );
+  }
+
+  return bootcamp;
+};
+
+//Find an image of the bootcamp
+const findImage = (bootcamp, imageId) => {
+  const image = bootcamp.images.id(imageId);
+
+  if (!image) {
+    throw new ErrorResponse(`No image with the id of ${imageId}`, 404);
+  }
+
+  return image;
+};
+
+//Find a bootcamp the request can see
+const findVisibleBootcamp = async (req) => {
+  const bootcamp = await Bootcamp.findOne(
+    {
+      $and: [
+        { _id: req.params.bootcampId },
+        await Bootcamp.visibleTo(req.user),
+      ],
+    },
+    "images coverImage"
+  );
+
+  if (!bootcamp) {
+    throw new ErrorResponse(
+      `Bootcamp not found with id of ${req.params.bootcampId}`,
+      404
+    );
+  }
+
+  return bootcamp;
+};
+
+//@desc:     Get the images of a bootcamp with signed URLs of their versions
+//@route:    GET   /api/v1/bootcamps/:bootcampId/images
+//@access:   Public (Drafts only for members of the organization and admins)
+
+exports.getImages = asyncHandler(async (req, res, next) => {
+  const bootcamp = await findVisibleBootcamp(req);
+
+  const images = [];
+
+  for (const image of bootcamp.images) {
+    const urls = {};
+
+    for (const [name, key] of Object.entries(image.toObject().variants)) {
+      urls[name] = await getFileUrl(key);
+    }
+
+    images.push({ ...image.toJSON(), urls });
+  }
+
+  res.status(200).json({
+    success: true,
+    count: images.length,
+    coverImage: bootcamp.coverImage,
+    data: images,
+  });
+});
+
+//@desc:     Download a version of an image (Redirects to a signed URL)
+//@route:    GET   /api/v1/bootcamps/:bootcampId/images/:imageId/:variant (thumb, card or hero)
+//@access:   Public (Drafts only for members of the organization and admins)
+
+exports.getImageFile = asyncHandler(async (req, res, next) => {
+  //Only the known versions, not other properties of the variants object
+  if (!Object.keys(variants).includes(req.params.variant)) {
+    return next(
+      new ErrorResponse(
+        `Unknown image version ${req.params.variant}, please use ${Object.keys(
+          variants
+        ).join(", ")}`,
+        404
+      )
+    );
+  }
+
+  const bootcamp = await findVisibleBootcamp(req);
+  const image = findImage(bootcamp, req.params.imageId);
+  const key = image.toObject().variants[req.params.variant];
+
+  if (!key) {
+    return next(
+      new ErrorResponse(
+        `Image ${image._id} has no ${req.params.variant} version`,
+        404
+      )
+    );
+  }
+
+  res.redirect(302, await getFileUrl(key));
+});
+
+//@desc:     Upload an image to the gallery of a bootcamp (Added once it has been scanned, see GET /api/v1/uploads/:id)
+//@route:    POST   /api/v1/bootcamps/:bootcampId/images
+//@access:   Private
+
+exports.uploadImage = asyncHandler(async (req, res, next) => {
+  const bootcamp = await findEditableBootcamp(req);
+
+  if (!req.files || !req.files.file) {
+    return next(new ErrorResponse(`Please upload a file`, 400));
+  }
+
+  const upload = await quarantineUpload(req.files.file, {
+    purpose: "bootcampImage",
+    user: req.user.id,
+    bootcamp: bootcamp._id,
+    options: { caption: req.body.caption, cover: req.body.cover === "true" },
+  });
+
+  res.status(202).json({ success: true, data: upload });
+});
+
+//@desc:     Change the order of the images (order: list of all image ids)
+//@route:    PUT   /api/v1/bootcamps/:bootcampId/images/order
+//@access:   Private
+
+exports.reorderImages = asyncHandler(async (req, res, next) => {
+  let bootcamp = await findEditableBootcamp(req);
+  const order = Array.isArray(req.body.order) ? req.body.order : [];
+
+  const images = order.map((id) => bootcamp.images.id(id)).filter(Boolean);
+
+  if (
+    images.length !== bootcamp.images.length ||
+    new Set(order).size !== order.length
+  ) {
+    return next(
+      new ErrorResponse(
+        `Please add the ids of all ${bootcamp.images.length} images in the new order`,
+        400
+      )
+    );
+  }
+
+  //Not saving the document, the save hooks would geocode the address again
+  bootcamp = await Bootcamp.findByIdAndUpdate(
+    bootcamp._id,
+    { images: images.map((image) => image.toObject()) },
+    { new: true }
+  );
+
+  res.status(200).json({
+    success: true,
+    count: bootcamp.images.length,
+    data: bootcamp.images,
+  });
+});
+
+//@desc:     Update the caption of an image
+//@route:    PUT   /api/v1/bootcamps/:bootcampId/images/:imageId
+//@access:   Private
+
+exports.updateImage = asyncHandler(async (req, res, next) => {
+  let bootcamp = await findEditableBootcamp(req);
+  findImage(bootcamp, req.params.imageId);
+
+  bootcamp = await Bootcamp.findOneAndUpdate(
+    { _id: bootcamp._id, "images._id": req.params.imageId },
+    { "images.$.caption": req.body.caption },
+    { new: true, runValidators: true }
+  );
+
+  res
+    .status(200)
+    .json({ success: true, data: bootcamp.images.id(req.params.imageId) });
+});
+
+//@desc:     Choose the cover photo of a bootcamp
+//@route:    PUT   /api/v1/bootcamps/:bootcampId/images/:imageId/cover
+//@access:   Private
+
+exports.setCoverImage = asyncHandler(async (req, res, next) => {
+  let bootcamp = await findEditableBootcamp(req);
+  const image = findImage(bootcamp, req.params.imageId);
+
+  bootcamp = await Bootcamp.findByIdAndUpdate(
+    bootcamp._id,
+    { coverImage: image._id, photo: image.variants.card },
+    { new: true }
+  );
+
+  res.status(200).json({ success: true, data: bootcamp });
+});
+
+//@desc:     Delete an image with all its versions
+//@route:    DELETE   /api/v1/bootcamps/:bootcampId/images/:imageId
+//@access:   Private
+
+exports.deleteImage = asyncHandler(async (req, res, next) => {
+  const bootcamp = await findEditableBootcamp(req);
+  const image = findImage(bootcamp, req.params.imageId);
+
+  const update = { $pull: { images: { _id: image._id } } };
+
+  //The next image becomes the cover
+  if (image._id.equals(bootcamp.coverImage)) {
+    const nextCover = bootcamp.images.find(
+      (other) => !other._id.equals(image._id)
+    );
+
+    update.$set = nextCover
+      ? { coverImage: nextCover._id, photo: nextCover.variants.card }
+      : { coverImage: null, photo: "no-photo.jpg" };
+  }
+
+  await Bootcamp.findByIdAndUpdate(bootcamp._id, update);
+  await Promise.all(imageFiles(image).map(removeFile));
+
+  res.status(200).json({ success: true, data: {} });
+});
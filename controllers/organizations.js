@@ -0,0 +1,351 @@
+const ErrorResponse = require("../utils/errorResponse");
+const asyncHandler = require("../middleware/async");
+const notify = require("../utils/notify");
+const Organization = require("../models/Organization");
+const OrganizationInvitation = require("../models/OrganizationInvitation");
+const Bootcamp = require("../models/Bootcamp");
+const User = require("../models/User");
+
+//Find the organization and make sure the user has the role in it (Or the "organization:manage" permission)
+const findOrganization = async (req, role) => {
+  const organization = await Organization.findById(req.params.id);
+
+  if (!organization) {
+    throw new ErrorResponse(
+      `No organization with the id of ${req.params.id}`,
+      404
+    );
+  }
+
+  if (
+    !organization.hasRole(req.user.id, role) &&
+    !req.user.hasPermission("organization:manage")
+  ) {
+    throw new ErrorResponse(
+      `User ${req.user.id} is not authorized to access organization ${organization._id}`,
+      401
+    );
+  }
+
+  return organization;
+};
+
+//An organization always keeps at least one owner
+const checkOwnersLeft = (organization, userId) => {
+  const owners = organization.members.filter(
+    (member) => member.role === "owner" && !member.user.equals(userId)
+  );
+
+  if (owners.length === 0) {
+    throw new ErrorResponse(
+      `Organization ${organization._id} needs at least one other owner`,
+      400
+    );
+  }
+};
+
+//@desc:     Get the organizations of the user (Admins get all of them)
+//@route:    GET   /api/v1/organizations
+//@access:   Private
+
+exports.getOrganizations = asyncHandler(async (req, res, next) => {
+  res.status(200).json(res.advancedResults);
+});
+
+//@desc:     Get single organization with its members and bootcamps
+//@route:    GET   /api/v1/organizations/:id
+//@access:   Private
+
+exports.getOrganization = asyncHandler(async (req, res, next) => {
+  const organization = await findOrganization(req, "viewer");
+
+  await organization.populate({ path: "members.user", select: "name email" });
+
+  const bootcamps = await Bootcamp.find(
+    { organization: organization._id },
+    "name slug status"
+  );
+
+  res.status(200).json({
+    success: true,
+    data: { ...organization.toJSON(), bootcamps },
+  });
+});
+
+//@desc:     Create new organization
+//@route:    POST   /api/v1/organizations
+//@access:   Private
+
+exports.createOrganization = asyncHandler(async (req, res, next) => {
+  //The user creating the organization becomes its owner
+  const fields = {
+    name: req.body.name,
+    members: [{ user: req.user.id, role: "owner" }],
+  };
+
+  //Only admins can change the quota
+  if (req.user.hasPermission("organization:manage")) {
+    fields.bootcampQuota = req.body.bootcampQuota;
+  }
+
+  const organization = await Organization.create(fields);
+
+  res.status(201).json({ success: true, data: organization });
+});
+
+//@desc:     Update organization
+//@route:    PUT   /api/v1/organizations/:id
+//@access:   Private
+
+exports.updateOrganization = asyncHandler(async (req, res, next) => {
+  let organization = await findOrganization(req, "owner");
+
+  const fields = { name: req.body.name };
+
+  //Only admins can change the quota
+  if (req.user.hasPermission("organization:manage")) {
+    fields.bootcampQuota = req.body.bootcampQuota;
+  }
+
+  organization = await Organization.findByIdAndUpdate(
+    organization._id,
+    fields,
+    {
+      new: true,
+      runValidators: true,
+    }
+  );
+
+  res.status(200).json({ success: true, data: organization });
+});
+
+//@desc:     Delete organization
+//@route:    DELETE   /api/v1/organizations/:id
+//@access:   Private
+
+exports.deleteOrganization = asyncHandler(async (req, res, next) => {
+  const organization = await findOrganization(req, "owner");
+
+  //Bootcamps in the trash can still be restored, so they keep the organization too
+  const bootcamp = await Bootcamp.exists({
+    organization: organization._id,
+  }).setOptions({ withDeleted: true });
+
+  if (bootcamp) {
+    return next(
+      new ErrorResponse(
+        `Organization ${organization._id} still has bootcamps, please delete or transfer them first`,
+        400
+      )
+    );
+  }
+
+  await OrganizationInvitation.deleteMany({ organization: organization._id });
+  await organization.deleteOne();
+
+  res.status(200).json({ success: true, data: {} });
+});
+
+//@desc:     Get the open invitations of the organization
+//@route:    GET   /api/v1/organizations/:id/invitations
+//@access:   Private
+
+exports.getInvitations = asyncHandler(async (req, res, next) => {
+  const organization = await findOrganization(req, "owner");
+
+  const invitations = await OrganizationInvitation.find({
+    organization: organization._id,
+    expiresAt: { $gt: Date.now() },
+  }).populate({ path: "invitedBy", select: "name email" });
+
+  res
+    .status(200)
+    .json({ success: true, count: invitations.length, data: invitations });
+});
+
+//@desc:     Invite a member to the organization by email
+//@route:    POST   /api/v1/organizations/:id/invitations
+//@access:   Private
+
+exports.inviteMember = asyncHandler(async (req, res, next) => {
+  const organization = await findOrganization(req, "owner");
+
+  const invited = await User.findOne({ email: req.body.email });
+
+  if (invited && organization.getRole(invited._id)) {
+    return next(
+      new ErrorResponse(
+        `User ${req.body.email} is already a member of organization ${organization._id}`,
+        400
+      )
+    );
+  }
+
+  //Invitations expire after INVITATION_EXPIRE days (Defaults to 7)
+  const expireDays = parseInt(process.env.INVITATION_EXPIRE, 10) || 7;
+
+  const invitation = new OrganizationInvitation({
+    organization: organization._id,
+    email: req.body.email,
+    role: req.body.role,
+    invitedBy: req.user.id,
+    expiresAt: Date.now() + expireDays * 24 * 60 * 60 * 1000,
+  });
+
+  const invitationToken = invitation.getInvitationToken();
+
+  await invitation.validate();
+
+  //A new invitation replaces the earlier ones of the email
+  await OrganizationInvitation.deleteMany({
+    organization: organization._id,
+    email: invitation.email,
+  });
+  await invitation.save();
+
+  const invitationUrl = `${req.protocol}://${req.get(
+    "host"
+  )}/api/v1/organizations/invitations/${invitationToken}`;
+
+  await notify(
+    invitation.email,
+    `Invitation to ${organization.name}`,
+    `${req.user.name} has invited you to join ${organization.name} on SkillBridge as ${invitation.role}. Please log in with this email and make a PUT request within ${expireDays} days to accept the invitation: \n\n ${invitationUrl}`
+  );
+
+  invitation.token = undefined;
+
+  res.status(201).json({ success: true, data: invitation });
+});
+
+//@desc:     Cancel an invitation
+//@route:    DELETE   /api/v1/organizations/:id/invitations/:invitationId
+//@access:   Private
+
+exports.cancelInvitation = asyncHandler(async (req, res, next) => {
+  const organization = await findOrganization(req, "owner");
+
+  const invitation = await OrganizationInvitation.findOneAndDelete({
+    _id: req.params.invitationId,
+    organization: organization._id,
+  });
+
+  if (!invitation) {
+    return next(
+      new ErrorResponse(
+        `No invitation with the id of ${req.params.invitationId}`,
+        404
+      )
+    );
+  }
+
+  res.status(200).json({ success: true, data: {} });
+});
+
+//@desc:     Accept an invitation
+//@route:    PUT   /api/v1/organizations/invitations/:invitationToken
+//@access:   Private
+
+exports.acceptInvitation = asyncHandler(async (req, res, next) => {
+  const invitation = await OrganizationInvitation.findByToken(
+    req.params.invitationToken
+  );
+
+  //Invitations can only be accepted by the user they were sent to
+  if (!invitation || invitation.email !== req.user.email.toLowerCase()) {
+    return next(new ErrorResponse(`Invalid token`, 400));
+  }
+
+  const organization = await Organization.findById(invitation.organization);
+
+  if (!organization) {
+    return next(
+      new ErrorResponse(
+        `No organization with the id of ${invitation.organization}`,
+        404
+      )
+    );
+  }
+
+  if (!organization.getRole(req.user.id)) {
+    organization.members.push({ user: req.user.id, role: invitation.role });
+    await organization.save();
+  }
+
+  await invitation.deleteOne();
+
+  res.status(200).json({ success: true, data: organization });
+});
+
+//@desc:     Change the role of a member
+//@route:    PUT   /api/v1/organizations/:id/members/:userId
+//@access:   Private
+
+exports.updateMember = asyncHandler(async (req, res, next) => {
+  const organization = await findOrganization(req, "owner");
+
+  if (!Organization.roles.includes(req.body.role)) {
+    return next(
+      new ErrorResponse(
+        `Please add a role (${Organization.roles.join(", ")})`,
+        400
+      )
+    );
+  }
+
+  const member = organization.members.find((member) =>
+    member.user.equals(req.params.userId)
+  );
+
+  if (!member) {
+    return next(
+      new ErrorResponse(
+        `User ${req.params.userId} is not a member of organization ${organization._id}`,
+        404
+      )
+    );
+  }
+
+  if (member.role === "owner" && req.body.role !== "owner") {
+    checkOwnersLeft(organization, member.user);
+  }
+
+  member.role = req.body.role;
+  await organization.save();
+
+  res.status(200).json({ success: true, data: organization });
+});
+
+//@desc:     Remove a member from the organization (Members can also leave it)
+//@route:    DELETE   /api/v1/organizations/:id/members/:userId
+//@access:   Private
+
+exports.removeMember = asyncHandler(async (req, res, next) => {
+  const leaving = req.params.userId === req.user.id;
+  const organization = await findOrganization(
+    req,
+    leaving ? "viewer" : "owner"
+  );
+
+  const member = organization.members.find((member) =>
+    member.user.equals(req.params.userId)
+  );
+
+  if (!member) {
+    return next(
+      new ErrorResponse(
+        `User ${req.params.userId} is not a member of organization ${organization._id}`,
+        404
+      )
+    );
+  }
+
+  if (member.role === "owner") {
+    checkOwnersLeft(organization, member.user);
+  }
+
+  member.deleteOne();
+  await organization.save();
+
+  res.status(200).json({ success: true, data: organization });
+});
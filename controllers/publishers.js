@@ -0,0 +1,186 @@
+const ErrorResponse = require("../utils/errorResponse");
+const asyncHandler = require("../middleware/async");
+const notify = require("../utils/notify");
+const PublisherApplication = require("../models/PublisherApplication");
+const Bootcamp = require("../models/Bootcamp");
+const User = require("../models/User");
+const { roles, hasPermission } = require("../config/roles");
+
+//Find a pending application or return an error
+const getPendingApplication = async (id) => {
+  const application = await PublisherApplication.findById(id).populate("user");
+
+  if (!application) {
+    throw new ErrorResponse(`No application with the id of ${id}`, 404);
+  }
+
+  if (!application.user) {
+    throw new ErrorResponse(`The applicant of ${id} no longer exists`, 404);
+  }
+
+  if (application.status !== "pending") {
+    throw new ErrorResponse(
+      `Application ${id} has already been ${application.status}`,
+      400
+    );
+  }
+
+  return application;
+};
+
+//@desc:     Get publisher applications
+//@route:    GET   /api/v1/publishers/applications
+//@access:   Private/Admin
+
+exports.getApplications = asyncHandler(async (req, res, next) => {
+  res.status(200).json(res.advancedResults);
+});
+
+//@desc:     Get single publisher application
+//@route:    GET   /api/v1/publishers/applications/:id
+//@access:   Private
+
+exports.getApplication = asyncHandler(async (req, res, next) => {
+  const application = await PublisherApplication.findById(
+    req.params.id
+  ).populate({ path: "user", select: "name email role" });
+
+  if (!application) {
+    return next(
+      new ErrorResponse(`No application with the id of ${req.params.id}`, 404)
+    );
+  }
+
+  //Applicants can only see their own application (The applicant is null once their account has been deleted)
+  const isApplicant =
+    application.user && application.user._id.toString() === req.user.id;
+
+  if (!isApplicant && !req.user.hasPermission("publisher:review")) {
+    return next(
+      new ErrorResponse(
+        `User ${req.user.id} is not authorized to view this application`,
+        401
+      )
+    );
+  }
+
+  res.status(200).json({ success: true, data: application });
+});
+
+//@desc:     Apply to become a verified publisher
+//@route:    POST   /api/v1/publishers/applications
+//@access:   Private
+
+exports.createApplication = asyncHandler(async (req, res, next) => {
+  if (req.user.isVerifiedPublisher) {
+    return next(
+      new ErrorResponse(
+        `User ${req.user.id} is already a verified publisher`,
+        400
+      )
+    );
+  }
+
+  //Only one application can be reviewed at a time
+  const pending = await PublisherApplication.findOne({
+    user: req.user.id,
+    status: "pending",
+  });
+
+  if (pending) {
+    return next(
+      new ErrorResponse(
+        `User ${req.user.id} already has a pending application`,
+        400
+      )
+    );
+  }
+
+  const { organization, website, message } = req.body;
+
+  const application = await PublisherApplication.create({
+    user: req.user.id,
+    organization,
+    website,
+    message,
+  });
+
+  //Let the reviewers know about the new application
+  const reviewerRoles = roles.filter((role) =>
+    hasPermission(role, "publisher:review")
+  );
+  const reviewers = await User.find({ role: { $in: reviewerRoles } });
+
+  const reviewUrl = `${req.protocol}://${req.get(
+    "host"
+  )}/api/v1/publishers/applications/${application._id}`;
+
+  const notification = `${req.user.name} (${req.user.email}) applied to become a publisher for ${organization}. Please review the application: \n\n ${reviewUrl}`;
+
+  for (const reviewer of reviewers) {
+    await notify(reviewer.email, "New publisher application", notification);
+  }
+
+  res.status(201).json({ success: true, data: application });
+});
+
+//@desc:     Approve publisher application
+//@route:    PUT   /api/v1/publishers/applications/:id/approve
+//@access:   Private/Admin
+
+exports.approveApplication = asyncHandler(async (req, res, next) => {
+  const application = await getPendingApplication(req.params.id);
+  const applicant = application.user;
+
+  application.status = "approved";
+  application.reviewedBy = req.user.id;
+  application.reviewedAt = Date.now();
+  await application.save();
+
+  //Users become publishers, other roles (e.g. admins) are kept
+  if (applicant.role === "user") {
+    applicant.role = "publisher";
+  }
+  applicant.isVerifiedPublisher = true;
+  await applicant.save({ validateBeforeSave: false });
+
+  //Bootcamps created before the approval go live now
+  await Bootcamp.updateMany(
+    { user: applicant._id },
+    { publisherVerified: true }
+  );
+
+  await notify(
+    applicant.email,
+    "Publisher application approved",
+    `Your application to publish bootcamps for ${application.organization} has been approved. Your published bootcamps are now listed on SkillBridge.`
+  );
+
+  res.status(200).json({ success: true, data: application });
+});
+
+//@desc:     Reject publisher application
+//@route:    PUT   /api/v1/publishers/applications/:id/reject
+//@access:   Private/Admin
+
+exports.rejectApplication = asyncHandler(async (req, res, next) => {
+  const application = await getPendingApplication(req.params.id);
+
+  application.status = "rejected";
+  application.rejectionReason = req.body.reason;
+  application.reviewedBy = req.user.id;
+  application.reviewedAt = Date.now();
+  await application.save();
+
+  await notify(
+    application.user.email,
+    "Publisher application rejected",
+    `Your application to publish bootcamps for ${
+      application.organization
+    } has been rejected.${
+      req.body.reason ? `\n\nReason: ${req.body.reason}` : ""
+    }\n\nYou can apply again with more details.`
+  );
+
+  res.status(200).json({ success: true, data: application });
+});
@@ -6,11 +6,16 @@ const Bootcamp = require("../models/Bootcamp");
 //@desc:     Get all reviews
 //@route:    GET   /api/v1/reviews
 //@route:    GET   /api/v1/bootcamps/:bootcampId/reviews
-//@access:   Public
+//@access:   Public (Reviews of drafts only for members of the organization and admins)
 
 exports.getReviews = asyncHandler(async (req, res, next) => {
   if (req.params.bootcampId) {
-    const reviews = await Review.find({ bootcamp: req.params.bootcampId });
+    const reviews = await Review.find({
+      $and: [
+        { bootcamp: req.params.bootcampId },
+        { bootcamp: { $in: await Bootcamp.visibleIds(req.user) } },
+      ],
+    });
     return res
       .status(200)
       .json({ success: true, count: reviews.length, data: reviews });
@@ -21,10 +26,13 @@ exports.getReviews = asyncHandler(async (req, res, next) => {
 
 //@desc:     Get single review
 //@route:    GET   /api/v1/review/:id
-//@access:   Public
+//@access:   Public (Reviews of drafts only for members of the organization and admins)
 
 exports.getReview = asyncHandler(async (req, res, next) => {
-  const review = await Review.findById(req.params.id).populate({
+  const review = await Review.findOne({
+    _id: req.params.id,
+    bootcamp: { $in: await Bootcamp.visibleIds(req.user) },
+  }).populate({
     path: "bootcamp",
     select: "name description",
   });
@@ -50,7 +58,10 @@ exports.addReview = asyncHandler(async (req, res, next) => {
   //Adding the associated user ID to the req.body
   req.body.user = req.user.id;
 
-  const bootcamp = await Bootcamp.findById(req.params.bootcampId);
+  //Only bootcamps everybody can see can be reviewed (Not drafts or bootcamps waiting for review)
+  const bootcamp = await Bootcamp.findOne({
+    $and: [{ _id: req.params.bootcampId }, await Bootcamp.visibleTo()],
+  });
 
   if (!bootcamp) {
     return next(
@@ -82,11 +93,19 @@ exports.updateReview = asyncHandler(async (req, res, next) => {
     );
   }
 
-  //Make sure review belongs to user or user is admin
-  if (review.user.toString() !== req.user.id && req.user.role !== "admin") {
+  //Make sure review belongs to user or user is a moderator
+  if (
+    review.user.toString() !== req.user.id &&
+    !req.user.hasPermission("review:moderate")
+  ) {
     return next(new ErrorResponse(`Not authorized to update review`, 401));
   }
 
+  //The trash fields are only changed by softDelete and restore (See utils/softDelete.js)
+  delete req.body.deletedAt;
+  delete req.body.deletedBy;
+  delete req.body.deletedWith;
+
   review = await Review.findByIdAndUpdate(req.params.id, req.body, {
     new: true,
     runValidators: true,
@@ -108,12 +127,55 @@ exports.deleteReview = asyncHandler(async (req, res, next) => {
     );
   }
 
-  //Make sure review belongs to user or user is admin
-  if (review.user.toString() !== req.user.id && req.user.role !== "admin") {
+  //Make sure review belongs to user or user is a moderator
+  if (
+    review.user.toString() !== req.user.id &&
+    !req.user.hasPermission("review:moderate")
+  ) {
     return next(new ErrorResponse(`Not authorized to delete review`, 401));
   }
 
-  await review.deleteOne();
+  //Move the review to the trash (Purged after TRASH_RETENTION days)
+  await review.softDelete(req.user.id);
+
+  res.status(200).json({ success: true, data: review });
+});
+
+//@desc:     Restore deleted review
+//@route:    POST   /api/v1/reviews/:id/restore
+//@access:   Private
+
+exports.restoreReview = asyncHandler(async (req, res, next) => {
+  const review = await Review.findDeletedById(req.params.id);
+
+  if (!review) {
+    return next(
+      new ErrorResponse(
+        `No deleted review with the id of ${req.params.id}`,
+        404
+      )
+    );
+  }
+
+  //Make sure review belongs to user or user is a moderator
+  if (
+    review.user.toString() !== req.user.id &&
+    !req.user.hasPermission("review:moderate")
+  ) {
+    return next(new ErrorResponse(`Not authorized to restore review`, 401));
+  }
+
+  //The bootcamp may have been deleted as well
+  if (!(await Bootcamp.exists({ _id: review.bootcamp }))) {
+    return next(
+      new ErrorResponse(
+        `The bootcamp of review ${review._id} is deleted, please restore the bootcamp first`,
+        400
+      )
+    );
+  }
+
+  await review.restore();
 
   res.status(200).json({ success: true, data: review });
 });
@@ -0,0 +1,158 @@
+const mongoose = require("mongoose");
+const ErrorResponse = require("../utils/errorResponse");
+const asyncHandler = require("../middleware/async");
+const Revision = require("../models/Revision");
+
+//The history routes are shared by bootcamps and courses, so the handlers are created for a model
+
+//Find the document and make sure the user can manage it (Member of the organization with the role or the "update:any" permission)
+const findManagedDocument = async (Model, req, role) => {
+  const name = Model.modelName.toLowerCase();
+  const doc = await Model.findById(req.params.id);
+
+  if (!doc) {
+    throw new ErrorResponse(`No ${name} with the id of ${req.params.id}`, 404);
+  }
+
+  //API keys can be limited to a single bootcamp
+  if (!req.user.canAccessBootcamp(doc.bootcamp || doc._id)) {
+    throw new ErrorResponse(
+      `API key is not authorized to access ${name} ${doc._id}`,
+      403
+    );
+  }
+
+  if (
+    !(await doc.isManagedBy(req.user.id, role)) &&
+    !req.user.hasPermission(`${name}:update:any`)
+  ) {
+    throw new ErrorResponse(
+      `User ${req.user.id} is not authorized to access the history of ${name} ${doc._id}`,
+      401
+    );
+  }
+
+  return doc;
+};
+
+//@desc:     Get the revision history of a bootcamp or course
+//@route:    GET   /api/v1/bootcamps/:id/history
+//@route:    GET   /api/v1/courses/:id/history
+//@access:   Private
+
+exports.getHistory = (Model) =>
+  asyncHandler(async (req, res, next) => {
+    const doc = await findManagedDocument(Model, req, "viewer");
+
+    const revisions = await Revision.find({
+      resourceType: Model.modelName,
+      resource: doc._id,
+    })
+      .sort("-version")
+      .populate({ path: "user", select: "name" });
+
+    res
+      .status(200)
+      .json({ success: true, count: revisions.length, data: revisions });
+  });
+
+//@desc:     Get a bootcamp or course as it was at a version
+//@route:    GET   /api/v1/bootcamps/:id/history/:version
+//@route:    GET   /api/v1/courses/:id/history/:version
+//@access:   Private
+
+exports.getVersion = (Model) =>
+  asyncHandler(async (req, res, next) => {
+    const doc = await findManagedDocument(Model, req, "viewer");
+    const version = parseInt(req.params.version, 10);
+
+    const revision = await Revision.findOne({
+      resourceType: Model.modelName,
+      resource: doc._id,
+      version,
+    }).populate({ path: "user", select: "name" });
+
+    if (!revision) {
+      return next(
+        new ErrorResponse(`No version ${req.params.version} of ${doc._id}`, 404)
+      );
+    }
+
+    const snapshot = await Revision.getSnapshot(
+      Model.modelName,
+      doc._id,
+      version
+    );
+
+    res.status(200).json({ success: true, data: snapshot, revision });
+  });
+
+//@desc:     Revert a bootcamp or course to a version
+//@route:    POST   /api/v1/bootcamps/:id/revert/:version
+//@route:    POST   /api/v1/courses/:id/revert/:version
+//@access:   Private
+
+exports.revertToVersion = (Model) =>
+  asyncHandler(async (req, res, next) => {
+    const before = await findManagedDocument(Model, req, "editor");
+    const version = parseInt(req.params.version, 10);
+
+    const snapshot = await Revision.getSnapshot(
+      Model.modelName,
+      before._id,
+      version
+    );
+
+    if (!snapshot) {
+      return next(
+        new ErrorResponse(
+          `No version ${req.params.version} of ${before._id}`,
+          404
+        )
+      );
+    }
+
+    //Fields which did not exist at that version are removed
+    const update = { $set: {}, $unset: {} };
+
+    Model.revisionFields.forEach((field) => {
+      if (snapshot[field] === undefined || snapshot[field] === null) {
+        update.$unset[field] = "";
+      } else {
+        update.$set[field] = snapshot[field];
+      }
+    });
+
+    //Reverted bootcamps are reviewed again like edited ones
+    if (Model.modelName === "Bootcamp") {
+      update.$set.status = before.statusAfterEdit(req.user);
+    }
+
+    //MongoDB rejects empty update operators
+    Object.keys(update).forEach((operator) => {
+      if (Object.keys(update[operator]).length === 0) {
+        delete update[operator];
+      }
+    });
+
+    //The revert is recorded in the same transaction (See updateBootcamp)
+    let doc;
+
+    await mongoose.connection.transaction(async (session) => {
+      const current = await Model.findById(before._id).session(session);
+
+      doc = await Model.findByIdAndUpdate(before._id, update, {
+        new: true,
+        runValidators: true,
+        session,
+      });
+
+      await Revision.record(Model, current, doc, req.user.id, {
+        action: "revert",
+        revertedTo: version,
+        session,
+      });
+    });
+
+    res.status(200).json({ success: true, data: doc });
+  });
@@ -0,0 +1,207 @@
+const ErrorResponse = require("../utils/errorResponse");
+const asyncHandler = require("../middleware/async");
+const { searchTerms, highlight } = require("../utils/highlight");
+const suggestions = require("../utils/suggestions");
+const Bootcamp = require("../models/Bootcamp");
+const Course = require("../models/Course");
+const Review = require("../models/Review");
+
+//Searchable resources with the text fields of their text index (See the models) and the fields returned
+const searchTypes = {
+  bootcamps: {
+    type: "bootcamp",
+    model: Bootcamp,
+    fields: ["name", "description"],
+    select:
+      "name slug description photo careers averageRating averageCost location.city location.state",
+  },
+  courses: {
+    type: "course",
+    model: Course,
+    fields: ["title", "description"],
+    select: "title description weeks tuition minimumSkill bootcamp",
+  },
+  reviews: {
+    type: "review",
+    model: Review,
+    fields: ["title", "text"],
+    select: "title text rating bootcamp",
+  },
+};
+
+//Filters of a type from the query, e.g. courses[minimumSkill]=beginner or reviews[rating][gte]=8 (Like advancedResults)
+const typeFilter = (query) => {
+  if (!query || typeof query !== "object") {
+    return {};
+  }
+
+  return JSON.parse(
+    JSON.stringify(query).replace(
+      /\b(gt|gte|lt|lte|in)\b/g,
+      (match) => `$${match}`
+    )
+  );
+};
+
+//@desc:     Search bootcamps, courses and reviews, ranked by relevance (q: MongoDB text search, e.g. javascript "full stack" -php)
+//@route:    GET   /api/v1/search?q=&type=bootcamps,courses,reviews
+//@access:   Public (Drafts only for members of the organization and admins)
+
+exports.search = asyncHandler(async (req, res, next) => {
+  const search = typeof req.query.q === "string" ? req.query.q.trim() : "";
+
+  if (!search) {
+    return next(new ErrorResponse(`Please add a search term`, 400));
+  }
+
+  const types = req.query.type
+    ? String(req.query.type).split(",")
+    : Object.keys(searchTypes);
+  const unknown = types.filter((type) => !searchTypes[type]);
+
+  if (unknown.length > 0) {
+    return next(
+      new ErrorResponse(
+        `Unknown search type ${unknown.join(", ")}, please use ${Object.keys(
+          searchTypes
+        ).join(", ")}`,
+        400
+      )
+    );
+  }
+
+  //Pagination (At most 50 results per page)
+  const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 10, 1), 50);
+  const startIndex = (page - 1) * limit;
+  const endIndex = page * limit;
+
+  //Every type loads its results up to the end of the page, so only the first SEARCH_MAX_RESULTS (Defaults to 500) can be paged through
+  const maxResults = parseInt(process.env.SEARCH_MAX_RESULTS, 10) || 500;
+
+  if (endIndex > maxResults) {
+    return next(
+      new ErrorResponse(
+        `Only the first ${maxResults} results can be paged through, please refine the search`,
+        400
+      )
+    );
+  }
+
+  //Courses and reviews are only found in bootcamps the user can see
+  const visible = await Bootcamp.visibleTo(req.user);
+  const bootcampIds = types.some((type) => type !== "bootcamps")
+    ? await Bootcamp.distinct("_id", visible)
+    : [];
+
+  const terms = searchTerms(search);
+  const counts = {};
+  let results = [];
+
+  for (const name of types) {
+    const { type, model, fields, select } = searchTypes[name];
+
+    const filter = {
+      $text: { $search: search },
+      $and: [
+        name === "bootcamps" ? visible : { bootcamp: { $in: bootcampIds } },
+        typeFilter(req.query[name]),
+      ],
+    };
+
+    counts[name] = await model.countDocuments(filter);
+
+    //The scores of all types are compared, so every type needs its best results up to the end of the page
+    let query = model
+      .find(filter)
+      .select(select)
+      .select({ score: { $meta: "textScore" } })
+      .sort({ score: { $meta: "textScore" } })
+      .limit(endIndex)
+      .lean();
+
+    if (name !== "bootcamps") {
+      query = query.populate({ path: "bootcamp", select: "name slug" });
+    }
+
+    const docs = await query;
+
+    results = results.concat(
+      docs.map(({ score, ...doc }) => {
+        const highlights = {};
+
+        fields.forEach((field) => {
+          const snippet = highlight(doc[field], terms);
+
+          if (snippet) {
+            highlights[field] = snippet;
+          }
+        });
+
+        return { type, score, highlights, data: doc };
+      })
+    );
+  }
+
+  results = results
+    .sort((a, b) => b.score - a.score)
+    .slice(startIndex, endIndex);
+
+  const total = Object.values(counts).reduce((sum, count) => sum + count, 0);
+
+  //Pagination result
+  const pagination = {};
+
+  if (endIndex < Math.min(total, maxResults)) {
+    pagination.next = { page: page + 1, limit };
+  }
+
+  if (startIndex > 0) {
+    pagination.prev = { page: page - 1, limit };
+  }
+
+  res.status(200).json({
+    success: true,
+    count: results.length,
+    total,
+    counts,
+    pagination,
+    data: results,
+  });
+});
+
+//@desc:     Suggest bootcamp names, course titles, careers and cities for the search box (Allows typos in longer prefixes)
+//@route:    GET   /api/v1/search/suggest?prefix=&type=bootcamp,course,career,city
+//@access:   Public
+
+exports.suggest = asyncHandler(async (req, res, next) => {
+  const prefix =
+    typeof req.query.prefix === "string" ? req.query.prefix.trim() : "";
+
+  if (!prefix) {
+    return next(new ErrorResponse(`Please add a prefix`, 400));
+  }
+
+  const type = req.query.type ? String(req.query.type).split(",") : undefined;
+  const unknown = (type || []).filter(
+    (name) => !suggestions.types.includes(name)
+  );
+
+  if (unknown.length > 0) {
+    return next(
+      new ErrorResponse(
+        `Unknown suggestion type ${unknown.join(
+          ", "
+        )}, please use ${suggestions.types.join(", ")}`,
+        400
+      )
+    );
+  }
+
+  //At most 25 suggestions (Defaults to 10)
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 10, 1), 25);
+
+  const data = await suggestions.suggest(prefix, { limit, type });
+
+  res.status(200).json({ success: true, count: data.length, data });
+});
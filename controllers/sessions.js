@@ -0,0 +1,84 @@
+const ErrorResponse = require("../utils/errorResponse");
+const asyncHandler = require("../middleware/async");
+const Session = require("../models/Session");
+const User = require("../models/User");
+
+//Query for the sessions of a user which can still be used
+const activeSessions = (userId) => ({
+  user: userId,
+  revokedAt: { $exists: false },
+  expiresAt: { $gt: Date.now() },
+});
+
+//@desc:     Get active sessions
+//@route:    GET   /api/v1/auth/sessions
+//@route:    GET   /api/v1/users/:userId/sessions
+//@access:   Private
+
+exports.getSessions = asyncHandler(async (req, res, next) => {
+  //If userId is present, an admin is looking at the sessions of another user
+  const userId = req.params.userId || req.user.id;
+
+  if (req.params.userId && !(await User.findById(userId))) {
+    return next(new ErrorResponse(`No user with the id of ${userId}`, 404));
+  }
+
+  const sessions = await Session.find(activeSessions(userId)).sort(
+    "-lastSeenAt"
+  );
+
+  //Flag the session the request was made with
+  const data = sessions.map((session) => ({
+    ...session.toObject(),
+    current: session._id.equals(req.session._id),
+  }));
+
+  res.status(200).json({ success: true, count: data.length, data });
+});
+
+//@desc:     Revoke a single session
+//@route:    DELETE   /api/v1/auth/sessions/:id
+//@route:    DELETE   /api/v1/users/:userId/sessions/:id
+//@access:   Private
+
+exports.revokeSession = asyncHandler(async (req, res, next) => {
+  const userId = req.params.userId || req.user.id;
+
+  //Only sessions belonging to the user can be found, so users can not revoke each other's sessions
+  const session = await Session.findOne({
+    _id: req.params.id,
+    ...activeSessions(userId),
+  });
+
+  if (!session) {
+    return next(
+      new ErrorResponse(`No session with the id of ${req.params.id}`, 404)
+    );
+  }
+
+  session.revokedAt = Date.now();
+  await session.save();
+
+  res.status(200).json({ success: true, data: {} });
+});
+
+//@desc:     Revoke all sessions (Sign out everywhere)
+//@route:    DELETE   /api/v1/auth/sessions
+//@route:    DELETE   /api/v1/users/:userId/sessions
+//@access:   Private
+
+exports.revokeSessions = asyncHandler(async (req, res, next) => {
+  const userId = req.params.userId || req.user.id;
+
+  if (req.params.userId && !(await User.findById(userId))) {
+    return next(new ErrorResponse(`No user with the id of ${userId}`, 404));
+  }
+
+  const result = await Session.updateMany(activeSessions(userId), {
+    revokedAt: Date.now(),
+  });
+
+  res
+    .status(200)
+    .json({ success: true, count: result.modifiedCount, data: {} });
+});
@@ -0,0 +1,282 @@
+const mongoose = require("mongoose");
+const ErrorResponse = require("../utils/errorResponse");
+const asyncHandler = require("../middleware/async");
+const notify = require("../utils/notify");
+const BootcampTransfer = require("../models/BootcampTransfer");
+const Bootcamp = require("../models/Bootcamp");
+const Course = require("../models/Course");
+const Organization = require("../models/Organization");
+const User = require("../models/User");
+
+//Find the bootcamp and make sure the user can transfer it (Owner of the organization or the "transfer:any" permission)
+const findTransferableBootcamp = async (req) => {
+  const bootcamp = await Bootcamp.findById(req.params.bootcampId);
+
+  if (!bootcamp) {
+    throw new ErrorResponse(
+      `Bootcamp not found with id of ${req.params.bootcampId}`,
+      404
+    );
+  }
+
+  if (
+    !(await bootcamp.isManagedBy(req.user.id, "owner")) &&
+    !req.user.hasPermission("bootcamp:transfer:any")
+  ) {
+    throw new ErrorResponse(
+      `User ${req.user.id} is not authorized to transfer this bootcamp`,
+      401
+    );
+  }
+
+  return bootcamp;
+};
+
+//Transferred bootcamps move into the organization of the recipient
+//The quota of the organization only limits new bootcamps, taking over the bootcamp of a leaving owner is always possible
+const checkRecipient = async (recipient) => {
+  if (!recipient.hasPermission("bootcamp:create")) {
+    throw new ErrorResponse(
+      `User ${recipient.email} is not a publisher and can not own a bootcamp`,
+      400
+    );
+  }
+
+  return Organization.findPersonal(recipient);
+};
+
+//Find the open transfer of the bootcamp in the request
+const findPendingTransfer = (req) =>
+  BootcampTransfer.findOne({
+    bootcamp: req.params.bootcampId,
+    status: "pending",
+  })
+    .sort("-createdAt")
+    .populate({ path: "bootcamp", select: "name user" })
+    .populate({ path: "from", select: "name email" })
+    .populate({ path: "to", select: "name email" });
+
+//@desc:     Get the transfers of a bootcamp
+//@route:    GET   /api/v1/bootcamps/:bootcampId/transfer
+//@access:   Private
+
+exports.getTransfers = asyncHandler(async (req, res, next) => {
+  const bootcamp = await findTransferableBootcamp(req);
+
+  const transfers = await BootcampTransfer.find({ bootcamp: bootcamp._id })
+    .sort("-createdAt")
+    .populate({ path: "from to requestedBy", select: "name email" });
+
+  res
+    .status(200)
+    .json({ success: true, count: transfers.length, data: transfers });
+});
+
+//@desc:     Request the transfer of a bootcamp to another publisher
+//@route:    POST   /api/v1/bootcamps/:bootcampId/transfer
+//@access:   Private
+
+exports.requestTransfer = asyncHandler(async (req, res, next) => {
+  const bootcamp = await findTransferableBootcamp(req);
+
+  const recipient = await User.findOne({ email: req.body.email });
+
+  if (!recipient) {
+    return next(
+      new ErrorResponse(`There is no user with email ${req.body.email}`, 404)
+    );
+  }
+
+  if (recipient._id.equals(bootcamp.user)) {
+    return next(
+      new ErrorResponse(
+        `User ${recipient.email} already owns bootcamp ${bootcamp._id}`,
+        400
+      )
+    );
+  }
+
+  await checkRecipient(recipient);
+
+  //Only one transfer can be open at a time
+  const pending = await findPendingTransfer(req);
+
+  if (pending && pending.isOpen()) {
+    return next(
+      new ErrorResponse(
+        `Bootcamp ${bootcamp._id} already has a pending transfer`,
+        400
+      )
+    );
+  }
+
+  //Recipients have TRANSFER_EXPIRE days to accept (Defaults to 7)
+  const expireDays = parseInt(process.env.TRANSFER_EXPIRE, 10) || 7;
+
+  const transfer = await BootcampTransfer.create({
+    bootcamp: bootcamp._id,
+    from: bootcamp.user,
+    to: recipient._id,
+    requestedBy: req.user.id,
+    expiresAt: Date.now() + expireDays * 24 * 60 * 60 * 1000,
+  });
+
+  const transferUrl = `${req.protocol}://${req.get("host")}/api/v1/bootcamps/${
+    bootcamp._id
+  }/transfer`;
+
+  await notify(
+    recipient.email,
+    "Bootcamp transfer request",
+    `${req.user.name} wants to transfer the bootcamp ${bootcamp.name} to you. Please make a PUT request to accept or decline it within ${expireDays} days: \n\n ${transferUrl}/accept \n ${transferUrl}/decline`
+  );
+
+  const owner = await User.findById(bootcamp.user);
+
+  if (owner) {
+    await notify(
+      owner.email,
+      "Bootcamp transfer requested",
+      `A transfer of your bootcamp ${bootcamp.name} to ${recipient.name} (${recipient.email}) has been requested. It will be completed once ${recipient.name} accepts it.`
+    );
+  }
+
+  res.status(201).json({ success: true, data: transfer });
+});
+
+//@desc:     Accept the transfer of a bootcamp
+//@route:    PUT   /api/v1/bootcamps/:bootcampId/transfer/accept
+//@access:   Private
+
+exports.acceptTransfer = asyncHandler(async (req, res, next) => {
+  const transfer = await findPendingTransfer(req);
+
+  if (!transfer || !transfer.to || transfer.to._id.toString() !== req.user.id) {
+    return next(
+      new ErrorResponse(
+        `No pending transfer of bootcamp ${req.params.bootcampId} to user ${req.user.id}`,
+        404
+      )
+    );
+  }
+
+  if (!transfer.isOpen()) {
+    return next(new ErrorResponse(`The transfer has expired`, 400));
+  }
+
+  //The bootcamp may have been deleted or changed owner in the meantime
+  if (
+    !transfer.bootcamp ||
+    !transfer.from ||
+    !transfer.bootcamp.user.equals(transfer.from._id)
+  ) {
+    transfer.status = "cancelled";
+    transfer.respondedAt = Date.now();
+    await transfer.save();
+
+    return next(
+      new ErrorResponse(`The bootcamp is no longer owned by the sender`, 400)
+    );
+  }
+
+  const organization = await checkRecipient(req.user);
+
+  //Hand over the bootcamp with its courses (Including courses in the trash, so they can be restored by the new owner)
+  await mongoose.connection.transaction(async (session) => {
+    await Bootcamp.updateOne(
+      { _id: transfer.bootcamp._id },
+      {
+        user: req.user.id,
+        organization: organization._id,
+        publisherVerified:
+          req.user.isVerifiedPublisher ||
+          req.user.hasPermission("publisher:review"),
+      },
+      { session }
+    );
+
+    const courses = await Course.updateMany(
+      { bootcamp: transfer.bootcamp._id },
+      { user: req.user.id },
+      { session, withDeleted: true }
+    );
+
+    transfer.status = "accepted";
+    transfer.respondedAt = Date.now();
+    transfer.coursesTransferred = courses.modifiedCount;
+    await transfer.save({ session });
+  });
+
+  const message = `The bootcamp ${transfer.bootcamp.name} has been transferred from ${transfer.from.name} to ${transfer.to.name}.`;
+
+  await notify(transfer.from.email, "Bootcamp transferred", message);
+  await notify(transfer.to.email, "Bootcamp transferred", message);
+
+  res.status(200).json({ success: true, data: transfer });
+});
+
+//@desc:     Decline the transfer of a bootcamp
+//@route:    PUT   /api/v1/bootcamps/:bootcampId/transfer/decline
+//@access:   Private
+
+exports.declineTransfer = asyncHandler(async (req, res, next) => {
+  const transfer = await findPendingTransfer(req);
+
+  if (!transfer || !transfer.to || transfer.to._id.toString() !== req.user.id) {
+    return next(
+      new ErrorResponse(
+        `No pending transfer of bootcamp ${req.params.bootcampId} to user ${req.user.id}`,
+        404
+      )
+    );
+  }
+
+  transfer.status = "declined";
+  transfer.respondedAt = Date.now();
+  await transfer.save();
+
+  if (transfer.from) {
+    await notify(
+      transfer.from.email,
+      "Bootcamp transfer declined",
+      `${transfer.to.name} has declined the transfer of the bootcamp ${
+        transfer.bootcamp ? transfer.bootcamp.name : req.params.bootcampId
+      }.`
+    );
+  }
+
+  res.status(200).json({ success: true, data: transfer });
+});
+
+//@desc:     Cancel the pending transfer of a bootcamp
+//@route:    DELETE   /api/v1/bootcamps/:bootcampId/transfer
+//@access:   Private
+
+exports.cancelTransfer = asyncHandler(async (req, res, next) => {
+  await findTransferableBootcamp(req);
+
+  const transfer = await findPendingTransfer(req);
+
+  if (!transfer) {
+    return next(
+      new ErrorResponse(
+        `No pending transfer of bootcamp ${req.params.bootcampId}`,
+        404
+      )
+    );
+  }
+
+  transfer.status = "cancelled";
+  transfer.respondedAt = Date.now();
+  await transfer.save();
+
+  if (transfer.to) {
+    await notify(
+      transfer.to.email,
+      "Bootcamp transfer cancelled",
+      `The transfer of the bootcamp ${transfer.bootcamp.name} to you has been cancelled.`
+    );
+  }
+
+  res.status(200).json({ success: true, data: transfer });
+});
@@ -0,0 +1,83 @@
+const ErrorResponse = require("../utils/errorResponse");
+const asyncHandler = require("../middleware/async");
+const Bootcamp = require("../models/Bootcamp");
+const Course = require("../models/Course");
+const Review = require("../models/Review");
+const User = require("../models/User");
+const {
+  deleteBootcamps,
+  deleteCourses,
+  deleteReviews,
+  deleteUsers,
+  runCascade,
+} = require("../utils/cascadeDelete");
+
+//Permanent deletes of every resource (Including everything that belongs to it)
+const cascades = {
+  bootcamps: deleteBootcamps,
+  courses: deleteCourses,
+  reviews: deleteReviews,
+  users: deleteUsers,
+};
+
+//Resources which are moved to the trash when they are deleted
+exports.trashModels = {
+  bootcamps: Bootcamp,
+  courses: Course,
+  reviews: Review,
+  users: User,
+};
+
+//@desc:     Get the number of deleted items of every resource
+//@route:    GET   /api/v1/trash
+//@access:   Private/Admin
+
+exports.getTrashSummary = asyncHandler(async (req, res, next) => {
+  const data = {};
+
+  for (const [name, Model] of Object.entries(exports.trashModels)) {
+    data[name] = await Model.countDocuments({
+      deletedAt: { $ne: null },
+    }).setOptions({ withDeleted: true });
+  }
+
+  res.status(200).json({
+    success: true,
+    retentionDays: parseInt(process.env.TRASH_RETENTION, 10) || 30,
+    data,
+  });
+});
+
+//@desc:     Get deleted items of a resource
+//@route:    GET   /api/v1/trash/:resource
+//@access:   Private/Admin
+
+exports.getTrash = asyncHandler(async (req, res, next) => {
+  res.status(200).json(res.advancedResults);
+});
+
+//@desc:     Permanently delete an item from the trash
+//@route:    DELETE   /api/v1/trash/:resource/:id
+//@access:   Private/Admin
+
+exports.deleteFromTrash = (resource) =>
+  asyncHandler(async (req, res, next) => {
+    const doc = await exports.trashModels[resource].findDeletedById(
+      req.params.id
+    );
+
+    if (!doc) {
+      return next(
+        new ErrorResponse(
+          `No deleted item with the id of ${req.params.id}`,
+          404
+        )
+      );
+    }
+
+    await runCascade([
+      (session) => cascades[resource]({ _id: doc._id }, session),
+    ]);
+
+    res.status(200).json({ success: true, data: {} });
+  });
@@ -0,0 +1,31 @@
+const ErrorResponse = require("../utils/errorResponse");
+const asyncHandler = require("../middleware/async");
+const Upload = require("../models/Upload");
+
+//@desc:     Get the uploads of the user (Admins get all of them)
+//@route:    GET   /api/v1/uploads
+//@access:   Private
+
+exports.getUploads = asyncHandler(async (req, res, next) => {
+  res.status(200).json(res.advancedResults);
+});
+
+//@desc:     Get single upload to follow its scan
+//@route:    GET   /api/v1/uploads/:id
+//@access:   Private
+
+exports.getUpload = asyncHandler(async (req, res, next) => {
+  const upload = await Upload.findById(req.params.id);
+
+  if (
+    !upload ||
+    (!upload.user.equals(req.user.id) &&
+      !req.user.hasPermission("upload:manage"))
+  ) {
+    return next(
+      new ErrorResponse(`No upload with the id of ${req.params.id}`, 404)
+    );
+  }
+
+  res.status(200).json({ success: true, data: upload });
+});
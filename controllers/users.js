@@ -1,6 +1,12 @@
+const mongoose = require("mongoose");
 const ErrorResponse = require("../utils/errorResponse");
 const asyncHandler = require("../middleware/async");
 const User = require("../models/User");
+const {
+  checkOwnersLeft,
+  handOverBootcamps,
+} = require("../utils/cascadeDelete");
+const { checkPassword } = require("../utils/passwordPolicy");
 
 //@desc:     Get all users
 //@route:    GET   /api/v1/auth/users
@@ -28,6 +34,13 @@ exports.getUser = asyncHandler(async (req, res, next) => {
 //@access:   Private/Admin
 
 exports.createUser = asyncHandler(async (req, res, next) => {
+  //Check password against the password policy
+  const passwordErrors = await checkPassword(req.body.password);
+
+  if (passwordErrors.length > 0) {
+    return next(new ErrorResponse(passwordErrors.join(", "), 400));
+  }
+
   const user = await User.create(req.body);
 
   res.status(201).json({
@@ -41,7 +54,16 @@ exports.createUser = asyncHandler(async (req, res, next) => {
 //@access:   Private/Admin
 
 exports.updateUser = asyncHandler(async (req, res, next) => {
-  const user = await User.findByIdAndUpdate(req.params.id, req.body, {
+  //Sending unlock: true clears a lockout caused by failed logins
+  const { unlock, ...fieldsToUpdate } = req.body;
+
+  if (unlock) {
+    fieldsToUpdate.failedLoginAttempts = 0;
+    fieldsToUpdate.lockCount = 0;
+    fieldsToUpdate.$unset = { lockUntil: 1 };
+  }
+
+  const user = await User.findByIdAndUpdate(req.params.id, fieldsToUpdate, {
     new: true,
     runValidators: true,
   });
@@ -63,10 +85,37 @@ exports.deleteUser = asyncHandler(async (req, res, next) => {
   if (!user) {
     return next(new ErrorResponse("Resource not found", 404));
   }
-  await user.deleteOne();
+
+  await mongoose.connection.transaction(async (session) => {
+    //Bootcamps of organizations with other owners are handed over to them instead of going to the trash
+    await checkOwnersLeft([user._id], session);
+    await handOverBootcamps([user._id], session);
+
+    //Move the user with their bootcamps, courses and reviews to the trash (Purged after TRASH_RETENTION days)
+    await user.softDelete(req.user.id, undefined, session);
+  });
 
   res.status(200).json({
     success: true,
     data: {},
   });
 });
+
+//@desc:     Restore deleted user (With the content deleted together with them)
+//@route:    POST   /api/v1/users/:id/restore
+//@access:   Private/Admin
+
+exports.restoreUser = asyncHandler(async (req, res, next) => {
+  const user = await User.findDeletedById(req.params.id);
+
+  if (!user) {
+    return next(new ErrorResponse("Resource not found", 404));
+  }
+
+  await user.restore();
+
+  res.status(200).json({
+    success: true,
+    data: user,
+  });
+});
@@ -1,86 +1,132 @@
-const advancedResults = (model, populate) => async (req, res, next) => {
-  let query;
-
-  const reqQuery = { ...req.query }; //Copy version of req.query using Spread operator
-
-  //Fields to exclude
-  const removeFields = ["select", "sort", "page", "limit"];
-
-  //Loop over removeFields and delete them from reqQuery
-  removeFields.forEach((param) => delete reqQuery[param]);
-
-  //Create query string
-  let queryStr = JSON.stringify(reqQuery);
-
-  //Create operators ($gt, $gte, etc)
-
-  queryStr = queryStr.replace(
-    /\b(gt|gte|lt|lte|in)\b/g,
-    (match) => `$${match}`
-  );
-
-  //Finding resource
-  query = model.find(JSON.parse(queryStr));
-
-  //Select Fields
-
-  if (req.query.select) {
-    //Turning into array using split() and then joining it into a string using .join()
-    const fields = req.query.select.split(",").join(" ");
-    query = query.select(fields);
-  }
-
-  //Sort
-
-  if (req.query.sort) {
-    const sortBy = req.query.sort.split(",").join("");
-    query = query.sort(sortBy);
-  } else {
-    //Sorting by default in the order they were created At
-    query = query.sort("-createdAt");
-  }
-
-  //Pagination
-  const page = parseInt(req.query.page, 10) || 1;
-  const limit = parseInt(req.query.limit, 10) || 25;
-  const startIndex = (page - 1) * limit;
-  const endIndex = page * limit;
-  const total = await model.countDocuments(); //Counting the total number of documents in MongoDB database
-
-  query = query.skip(startIndex).limit(limit);
-
-  if (populate) {
-    query = query.populate(populate);
-  }
-
-  //Executing query
-  const results = await query;
-
-  //Pagination result
-  const pagination = {};
-
-  if (endIndex < total) {
-    pagination.next = {
-      page: page + 1,
-      limit: limit, //Can also be written as limit instead of limit: limit because key-value pairs are the same
-    };
-  }
-
-  if (startIndex > 0) {
-    pagination.prev = {
-      page: page - 1,
-      limit: limit, //Can also be written as limit instead of limit: limit because key-value pairs are the same
+const asyncHandler = require("./async");
+const ErrorResponse = require("../utils/errorResponse");
+
+//filter limits the results of every request (e.g. hiding unverified resources), it can also be a function of the request
+//facets is a function counting the filter values of all matching documents (e.g. Bootcamp.getFacets), added to the response
+//options are set on the queries, e.g. { withDeleted: true } for the trash (See utils/softDelete.js)
+const advancedResults = (model, populate, filter, facets, options = {}) =>
+  asyncHandler(async (req, res, next) => {
+    let query;
+
+    const reqQuery = { ...req.query }; //Copy version of req.query using Spread operator
+
+    //Fields to exclude (The trash fields are only filtered by the server)
+    const removeFields = [
+      "select",
+      "sort",
+      "page",
+      "limit",
+      "deletedAt",
+      "deletedBy",
+      "deletedWith",
+    ];
+
+    //Loop over removeFields and delete them from reqQuery
+    removeFields.forEach((param) => delete reqQuery[param]);
+
+    //Create query string
+    let queryStr = JSON.stringify(reqQuery);
+
+    //Create operators ($gt, $gte, etc)
+
+    queryStr = queryStr.replace(
+      /\b(gt|gte|lt|lte|in)\b/g,
+      (match) => `$${match}`
+    );
+
+    //Limit the results to what the request can see
+    const baseFilter =
+      typeof filter === "function" ? await filter(req) : filter;
+
+    //Finding resource
+    query = model
+      .find({ ...JSON.parse(queryStr), ...baseFilter })
+      .setOptions(options);
+
+    //Cast the filter to the schema like find does (e.g. "true" to true), values which do not fit (e.g. averageCost[gte]=abc) are a bad request
+    let castFilter;
+
+    try {
+      castFilter = query.cast(model);
+    } catch (error) {
+      if (error.name !== "CastError") {
+        throw error;
+      }
+
+      return next(
+        new ErrorResponse(
+          `Invalid value ${JSON.stringify(error.value)} for ${error.path}`,
+          400
+        )
+      );
+    }
+
+    //Counts for all pages
+    const facetCounts = facets ? await facets(castFilter) : undefined;
+
+    //Select Fields
+
+    if (req.query.select) {
+      //Turning into array using split() and then joining it into a string using .join()
+      const fields = req.query.select.split(",").join(" ");
+      query = query.select(fields);
+    }
+
+    //Sort
+
+    if (req.query.sort) {
+      const sortBy = req.query.sort.split(",").join("");
+      query = query.sort(sortBy);
+    } else {
+      //Sorting by default in the order they were created At
+      query = query.sort("-createdAt");
+    }
+
+    //Pagination
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseInt(req.query.limit, 10) || 25;
+    const startIndex = (page - 1) * limit;
+    const endIndex = page * limit;
+    const total = await model.countDocuments(baseFilter).setOptions(options); //Counting the total number of documents in MongoDB database
+
+    query = query.skip(startIndex).limit(limit);
+
+    if (populate) {
+      query = query.populate(populate);
+    }
+
+    //Executing query
+    const results = await query;
+
+    //Pagination result
+    const pagination = {};
+
+    if (endIndex < total) {
+      pagination.next = {
+        page: page + 1,
+        limit: limit, //Can also be written as limit instead of limit: limit because key-value pairs are the same
+      };
+    }
+
+    if (startIndex > 0) {
+      pagination.prev = {
+        page: page - 1,
+        limit: limit, //Can also be written as limit instead of limit: limit because key-value pairs are the same
+      };
+    }
+
+    res.advancedResults = {
+      success: true,
+      count: results.length,
+      pagination: pagination,
+      data: results,
     };
-  }
 
-  res.advancedResults = {
-    success: true,
-    count: results.length,
-    pagination: pagination,
-    data: results,
-  };
+    if (facetCounts) {
+      res.advancedResults.facets = facetCounts;
+    }
 
-  next();
-};
+    next();
+  });
 
 module.exports = advancedResults;
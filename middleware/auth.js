@@ -2,9 +2,18 @@ const jwt = require("jsonwebtoken");
 const asyncHandler = require("./async");
 const ErrorResponse = require("../utils/errorResponse");
 const User = require("../models/User");
+const Session = require("../models/Session");
+const ApiKey = require("../models/ApiKey");
+const Organization = require("../models/Organization");
+const { csrfTokenMatches } = require("../utils/csrf");
 
 //Protect routes
 exports.protect = asyncHandler(async (req, res, next) => {
+  //Server-to-server integrations authenticate with an API key instead of a token
+  if (req.headers["x-api-key"]) {
+    return protectWithApiKey(req, res, next);
+  }
+
   let token;
 
   if (
@@ -14,12 +23,16 @@ exports.protect = asyncHandler(async (req, res, next) => {
     //Set token from Bearer token in header
     token = req.headers.authorization.split(" ")[1];
   }
-  //Set token from cookie
+  //Set token from cookie (Only in cookie mode, see COOKIE_AUTH)
+  else if (process.env.COOKIE_AUTH === "true" && req.cookies.token) {
+    //This runs if token is not found in header, then it just checks in the cookie
+    //Browsers send cookies with cross-site requests, so unsafe methods also need the CSRF token
+    if (!csrfTokenMatches(req)) {
+      return next(new ErrorResponse("Invalid CSRF token", 403));
+    }
 
-  // else if (req.cookies.token) {
-  //   //This runs if token is not found in header, then it just checks in the cookie
-  //   token = req.cookies.token;
-  // }
+    token = req.cookies.token;
+  }
 
   //Make sure token exists
   if (!token) {
@@ -31,7 +44,31 @@ exports.protect = asyncHandler(async (req, res, next) => {
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
     console.log(decoded);
 
+    //Make sure the session the token was issued for has not been revoked
+    const session = await Session.findById(decoded.sid);
+
+    if (!session || !session.isActive()) {
+      return next(
+        new ErrorResponse("Not authorized to access this route", 401)
+      );
+    }
+
+    //Keep track of when the session was last used (At most once a minute)
+    if (Date.now() - session.lastSeenAt > 60 * 1000) {
+      session.lastSeenAt = Date.now();
+      session.ip = req.ip;
+      await session.save();
+    }
+
     req.user = await User.findById(decoded.id);
+    req.session = session;
+
+    //The user may have been deleted since the token was issued
+    if (!req.user) {
+      return next(
+        new ErrorResponse("Not authorized to access this route", 401)
+      );
+    }
 
     next();
   } catch (error) {
@@ -39,11 +76,58 @@ exports.protect = asyncHandler(async (req, res, next) => {
   }
 });
 
-//Grant access to specific roles
+//Identify the user when credentials are sent, but also allow anonymous requests (Public routes with extra data for owners)
+exports.identify = (req, res, next) => {
+  if (
+    req.headers["x-api-key"] ||
+    (req.headers.authorization &&
+      req.headers.authorization.startsWith("Bearer")) ||
+    (process.env.COOKIE_AUTH === "true" && req.cookies.token)
+  ) {
+    return exports.protect(req, res, next);
+  }
+  next();
+};
+
+//Authenticate using the X-API-Key header
+const protectWithApiKey = async (req, res, next) => {
+  const apiKey = await ApiKey.findOne({
+    keyHash: ApiKey.hashKey(req.headers["x-api-key"]),
+  });
+
+  if (!apiKey || !apiKey.isActive()) {
+    return next(new ErrorResponse("Invalid API key", 401));
+  }
+
+  req.user = await User.findById(apiKey.user);
+
+  if (!req.user) {
+    return next(new ErrorResponse("Invalid API key", 401));
+  }
+
+  //Limits the user's permissions to the scopes of the key (See hasPermission in User.js)
+  req.user.$locals.apiKey = apiKey;
+  req.apiKey = apiKey;
+
+  await ApiKey.updateOne({ _id: apiKey._id }, { lastUsedAt: Date.now() });
+
+  next();
+};
 
-exports.authorize = (...roles) => {
-  return (req, res, next) => {
-    if (!roles.includes(req.user.role)) {
+//Grant access to roles that have at least one of the permissions (See config/roles.json)
+//Members of organizations also get the permissions of their member role (See Organization.js)
+exports.authorize = (...permissions) => {
+  return asyncHandler(async (req, res, next) => {
+    if (permissions.some((permission) => req.user.hasPermission(permission))) {
+      return next();
+    }
+
+    //API keys are limited to their scopes
+    const allowed = permissions.filter(
+      (permission) => !req.apiKey || req.apiKey.allows(permission)
+    );
+
+    if (!(await Organization.grantsPermission(req.user._id, allowed))) {
       return next(
         new ErrorResponse(
           `User role ${req.user.role} is not authorized to access this route`,
@@ -52,5 +136,28 @@ exports.authorize = (...roles) => {
       );
     }
     next();
-  };
+  });
+};
+
+//Only allow users who have verified their email address
+exports.verifiedEmail = (req, res, next) => {
+  if (!req.user.isEmailVerified) {
+    return next(
+      new ErrorResponse(
+        `Please verify your email address to access this route`,
+        403
+      )
+    );
+  }
+  next();
+};
+
+//Only allow requests made with a login (Account settings can not be changed with an API key)
+exports.sessionOnly = (req, res, next) => {
+  if (req.apiKey) {
+    return next(
+      new ErrorResponse(`API keys can not be used to access this route`, 403)
+    );
+  }
+  next();
 };
@@ -0,0 +1,82 @@
+const crypto = require("crypto");
+const mongoose = require("mongoose");
+const { matchesPermission } = require("../config/roles");
+
+const ApiKeySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    trim: true,
+    required: [true, "Please add a name for the API key"],
+    maxlength: [50, "Name can not be more than 50 characters"],
+  },
+  //First characters of the key, so users can tell their keys apart
+  prefix: String,
+  keyHash: {
+    type: String,
+    required: true,
+    select: false,
+  },
+  //Permissions the key is limited to (Same format as config/roles.json, e.g. "course:*")
+  //A key without scopes can only read
+  scopes: {
+    type: [String],
+    validate: {
+      validator: (scopes) =>
+        scopes.every((scope) => /^(\*|[a-z]+(:([a-z]+|\*))*)$/.test(scope)),
+      message: "Please use scopes like bootcamp:update:own or course:*",
+    },
+  },
+  //Limit the key to a single bootcamp (e.g. managing the courses of one bootcamp)
+  bootcamp: {
+    type: mongoose.Schema.ObjectId,
+    ref: "Bootcamp",
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+  lastUsedAt: Date,
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  user: {
+    type: mongoose.Schema.ObjectId,
+    ref: "User",
+    required: true,
+  },
+});
+
+ApiKeySchema.index({ keyHash: 1 }, { unique: true });
+
+//Hash a key the same way the reset password token is hashed
+ApiKeySchema.statics.hashKey = function (key) {
+  return crypto.createHash("sha256").update(key).digest("hex");
+};
+
+//Generate a new key and hash it (The plain key is only shown once)
+ApiKeySchema.methods.generateKey = function () {
+  const key = `sbk_${crypto.randomBytes(32).toString("hex")}`;
+
+  this.prefix = key.slice(0, 12);
+  this.keyHash = this.constructor.hashKey(key);
+
+  return key;
+};
+
+//Check if the key has not expired
+ApiKeySchema.methods.isActive = function () {
+  return this.expiresAt > Date.now();
+};
+
+//Check if the key's scopes cover a permission
+ApiKeySchema.methods.allows = function (permission) {
+  return this.scopes.some((scope) => matchesPermission(scope, permission));
+};
+
+//Check if the key can be used on a bootcamp
+ApiKeySchema.methods.allowsBootcamp = function (bootcampId) {
+  return !this.bootcamp || (!!bootcampId && this.bootcamp.equals(bootcampId));
+};
+
+module.exports = mongoose.model("ApiKey", ApiKeySchema);
@@ -1,6 +1,29 @@
 const mongoose = require("mongoose");
 const slugify = require("slugify"); //Hooks
 const geocoder = require("../utils/geocoder");
+const softDelete = require("../utils/softDelete");
+const { trackChanges } = require("../utils/suggestions");
+
+//An image of the bootcamp gallery, the order of the images is the order of the gallery
+const ImageSchema = new mongoose.Schema({
+  caption: {
+    type: String,
+    trim: true,
+    maxlength: [200, "Caption can not be more than 200 characters"],
+  },
+  //Storage keys of the resized versions (See utils/images.js)
+  variants: {
+    thumb: String,
+    card: String,
+    hero: String,
+  },
+  width: Number,
+  height: Number,
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
 
 const BootcampSchema = new mongoose.Schema(
   {
@@ -12,6 +35,8 @@ const BootcampSchema = new mongoose.Schema(
       maxlength: [50, "Name can not be more than 50 characters"],
     },
     slug: String,
+    //Slugs of earlier names, requests for them are redirected to the current slug
+    previousSlugs: [String],
     description: {
       type: String,
       required: [true, "Please add a desscription"],
@@ -79,10 +104,13 @@ const BootcampSchema = new mongoose.Schema(
       type: Number,
       default: 0,
     },
+    //Storage key of the card version of the cover image (Shown in listings, see GET /api/v1/bootcamps/:id/photo)
     photo: {
       type: String,
       default: "no-photo.jpg",
     },
+    images: [ImageSchema],
+    coverImage: mongoose.Schema.ObjectId,
     housing: {
       type: Boolean,
       default: false,
@@ -108,6 +136,23 @@ const BootcampSchema = new mongoose.Schema(
       ref: "User",
       required: true,
     },
+    //Members of the organization manage the bootcamp (Bootcamps without one are managed by their user)
+    organization: {
+      type: mongoose.Schema.ObjectId,
+      ref: "Organization",
+    },
+    //Copied from the owner, only bootcamps of verified publishers are listed
+    publisherVerified: {
+      type: Boolean,
+      default: false,
+    },
+    //Lifecycle of the bootcamp, only published bootcamps are public (See BootcampSchema.statics.transitions)
+    status: {
+      type: String,
+      enum: ["draft", "pending", "published", "archived"],
+      default: "draft",
+    },
+    publishedAt: Date,
   },
   {
     toJSON: { virtuals: true },
@@ -115,12 +160,72 @@ const BootcampSchema = new mongoose.Schema(
   }
 );
 
-//Create bootcamp slug from the name
+//Create a slug from the name which no other bootcamp has now or had before (Their old slugs still redirect to them)
+//Names with the same slug get a numeric suffix, e.g. devworks-bootcamp-2
+BootcampSchema.statics.uniqueSlug = async function (name, id) {
+  const slug = slugify(name, { lower: true }); //slugify is a function which takes document's name
+
+  for (let number = 1; ; number++) {
+    const candidate = number === 1 ? slug : `${slug}-${number}`;
+
+    const taken = await this.exists({
+      _id: { $ne: id },
+      $or: [{ slug: candidate }, { previousSlugs: candidate }],
+    }).setOptions({ withDeleted: true });
+
+    if (!taken) {
+      return candidate;
+    }
+  }
+};
 
 //Runs before saving the document
-BootcampSchema.pre("save", function (next) {
-  this.slug = slugify(this.name, { lower: true }); //slugify is a function which takes document's name
-  next();
+BootcampSchema.pre("save", async function () {
+  if (this.slug && !this.isModified("name")) {
+    return;
+  }
+
+  const slug = await this.constructor.uniqueSlug(this.name, this._id);
+
+  //Keep the old slug for redirects
+  if (this.slug && this.slug !== slug) {
+    this.previousSlugs.addToSet(this.slug);
+  }
+
+  this.previousSlugs.pull(slug);
+  this.slug = slug;
+});
+
+//findByIdAndUpdate (Updates and reverts) skips the save hooks, so the slug is changed here and the old one is kept
+BootcampSchema.pre("findOneAndUpdate", async function () {
+  const update = this.getUpdate();
+  const name = (update.$set && update.$set.name) || update.name;
+
+  if (!name) {
+    return;
+  }
+
+  const bootcamp = await this.model
+    .findOne(this.getFilter(), "slug previousSlugs")
+    .setOptions({ withDeleted: true });
+
+  if (!bootcamp) {
+    return;
+  }
+
+  const slug = await this.model.uniqueSlug(name, bootcamp._id);
+
+  if (bootcamp.slug === slug) {
+    return;
+  }
+
+  this.set({
+    slug,
+    previousSlugs: [
+      ...bootcamp.previousSlugs.filter((previous) => previous !== slug),
+      bootcamp.slug,
+    ].filter(Boolean),
+  });
 });
 
 //GeoCode & create location field (Middleware)
@@ -143,19 +248,170 @@ BootcampSchema.pre("save", async function (next) {
   next();
 });
 
-//Cascade delete courses when a bootcamp is deleted
-BootcampSchema.pre(
-  "deleteOne",
-  { document: false, query: true },
-  async function (next) {
-    const bootcampId = this.getFilter()._id;
+BootcampSchema.index({ slug: 1 }, { unique: true });
+BootcampSchema.index({ previousSlugs: 1 });
 
-    console.log(`Courses being removed from bootcamp ${bootcampId}`);
-    await mongoose.model("Course").deleteMany({ bootcamp: bootcampId });
-    next();
-  }
+//Full text search (See controllers/search.js), names weigh more than descriptions
+BootcampSchema.index(
+  { name: "text", description: "text" },
+  { name: "search", weights: { name: 10, description: 2 } }
 );
 
+//Fields which are stored in the revision history (See models/Revision.js)
+//The address is left out, it is not stored (See the geocoder hook) and a revert would not update the location
+BootcampSchema.statics.revisionFields = [
+  "name",
+  "description",
+  "website",
+  "phone",
+  "email",
+  "careers",
+  "housing",
+  "jobAssistance",
+  "jobGuarantee",
+  "acceptGi",
+];
+
+//Status changes (PUT /api/v1/bootcamps/:id/<action>)
+//from: statuses the action can be applied to, permission: needed in addition to owning the bootcamp (Or the "any" permission)
+BootcampSchema.statics.transitions = {
+  submit: { from: ["draft"], to: "pending" },
+  publish: {
+    from: ["draft", "pending"],
+    to: "published",
+    permission: "bootcamp:publish",
+  },
+  reject: { from: ["pending"], to: "draft", permission: "bootcamp:publish" },
+  archive: { from: ["draft", "pending", "published"], to: "archived" },
+  restore: { from: ["archived"], to: "draft" },
+};
+
+//Filter for the bootcamps a user can see
+//Everyone sees published bootcamps of verified publishers, members also see the bootcamps of their organizations and admins see all of them
+BootcampSchema.statics.visibleTo = async function (user) {
+  const published = { status: "published", publisherVerified: true };
+
+  if (!user) {
+    return published;
+  }
+
+  if (user.hasPermission("bootcamp:update:any")) {
+    return {};
+  }
+
+  const organizations = await mongoose
+    .model("Organization")
+    .distinct("_id", { "members.user": user._id });
+
+  return {
+    $or: [
+      published,
+      { user: user._id, organization: null },
+      { organization: { $in: organizations } },
+    ],
+  };
+};
+
+//Status after an edit: changes to a published bootcamp have to be reviewed again, unless the editor can publish
+BootcampSchema.methods.statusAfterEdit = function (user) {
+  return this.status === "published" && !user.hasPermission("bootcamp:publish")
+    ? "pending"
+    : this.status;
+};
+
+//Ids of the bootcamps a user can see, their courses and reviews are only shown to the same users
+BootcampSchema.statics.visibleIds = async function (user) {
+  return this.distinct("_id", await this.visibleTo(user));
+};
+
+//Check if a user has at least the given role in the organization of the bootcamp
+BootcampSchema.methods.isManagedBy = async function (userId, role = "editor") {
+  if (!this.organization) {
+    return this.user.equals(userId);
+  }
+
+  const organization = await mongoose
+    .model("Organization")
+    .findById(this.organization);
+
+  return Boolean(organization && organization.hasRole(userId, role));
+};
+
+//Ranges of the cost and rating facets, the last range has no upper limit
+const costRanges = [0, 5000, 10000, 15000, 20000];
+const ratingRanges = [1, 4, 6, 8];
+
+//Count the values of a field, most common first
+const valueFacet = (field) => [
+  { $unwind: `$${field}` },
+  { $match: { [field]: { $nin: [null, ""] } } },
+  { $group: { _id: `$${field}`, count: { $sum: 1 } } },
+  { $sort: { count: -1, _id: 1 } },
+  { $project: { _id: 0, value: "$_id", count: 1 } },
+];
+
+//Count the values in each range (min <= value < max, e.g. averageCost[gte]=5000&averageCost[lt]=10000)
+const rangeFacet = (field, boundaries) => [
+  { $match: { [field]: { $type: "number" } } },
+  {
+    $bucket: {
+      groupBy: `$${field}`,
+      boundaries,
+      default: boundaries[boundaries.length - 1],
+      output: { count: { $sum: 1 } },
+    },
+  },
+  {
+    $project: {
+      _id: 0,
+      min: "$_id",
+      max: {
+        $arrayElemAt: [
+          [...boundaries.slice(1), null],
+          { $indexOfArray: [boundaries, "$_id"] },
+        ],
+      },
+      count: 1,
+    },
+  },
+];
+
+const featureFields = ["housing", "jobAssistance", "jobGuarantee", "acceptGi"];
+
+//Counts of the filter values of the bootcamps matching a filter (For the filter sidebar of the listing)
+//match has to be cast already (e.g. with query.cast()), aggregations do not cast it
+BootcampSchema.statics.getFacets = async function (match) {
+  const features = {};
+
+  featureFields.forEach((field) => {
+    features[field] = { $sum: { $cond: [{ $eq: [`$${field}`, true] }, 1, 0] } };
+  });
+
+  const [facets] = await this.aggregate([
+    { $match: match },
+    {
+      $facet: {
+        careers: valueFacet("careers"),
+        states: valueFacet("location.state"),
+        averageCost: rangeFacet("averageCost", costRanges),
+        averageRating: rangeFacet("averageRating", ratingRanges),
+        features: [{ $group: { _id: null, ...features } }],
+      },
+    },
+  ]);
+
+  //Bootcamps which have one of the features (true), without matches all counts are 0
+  const [counts = {}] = facets.features;
+
+  facets.features = {};
+
+  featureFields.forEach((field) => {
+    facets.features[field] = counts[field] || 0;
+  });
+
+  return facets;
+};
+
 //Reverse populate with virtuals
 BootcampSchema.virtual("courses", {
   ref: "Course",
@@ -164,4 +420,25 @@ BootcampSchema.virtual("courses", {
   justOne: false,
 });
 
+//Deleting a bootcamp moves its courses and reviews to the trash too
+BootcampSchema.plugin(softDelete, {
+  cascade: [
+    { model: "Course", foreignField: "bootcamp" },
+    { model: "Review", foreignField: "bootcamp" },
+  ],
+});
+
+//Names, careers and cities are suggested in the search box
+BootcampSchema.plugin(trackChanges, {
+  fields: [
+    "name",
+    "slug",
+    "careers",
+    "location",
+    "status",
+    "publisherVerified",
+    "deletedAt",
+  ],
+});
+
 module.exports = mongoose.model("Bootcamp", BootcampSchema);
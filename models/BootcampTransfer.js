@@ -0,0 +1,52 @@
+const mongoose = require("mongoose");
+
+//A request to hand a bootcamp over to another publisher
+//Transfers are never deleted, so they are also the audit record of who owned a bootcamp when
+const BootcampTransferSchema = new mongoose.Schema({
+  bootcamp: {
+    type: mongoose.Schema.ObjectId,
+    ref: "Bootcamp",
+    required: true,
+  },
+  from: {
+    type: mongoose.Schema.ObjectId,
+    ref: "User",
+    required: true,
+  },
+  to: {
+    type: mongoose.Schema.ObjectId,
+    ref: "User",
+    required: true,
+  },
+  //Owner or admin who started the transfer
+  requestedBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: "User",
+    required: true,
+  },
+  status: {
+    type: String,
+    enum: ["pending", "accepted", "declined", "cancelled"],
+    default: "pending",
+  },
+  //Number of courses that were reassigned on acceptance
+  coursesTransferred: Number,
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+  respondedAt: Date,
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+BootcampTransferSchema.index({ bootcamp: 1, status: 1 });
+
+//Check if the recipient can still respond
+BootcampTransferSchema.methods.isOpen = function () {
+  return this.status === "pending" && this.expiresAt > Date.now();
+};
+
+module.exports = mongoose.model("BootcampTransfer", BootcampTransferSchema);
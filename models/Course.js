@@ -1,4 +1,6 @@
 const mongoose = require("mongoose");
+const softDelete = require("../utils/softDelete");
+const { trackChanges } = require("../utils/suggestions");
 
 const CourseSchema = new mongoose.Schema({
   title: {
@@ -44,8 +46,24 @@ const CourseSchema = new mongoose.Schema({
   },
 });
 
+//Full text search (See controllers/search.js), titles weigh more than descriptions
+CourseSchema.index(
+  { title: "text", description: "text" },
+  { name: "search", weights: { title: 10, description: 2 } }
+);
+
+//Fields which are stored in the revision history (See models/Revision.js)
+CourseSchema.statics.revisionFields = [
+  "title",
+  "description",
+  "weeks",
+  "tuition",
+  "minimumSkill",
+  "scholarshipAvailable",
+];
+
 //Static method to get average of course tuitions
-CourseSchema.statics.getAverageCost = async function (bootcampId) {
+CourseSchema.statics.getAverageCost = async function (bootcampId, session) {
   //Aggregated object (Pipeline of steps)
   //Will return an object having the Id of the bootcamp along with the average cost of tuitions
   const obj = await this.aggregate([
@@ -58,13 +76,17 @@ CourseSchema.statics.getAverageCost = async function (bootcampId) {
         averageCost: { $avg: "$tuition" },
       },
     },
-  ]);
+  ]).session(session);
 
   try {
     if (obj.length > 0) {
-      await this.model("Bootcamp").findByIdAndUpdate(bootcampId, {
-        averageCost: Math.ceil(obj[0].averageCost / 10) * 10,
-      });
+      await this.model("Bootcamp").findByIdAndUpdate(
+        bootcampId,
+        {
+          averageCost: Math.ceil(obj[0].averageCost / 10) * 10,
+        },
+        { session }
+      );
     } else {
       console.log(`No courses found for bootcamp ${bootcampId}`);
     }
@@ -83,4 +105,24 @@ CourseSchema.pre("remove", function () {
   this.constructor.getAverageCost(this.bootcamp);
 });
 
+//Courses are managed by the organization of their bootcamp (Also when the bootcamp is in the trash)
+CourseSchema.methods.isManagedBy = async function (userId, role = "editor") {
+  const bootcamp = await this.model("Bootcamp")
+    .findById(this.bootcamp)
+    .setOptions({ withDeleted: true });
+
+  return Boolean(bootcamp && (await bootcamp.isManagedBy(userId, role)));
+};
+
+//Update the average cost when a course is moved to or out of the trash
+CourseSchema.plugin(softDelete, {
+  onChange: (course, session) =>
+    course.constructor.getAverageCost(course.bootcamp, session),
+});
+
+//Titles are suggested in the search box
+CourseSchema.plugin(trackChanges, {
+  fields: ["title", "bootcamp", "deletedAt"],
+});
+
 module.exports = mongoose.model("Course", CourseSchema);
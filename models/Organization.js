@@ -0,0 +1,156 @@
+const mongoose = require("mongoose");
+
+//Member roles from the least to the most rights
+//viewer: sees the drafts and history of the bootcamps, editor: also edits them and their courses, owner: also deletes and transfers them and manages the members
+const roles = ["viewer", "editor", "owner"];
+
+//Permissions each member role grants on the bootcamps of the organization, whatever the global role of the user is
+//(The controllers check that the bootcamp belongs to the organization, see isManagedBy in Bootcamp.js)
+const editorPermissions = [
+  "bootcamp:update:own",
+  "course:create:own",
+  "course:update:own",
+  "course:delete:own",
+];
+const rolePermissions = {
+  viewer: [],
+  editor: editorPermissions,
+  owner: [...editorPermissions, "bootcamp:delete:own", "bootcamp:transfer:own"],
+};
+
+const MemberSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.ObjectId,
+    ref: "User",
+    required: true,
+  },
+  role: {
+    type: String,
+    enum: roles,
+    default: "editor",
+  },
+  joinedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+//The staff of one or more bootcamps
+const OrganizationSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, "Please add a name"],
+    trim: true,
+    maxlength: [100, "Name can not be more than 100 characters"],
+  },
+  members: [MemberSchema],
+  //Number of bootcamps the organization can have (Defaults to ORGANIZATION_BOOTCAMP_QUOTA or 1, only changed by admins)
+  bootcampQuota: {
+    type: Number,
+    min: [0, "Quota can not be negative"],
+    default: () => parseInt(process.env.ORGANIZATION_BOOTCAMP_QUOTA, 10) || 1,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+OrganizationSchema.index({ "members.user": 1 });
+
+OrganizationSchema.statics.roles = roles;
+
+//Check if the user has a member role granting one of the permissions in any organization
+OrganizationSchema.statics.grantsPermission = async function (
+  userId,
+  permissions
+) {
+  const memberRoles = roles.filter((role) =>
+    permissions.some((permission) => rolePermissions[role].includes(permission))
+  );
+
+  if (memberRoles.length === 0) {
+    return false;
+  }
+
+  return Boolean(
+    await this.exists({
+      members: { $elemMatch: { user: userId, role: { $in: memberRoles } } },
+    })
+  );
+};
+
+//Get the role of a user in the organization
+OrganizationSchema.methods.getRole = function (userId) {
+  const member = this.members.find((member) => member.user.equals(userId));
+
+  return member ? member.role : undefined;
+};
+
+//Check if a user has at least the given role
+OrganizationSchema.methods.hasRole = function (userId, role) {
+  const memberRole = this.getRole(userId);
+
+  return (
+    Boolean(memberRole) && roles.indexOf(memberRole) >= roles.indexOf(role)
+  );
+};
+
+//Check if the organization can not have another bootcamp
+//Bootcamps in the trash are counted until they are purged, otherwise restoring them would go over the quota
+OrganizationSchema.methods.isFull = async function () {
+  const bootcamps = await mongoose
+    .model("Bootcamp")
+    .countDocuments({ organization: this._id })
+    .setOptions({ withDeleted: true });
+
+  return bootcamps >= this.bootcampQuota;
+};
+
+//Find the organizations which would keep members but none of their owners when the users are deleted
+OrganizationSchema.statics.findLeftWithoutOwner = async function (
+  userIds,
+  session
+) {
+  const isLeaving = (member) =>
+    userIds.some((userId) => userId.equals(member.user));
+
+  const organizations = await this.find({
+    members: { $elemMatch: { user: { $in: userIds }, role: "owner" } },
+  }).session(session);
+
+  return organizations.filter(
+    (organization) =>
+      organization.members.some((member) => !isLeaving(member)) &&
+      !organization.members.some(
+        (member) => member.role === "owner" && !isLeaving(member)
+      )
+  );
+};
+
+//Find the organization a user owns, it is created for publishers without one
+//Bootcamps the user created before organizations existed are moved into it
+OrganizationSchema.statics.findPersonal = async function (user) {
+  let organization = await this.findOne({
+    members: { $elemMatch: { user: user._id, role: "owner" } },
+  }).sort("createdAt");
+
+  if (!organization) {
+    organization = await this.create({
+      name: user.name,
+      members: [{ user: user._id, role: "owner" }],
+    });
+
+    await mongoose
+      .model("Bootcamp")
+      .updateMany(
+        { user: user._id, organization: null },
+        { organization: organization._id },
+        { withDeleted: true }
+      );
+  }
+
+  return organization;
+};
+
+module.exports = mongoose.model("Organization", OrganizationSchema);
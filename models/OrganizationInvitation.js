@@ -0,0 +1,72 @@
+const crypto = require("crypto");
+const mongoose = require("mongoose");
+
+//An email invitation to join an organization, accepted by the user with that email
+const OrganizationInvitationSchema = new mongoose.Schema({
+  organization: {
+    type: mongoose.Schema.ObjectId,
+    ref: "Organization",
+    required: true,
+  },
+  email: {
+    type: String,
+    required: [true, "Please add an email"],
+    lowercase: true,
+    trim: true,
+    match: [
+      /^\w+([\.-]?\w+)*@\w+([\.-]?\w+)*(\.\w{2,3})+$/,
+      "Please add a valid email",
+    ],
+  },
+  role: {
+    type: String,
+    enum: ["viewer", "editor", "owner"], //See Organization.roles
+    default: "editor",
+  },
+  token: {
+    type: String,
+    select: false,
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+  invitedBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: "User",
+    required: true,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+OrganizationInvitationSchema.index({ organization: 1, email: 1 });
+
+//Generate and hash invitation token
+OrganizationInvitationSchema.methods.getInvitationToken = function () {
+  //Generate token
+  const invitationToken = crypto.randomBytes(20).toString("hex");
+
+  //Hash token and set to token field
+  this.token = crypto
+    .createHash("sha256")
+    .update(invitationToken)
+    .digest("hex");
+
+  return invitationToken;
+};
+
+//Find the open invitation of a token
+OrganizationInvitationSchema.statics.findByToken = function (invitationToken) {
+  return this.findOne({
+    token: crypto.createHash("sha256").update(invitationToken).digest("hex"),
+    expiresAt: { $gt: Date.now() },
+  });
+};
+
+module.exports = mongoose.model(
+  "OrganizationInvitation",
+  OrganizationInvitationSchema
+);
@@ -0,0 +1,51 @@
+const mongoose = require("mongoose");
+
+//An application of a user to become a verified publisher (Reviewed by an admin)
+const PublisherApplicationSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.ObjectId,
+    ref: "User",
+    required: true,
+  },
+  organization: {
+    type: String,
+    trim: true,
+    required: [true, "Please add the name of your organization"],
+    maxlength: [100, "Organization can not be more than 100 characters"],
+  },
+  website: {
+    type: String,
+    match: [
+      /https?:\/\/(www\.)?[-a-zA-Z0-9@:%._\+~#=]{1,256}\.[a-zA-Z0-9()]{1,6}\b([-a-zA-Z0-9()@:%_\+.~#?&//=]*)/,
+      "Please use a valid URL with HTTP or HTTPS",
+    ],
+  },
+  message: {
+    type: String,
+    required: [true, "Please tell us about the bootcamps you want to publish"],
+    maxlength: [500, "Message can not be more than 500 characters"],
+  },
+  status: {
+    type: String,
+    enum: ["pending", "approved", "rejected"],
+    default: "pending",
+  },
+  rejectionReason: {
+    type: String,
+    maxlength: [500, "Reason can not be more than 500 characters"],
+  },
+  reviewedBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: "User",
+  },
+  reviewedAt: Date,
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+module.exports = mongoose.model(
+  "PublisherApplication",
+  PublisherApplicationSchema
+);
@@ -1,4 +1,5 @@
 const mongoose = require("mongoose");
+const softDelete = require("../utils/softDelete");
 
 const ReviewSchema = new mongoose.Schema({
   title: {
@@ -36,8 +37,14 @@ const ReviewSchema = new mongoose.Schema({
 //Adding an index to the ReviewSchema (Prevent user from submitting more than 1 review per bootcamp)
 ReviewSchema.index({ bootcamp: 1, user: 1 }, { unique: true });
 
+//Full text search (See controllers/search.js), titles weigh more than the text
+ReviewSchema.index(
+  { title: "text", text: "text" },
+  { name: "search", weights: { title: 10, text: 2 } }
+);
+
 //Static method to get average rating and save
-ReviewSchema.statics.getAverageRating = async function (bootcampId) {
+ReviewSchema.statics.getAverageRating = async function (bootcampId, session) {
   //Aggregated object (Pipeline of steps)
   //Will return an object having the Id of the bootcamp along with the average cost of tuitions
   const obj = await this.aggregate([
@@ -50,14 +57,18 @@ ReviewSchema.statics.getAverageRating = async function (bootcampId) {
         averageRating: { $avg: "$rating" },
       },
     },
-  ]);
+  ]).session(session);
 
   //Updating the database
   try {
     if (obj.length > 0) {
-      await this.model("Bootcamp").findByIdAndUpdate(bootcampId, {
-        averageRating: obj[0].averageRating,
-      });
+      await this.model("Bootcamp").findByIdAndUpdate(
+        bootcampId,
+        {
+          averageRating: obj[0].averageRating,
+        },
+        { session }
+      );
     } else {
       console.log(`No ratings found for bootcamp ${bootcampId}`);
     }
@@ -76,4 +87,10 @@ ReviewSchema.pre("remove", function () {
   this.constructor.getAverageRating(this.bootcamp);
 });
 
+//Update the average rating when a review is moved to or out of the trash
+ReviewSchema.plugin(softDelete, {
+  onChange: (review, session) =>
+    review.constructor.getAverageRating(review.bootcamp, session),
+});
+
 module.exports = mongoose.model("Review", ReviewSchema);
@@ -0,0 +1,160 @@
+const mongoose = require("mongoose");
+
+//A version of a bootcamp or course, only the fields that changed are stored
+const RevisionSchema = new mongoose.Schema({
+  resourceType: {
+    type: String,
+    enum: ["Bootcamp", "Course"],
+    required: true,
+  },
+  resource: {
+    type: mongoose.Schema.ObjectId,
+    refPath: "resourceType",
+    required: true,
+  },
+  version: {
+    type: Number,
+    required: true,
+  },
+  //import is the state of a document which existed before versioning
+  action: {
+    type: String,
+    enum: ["create", "update", "revert", "import"],
+    required: true,
+  },
+  //Changed fields with their old and new values ({ field: { from, to } })
+  changes: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true,
+  },
+  revertedTo: Number,
+  user: {
+    type: mongoose.Schema.ObjectId,
+    ref: "User",
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+RevisionSchema.index(
+  { resourceType: 1, resource: 1, version: 1 },
+  { unique: true }
+);
+
+//Read the versioned fields of a document (Missing values are stored as null)
+const pickFields = (Model, doc) => {
+  const values = doc ? doc.toObject() : {};
+
+  return Model.revisionFields.reduce((picked, field) => {
+    picked[field] = values[field] === undefined ? null : values[field];
+    return picked;
+  }, {});
+};
+
+//Compare two sets of fields
+const diff = (before, after) => {
+  const changes = {};
+
+  Object.keys(after).forEach((field) => {
+    if (JSON.stringify(before[field]) !== JSON.stringify(after[field])) {
+      changes[field] = { from: before[field], to: after[field] };
+    }
+  });
+
+  return changes;
+};
+
+//Store a new version of a document (before is null when it was just created)
+//Returns the revision, or nothing if none of the versioned fields changed
+//options.session: the transaction which changed the document, so the revision is only kept with the change
+//Two transactions changing the same document conflict and the later one is retried, so it reads the next version number
+RevisionSchema.statics.record = async function (
+  Model,
+  before,
+  after,
+  user,
+  options = {}
+) {
+  const resourceType = Model.modelName;
+  const resource = after._id;
+  const beforeFields = pickFields(Model, before);
+  const afterFields = pickFields(Model, after);
+
+  const changes = diff(beforeFields, afterFields);
+
+  if (Object.keys(changes).length === 0) {
+    return;
+  }
+
+  const { session } = options;
+
+  const latest = await this.findOne({ resourceType, resource })
+    .sort("-version")
+    .session(session);
+  let version = latest ? latest.version + 1 : 1;
+
+  //Documents created before versioning get their current state as the first version
+  if (!latest && before) {
+    await this.create(
+      [
+        {
+          resourceType,
+          resource,
+          version,
+          action: "import",
+          changes: diff(pickFields(Model, null), beforeFields),
+        },
+      ],
+      { session }
+    );
+    version++;
+  }
+
+  const [revision] = await this.create(
+    [
+      {
+        resourceType,
+        resource,
+        version,
+        action: options.action || (before ? "update" : "create"),
+        changes,
+        revertedTo: options.revertedTo,
+        user,
+      },
+    ],
+    { session }
+  );
+
+  return revision;
+};
+
+//Rebuild the versioned fields of a document as they were at a version
+RevisionSchema.statics.getSnapshot = async function (
+  resourceType,
+  resource,
+  version
+) {
+  const revisions = await this.find({
+    resourceType,
+    resource,
+    version: { $lte: version },
+  }).sort("version");
+
+  if (
+    revisions.length === 0 ||
+    revisions[revisions.length - 1].version !== version
+  ) {
+    return null;
+  }
+
+  return revisions.reduce((snapshot, revision) => {
+    Object.keys(revision.changes).forEach((field) => {
+      snapshot[field] = revision.changes[field].to;
+    });
+    return snapshot;
+  }, {});
+};
+
+module.exports = mongoose.model("Revision", RevisionSchema);
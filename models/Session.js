@@ -0,0 +1,84 @@
+const crypto = require("crypto");
+const mongoose = require("mongoose");
+
+//A session represents one login (one refresh token family)
+const SessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.ObjectId,
+    ref: "User",
+    required: true,
+  },
+  //Hash of the refresh token that is currently valid for this session
+  refreshTokenHash: {
+    type: String,
+    required: true,
+    select: false,
+  },
+  //Hashes of refresh tokens that have already been rotated (used for reuse detection)
+  usedTokenHashes: {
+    type: [String],
+    select: false,
+  },
+  device: String,
+  userAgent: String,
+  ip: String,
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+  revokedAt: Date,
+  lastSeenAt: {
+    type: Date,
+    default: Date.now,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+SessionSchema.index({ refreshTokenHash: 1 });
+SessionSchema.index({ usedTokenHashes: 1 });
+
+//Remove sessions from the database once they have expired
+SessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+//Hash a refresh token the same way the reset password token is hashed
+SessionSchema.statics.hashToken = function (token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
+};
+
+//Generate a new refresh token, keep the previous one for reuse detection
+SessionSchema.methods.getRefreshToken = function () {
+  const refreshToken = crypto.randomBytes(40).toString("hex");
+
+  if (this.refreshTokenHash) {
+    this.usedTokenHashes.push(this.refreshTokenHash);
+  }
+
+  this.refreshTokenHash = this.constructor.hashToken(refreshToken);
+
+  //Set expire (Sliding window of REFRESH_TOKEN_EXPIRE days, defaults to 30)
+  const expireDays = parseInt(process.env.REFRESH_TOKEN_EXPIRE, 10) || 30;
+  this.expiresAt = Date.now() + expireDays * 24 * 60 * 60 * 1000;
+
+  return refreshToken;
+};
+
+//Revoke the sessions of a user (e.g. after a password change), except the one still in use
+SessionSchema.statics.revokeAll = function (userId, exceptSessionId) {
+  const filter = { user: userId, revokedAt: { $exists: false } };
+
+  if (exceptSessionId) {
+    filter._id = { $ne: exceptSessionId };
+  }
+
+  return this.updateMany(filter, { revokedAt: Date.now() });
+};
+
+//Check if the session can still be used
+SessionSchema.methods.isActive = function () {
+  return !this.revokedAt && this.expiresAt > Date.now();
+};
+
+module.exports = mongoose.model("Session", SessionSchema);
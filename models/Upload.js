@@ -0,0 +1,63 @@
+const mongoose = require("mongoose");
+
+//An uploaded file waiting in quarantine until it has been scanned (See utils/uploads.js)
+//quarantined: stored, waiting for the scan, scanning: being scanned and published,
+//published: passed the scan and was handed to its purpose (e.g. added to a gallery),
+//infected: the scanner found a threat, rejected: not a valid file for its purpose,
+//failed: the scanner could not be reached, the scan is retried later
+const UploadSchema = new mongoose.Schema({
+  //Storage key of the file in the quarantine area (Removed once the file is published or rejected)
+  key: String,
+  originalName: String,
+  //Sent by the client, only stored for reference
+  mimetype: String,
+  size: Number,
+  //What the file is for, e.g. bootcampImage (See the publishers in utils/uploads.js)
+  purpose: {
+    type: String,
+    required: true,
+  },
+  //Settings of the purpose (e.g. the caption of an image)
+  options: mongoose.Schema.Types.Mixed,
+  bootcamp: {
+    type: mongoose.Schema.ObjectId,
+    ref: "Bootcamp",
+  },
+  user: {
+    type: mongoose.Schema.ObjectId,
+    ref: "User",
+    required: true,
+  },
+  status: {
+    type: String,
+    enum: [
+      "quarantined",
+      "scanning",
+      "published",
+      "infected",
+      "rejected",
+      "failed",
+    ],
+    default: "quarantined",
+  },
+  scanner: String,
+  //Name of the threat, or why the file was rejected
+  reason: String,
+  //What the file was published as (e.g. the id of the image)
+  result: mongoose.Schema.Types.Mixed,
+  attempts: {
+    type: Number,
+    default: 0,
+  },
+  //When the scan was claimed, uploads still scanning after UPLOAD_SCAN_TIMEOUT are scanned again
+  scanStartedAt: Date,
+  scannedAt: Date,
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+UploadSchema.index({ status: 1, createdAt: 1 });
+
+module.exports = mongoose.model("Upload", UploadSchema);
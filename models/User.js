@@ -2,6 +2,15 @@ const crypto = require("crypto");
 const mongoose = require("mongoose");
 const bcrypt = require("bcryptjs");
 const jwt = require("jsonwebtoken");
+const totp = require("../utils/totp");
+const { roles, hasPermission } = require("../config/roles");
+const { getPolicy } = require("../utils/passwordPolicy");
+const softDelete = require("../utils/softDelete");
+
+const emailMatch = [
+  /^\w+([\.-]?\w+)*@\w+([\.-]?\w+)*(\.\w{2,3})+$/,
+  "Please add a valid email",
+];
 
 const userSchema = mongoose.Schema({
   name: {
@@ -12,30 +21,100 @@ const userSchema = mongoose.Schema({
     type: String,
     required: [true, "Please add an email"],
     unique: true,
-    match: [
-      /^\w+([\.-]?\w+)*@\w+([\.-]?\w+)*(\.\w{2,3})+$/,
-      "Please add a valid email",
-    ],
+    match: emailMatch,
+  },
+  //New email address waiting to be confirmed (Replaces email once verified)
+  pendingEmail: {
+    type: String,
+    match: emailMatch,
+  },
+  isEmailVerified: {
+    type: Boolean,
+    default: false,
   },
   role: {
     type: String,
-    enum: ["user", "publisher"],
+    enum: roles, //Roles are defined in config/roles.json
     default: "user",
   },
+  //Set once a publisher application is approved, bootcamps of unverified publishers are hidden
+  isVerifiedPublisher: {
+    type: Boolean,
+    default: false,
+  },
   password: {
     type: String,
     required: [true, "Please add a password"],
     minlength: 6,
     select: false,
   },
+  //Hashes of previous passwords (Newest first, see PASSWORD_HISTORY)
+  passwordHistory: {
+    type: [String],
+    select: false,
+  },
   resetPasswordToken: String,
   resetPasswordExpire: Date,
+  emailVerificationToken: String,
+  emailVerificationExpire: Date,
+  magicLinkToken: String,
+  magicLinkExpire: Date,
+  //Accounts at OpenID Connect providers linked to this user
+  identities: [
+    {
+      _id: false,
+      provider: String,
+      subject: String,
+      linkedAt: {
+        type: Date,
+        default: Date.now,
+      },
+    },
+  ],
+  //Two-factor authentication (Secret is set on enroll, enabled once a code is confirmed)
+  twoFactorEnabled: {
+    type: Boolean,
+    default: false,
+  },
+  twoFactorSecret: {
+    type: String,
+    select: false,
+  },
+  //Last time step a code was accepted for (Stops a code from being used twice)
+  twoFactorLastStep: {
+    type: Number,
+    select: false,
+  },
+  //Failed logins since the last successful login or lockout
+  failedLoginAttempts: {
+    type: Number,
+    default: 0,
+  },
+  //Number of lockouts in a row (Each one locks the account for longer)
+  lockCount: {
+    type: Number,
+    default: 0,
+  },
+  lockUntil: Date,
+  //Hashed one-time recovery codes
+  twoFactorRecoveryCodes: {
+    type: [String],
+    select: false,
+  },
   createdAt: {
     type: Date,
     default: Date.now,
   },
 });
 
+//Find users by their provider identity on OIDC login
+userSchema.index({ "identities.provider": 1, "identities.subject": 1 });
+
+//Remember the stored password hash, so it can be added to the history when the password changes
+userSchema.post("init", function () {
+  this.$locals.previousPassword = this.password;
+});
+
 //Encrypt password using bcrypt
 
 userSchema.pre("save", async function (next) {
@@ -43,20 +122,47 @@ userSchema.pre("save", async function (next) {
   //genSalt takes parameter as number of rounds. Higher the rounds, more secure the password, but heavier on our system
 
   if (!this.isModified("password")) {
-    next();
+    return next();
   }
+
+  //Keep the previous hashes (Only when the history was loaded, otherwise it would be overwritten)
+  if (this.$locals.previousPassword && this.isSelected("passwordHistory")) {
+    this.passwordHistory = [
+      this.$locals.previousPassword,
+      ...this.passwordHistory,
+    ].slice(0, getPolicy().history);
+  }
+
   const salt = await bcrypt.genSalt(10);
   this.password = await bcrypt.hash(this.password, salt);
 });
 
-//Sign JWT and return
+//Sign JWT and return (Short-lived access token bound to a session)
 
-userSchema.methods.getSignedJwtToken = function () {
-  return jwt.sign({ id: this._id }, process.env.JWT_SECRET, {
+userSchema.methods.getSignedJwtToken = function (sessionId) {
+  return jwt.sign({ id: this._id, sid: sessionId }, process.env.JWT_SECRET, {
     expiresIn: process.env.JWT_EXPIRE,
   });
 };
 
+//Check if the user's role grants a permission (e.g. "bootcamp:update:any")
+//Requests made with an API key are also limited to the key's scopes
+userSchema.methods.hasPermission = function (permission) {
+  const apiKey = this.$locals.apiKey;
+
+  return (
+    hasPermission(this.role, permission) &&
+    (!apiKey || apiKey.allows(permission))
+  );
+};
+
+//Check if the request may touch a bootcamp (API keys can be limited to one bootcamp)
+userSchema.methods.canAccessBootcamp = function (bootcampId) {
+  const apiKey = this.$locals.apiKey;
+
+  return !apiKey || apiKey.allowsBootcamp(bootcampId);
+};
+
 //Match user entered password to hashed password in database (Middleware). Called on user object
 userSchema.methods.matchPassword = async function (enteredPassword) {
   return await bcrypt.compare(enteredPassword, this.password);
@@ -79,4 +185,150 @@ userSchema.methods.getResetPasswordToken = function () {
   return resetToken;
 };
 
+//Generate and hash email verification token
+userSchema.methods.getEmailVerificationToken = function () {
+  //Generate token
+  const verificationToken = crypto.randomBytes(20).toString("hex");
+
+  //Hash token and set to emailVerificationToken field
+  this.emailVerificationToken = crypto
+    .createHash("sha256")
+    .update(verificationToken)
+    .digest("hex");
+
+  //Set expire (To 24 hours)
+  this.emailVerificationExpire = Date.now() + 24 * 60 * 60 * 1000;
+
+  return verificationToken;
+};
+
+//Generate and hash magic link login token
+userSchema.methods.getMagicLinkToken = function () {
+  //Generate token
+  const magicLinkToken = crypto.randomBytes(20).toString("hex");
+
+  //Hash token and set to magicLinkToken field
+  this.magicLinkToken = crypto
+    .createHash("sha256")
+    .update(magicLinkToken)
+    .digest("hex");
+
+  //Set expire (To 15 minutes)
+  this.magicLinkExpire = Date.now() + 15 * 60 * 1000;
+
+  return magicLinkToken;
+};
+
+//Sign a short-lived JWT which can only be exchanged for a real token with a 2FA code
+userSchema.methods.getTwoFactorChallengeToken = function () {
+  return jwt.sign({ id: this._id, purpose: "2fa" }, process.env.JWT_SECRET, {
+    expiresIn: "5m",
+  });
+};
+
+//Generate one-time recovery codes, store them hashed and return them in plain text
+userSchema.methods.generateRecoveryCodes = function () {
+  const recoveryCodes = Array.from({ length: 10 }, () =>
+    crypto.randomBytes(5).toString("hex")
+  );
+
+  this.twoFactorRecoveryCodes = recoveryCodes.map((code) =>
+    crypto.createHash("sha256").update(code).digest("hex")
+  );
+
+  return recoveryCodes;
+};
+
+//Match an authenticator code or a recovery code (Called with twoFactorSecret, twoFactorLastStep and twoFactorRecoveryCodes selected)
+//Used codes are consumed, so the user has to be saved afterwards
+userSchema.methods.matchTwoFactorCode = function (code) {
+  if (!code || !this.twoFactorSecret) {
+    return false;
+  }
+
+  code = code.toString().trim();
+
+  const step = totp.verify(code, this.twoFactorSecret);
+
+  if (step !== null) {
+    //Reject a code which was already used
+    if (this.twoFactorLastStep && step <= this.twoFactorLastStep) {
+      return false;
+    }
+    this.twoFactorLastStep = step;
+    return true;
+  }
+
+  const hashedCode = crypto
+    .createHash("sha256")
+    .update(code.toLowerCase())
+    .digest("hex");
+
+  if (this.twoFactorRecoveryCodes.includes(hashedCode)) {
+    this.twoFactorRecoveryCodes.pull(hashedCode);
+    return true;
+  }
+
+  return false;
+};
+
+//Check if the account is locked because of failed logins
+userSchema.methods.isLocked = function () {
+  return !!(this.lockUntil && this.lockUntil > Date.now());
+};
+
+//Count a failed login and lock the account once LOGIN_MAX_ATTEMPTS is reached
+//The lock time doubles with every lockout in a row (Up to 24 hours)
+//Returns true if this attempt locked the account
+userSchema.methods.registerFailedLogin = async function () {
+  const maxAttempts = parseInt(process.env.LOGIN_MAX_ATTEMPTS, 10) || 5;
+  const lockTime = parseInt(process.env.LOGIN_LOCK_TIME, 10) || 15; //Minutes
+
+  //Atomic increment, so parallel attempts are all counted
+  const user = await this.constructor.findByIdAndUpdate(
+    this._id,
+    { $inc: { failedLoginAttempts: 1 } },
+    { new: true }
+  );
+
+  if (user.failedLoginAttempts < maxAttempts) {
+    return false;
+  }
+
+  const lockDuration = Math.min(
+    lockTime * 2 ** user.lockCount * 60 * 1000,
+    24 * 60 * 60 * 1000
+  );
+
+  this.lockUntil = Date.now() + lockDuration;
+
+  await this.constructor.findByIdAndUpdate(this._id, {
+    lockUntil: this.lockUntil,
+    failedLoginAttempts: 0,
+    $inc: { lockCount: 1 },
+  });
+
+  return true;
+};
+
+//Clear failed logins and lockouts (After a successful login or when an admin unlocks the account)
+userSchema.methods.resetFailedLogins = async function () {
+  if (this.failedLoginAttempts || this.lockCount || this.lockUntil) {
+    await this.constructor.findByIdAndUpdate(this._id, {
+      failedLoginAttempts: 0,
+      lockCount: 0,
+      $unset: { lockUntil: 1 },
+    });
+  }
+};
+
+//Deleting a user moves their bootcamps, courses and reviews to the trash too
+userSchema.plugin(softDelete, {
+  cascade: [
+    { model: "Bootcamp", foreignField: "user" },
+    { model: "Course", foreignField: "user" },
+    { model: "Review", foreignField: "user" },
+  ],
+});
+
 module.exports = mongoose.model("User", userSchema);
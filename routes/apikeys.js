@@ -0,0 +1,19 @@
+const express = require("express");
+const {
+  getApiKeys,
+  createApiKey,
+  deleteApiKey,
+} = require("../controllers/apikeys");
+
+const router = express.Router();
+
+const { protect, sessionOnly } = require("../middleware/auth");
+
+//Routes below this will use the following two middlewares (A key can not create more keys)
+router.use(protect);
+router.use(sessionOnly);
+
+router.route("/").get(getApiKeys).post(createApiKey);
+router.route("/:id").delete(deleteApiKey);
+
+module.exports = router;
@@ -3,24 +3,71 @@ const {
   register,
   login,
   logout,
+  refresh,
   getMe,
   forgotPassword,
   resetPassword,
   updateDetails,
   updatePassword,
+  verifyEmail,
+  resendVerificationEmail,
+  enrollTwoFactor,
+  confirmTwoFactor,
+  disableTwoFactor,
+  verifyTwoFactor,
+  sendMagicLink,
+  magicLinkLogin,
+  oidcLogin,
+  oidcCallback,
 } = require("../controllers/auth");
 
+//Include other resource routers
+const sessionRouter = require("./sessions");
+const apiKeyRouter = require("./apikeys");
+
 const router = express.Router();
-const { protect } = require("../middleware/auth");
+const { protect, authorize, sessionOnly } = require("../middleware/auth");
+
+//Re-route into other resource routers
+router.use("/sessions", sessionRouter);
+router.use("/apikeys", apiKeyRouter);
 
 router.post("/register", register);
 router.post("/login", login);
-router.get("/logout", logout);
+router.post("/refresh", refresh);
+router.get("/logout", protect, sessionOnly, logout);
 router.get("/me", protect, getMe);
-router.put("/updatedetails", protect, updateDetails);
-router.put("/updatepassword", protect, updatePassword);
+router.put("/updatedetails", protect, sessionOnly, updateDetails);
+router.put("/updatepassword", protect, sessionOnly, updatePassword);
+
+router.post("/magiclink", sendMagicLink);
+router.get("/magiclink/:magiclinktoken", magicLinkLogin);
+
+router.get("/oidc/:provider", oidcLogin);
+router.get("/oidc/:provider/callback", oidcCallback);
 
 router.post("/forgotpassword", forgotPassword);
 router.put("/resetpassword/:resettoken", resetPassword);
 
+router.post("/verifyemail", protect, sessionOnly, resendVerificationEmail);
+router.get("/verifyemail/:verificationtoken", verifyEmail);
+
+//Two-factor authentication
+router.post(
+  "/2fa/enroll",
+  protect,
+  sessionOnly,
+  authorize("twofactor:enroll"),
+  enrollTwoFactor
+);
+router.post(
+  "/2fa/confirm",
+  protect,
+  sessionOnly,
+  authorize("twofactor:enroll"),
+  confirmTwoFactor
+);
+router.post("/2fa/disable", protect, sessionOnly, disableTwoFactor);
+router.post("/2fa/verify", verifyTwoFactor);
+
 module.exports = router;
@@ -7,39 +7,124 @@ const {
   deleteBootcamp,
   getBootcampsInRadius,
   bootcampPhotoUpload,
+  getBootcampPhoto,
+  changeBootcampStatus,
+  restoreBootcamp,
 } = require("../controllers/bootcamps");
+const {
+  getHistory,
+  getVersion,
+  revertToVersion,
+} = require("../controllers/revisions");
 
 const Bootcamp = require("../models/Bootcamp");
 
 //Include other resource routers
 const courseRouter = require("./courses");
 const reviewRouter = require("./reviews");
+const transferRouter = require("./transfers");
+const imageRouter = require("./images");
 
 const router = express.Router(); //Initializing the router
 
 const advancedResults = require("../middleware/advancedResults");
-const { protect, authorize } = require("../middleware/auth");
+const {
+  protect,
+  identify,
+  authorize,
+  verifiedEmail,
+} = require("../middleware/auth");
 
 //Re-route into other resource routers (Passes the request into the courseRouter)
 router.use("/:bootcampId/courses", courseRouter);
 router.use("/:bootcampId/reviews", reviewRouter);
+router.use("/:bootcampId/transfer", transferRouter);
+router.use("/:bootcampId/images", imageRouter);
 
 router.route("/radius/:zipcode/:distance").get(getBootcampsInRadius);
 
-//Uploading Photo endpoint
+//Uploading Photo endpoint (Adds the photo to the gallery as the cover)
 router
   .route("/:id/photo")
-  .put(protect, authorize("publisher", "admin"), bootcampPhotoUpload);
+  .get(identify, getBootcampPhoto)
+  .put(
+    protect,
+    authorize("bootcamp:update:own", "bootcamp:update:any"),
+    bootcampPhotoUpload
+  );
 
 router
   .route("/")
-  .get(advancedResults(Bootcamp, "courses"), getBootcamps)
-  .post(protect, authorize("publisher", "admin"), createBootcamp);
+  .get(
+    identify,
+    advancedResults(
+      Bootcamp,
+      "courses",
+      (req) => Bootcamp.visibleTo(req.user),
+      (match) => Bootcamp.getFacets(match)
+    ),
+    getBootcamps
+  )
+  .post(protect, authorize("bootcamp:create"), verifiedEmail, createBootcamp);
+
+router
+  .route("/:id/restore")
+  .post(
+    protect,
+    authorize("bootcamp:delete:own", "bootcamp:delete:any"),
+    restoreBootcamp
+  );
+
+//Revision history
+router
+  .route("/:id/history")
+  .get(
+    protect,
+    authorize("bootcamp:update:own", "bootcamp:update:any"),
+    getHistory(Bootcamp)
+  );
+router
+  .route("/:id/history/:version")
+  .get(
+    protect,
+    authorize("bootcamp:update:own", "bootcamp:update:any"),
+    getVersion(Bootcamp)
+  );
+router
+  .route("/:id/revert/:version")
+  .post(
+    protect,
+    authorize("bootcamp:update:own", "bootcamp:update:any"),
+    revertToVersion(Bootcamp)
+  );
+
+//Status changes (See Bootcamp.transitions)
+Object.keys(Bootcamp.transitions).forEach((action) => {
+  router
+    .route(`/:id/${action}`)
+    .put(
+      protect,
+      authorize(
+        "bootcamp:update:own",
+        "bootcamp:update:any",
+        "bootcamp:publish"
+      ),
+      changeBootcampStatus(action)
+    );
+});
 
 router
   .route("/:id")
-  .get(getBootcamp)
-  .put(protect, authorize("publisher", "admin"), updateBootcamp)
-  .delete(protect, authorize("publisher", "admin"), deleteBootcamp);
+  .get(identify, getBootcamp)
+  .put(
+    protect,
+    authorize("bootcamp:update:own", "bootcamp:update:any"),
+    updateBootcamp
+  )
+  .delete(
+    protect,
+    authorize("bootcamp:delete:own", "bootcamp:delete:any"),
+    deleteBootcamp
+  );
 
 module.exports = router;
@@ -5,31 +5,85 @@ const {
   addCourse,
   updateCourse,
   deleteCourse,
+  restoreCourse,
 } = require("../controllers/courses");
+const {
+  getHistory,
+  getVersion,
+  revertToVersion,
+} = require("../controllers/revisions");
 
 //Bringing in the model and middleware
 const Course = require("../models/Course");
+const Bootcamp = require("../models/Bootcamp");
 
 const router = express.Router({ mergeParams: true });
 
 const advancedResults = require("../middleware/advancedResults");
-const { protect, authorize } = require("../middleware/auth");
+const { protect, identify, authorize } = require("../middleware/auth");
 
 router
   .route("/")
   .get(
-    advancedResults(Course, {
-      path: "bootcamp",
-      select: "name description",
-    }),
+    identify,
+    advancedResults(
+      Course,
+      { path: "bootcamp", select: "name description" },
+      async (req) => ({
+        bootcamp: { $in: await Bootcamp.visibleIds(req.user) },
+      })
+    ),
     getCourses
   )
-  .post(protect, authorize("publisher", "admin"), addCourse);
+  .post(
+    protect,
+    authorize("course:create:own", "course:create:any"),
+    addCourse
+  );
+
+router
+  .route("/:id/restore")
+  .post(
+    protect,
+    authorize("course:delete:own", "course:delete:any"),
+    restoreCourse
+  );
+
+//Revision history
+router
+  .route("/:id/history")
+  .get(
+    protect,
+    authorize("course:update:own", "course:update:any"),
+    getHistory(Course)
+  );
+router
+  .route("/:id/history/:version")
+  .get(
+    protect,
+    authorize("course:update:own", "course:update:any"),
+    getVersion(Course)
+  );
+router
+  .route("/:id/revert/:version")
+  .post(
+    protect,
+    authorize("course:update:own", "course:update:any"),
+    revertToVersion(Course)
+  );
 
 router
   .route("/:id")
-  .get(getCourse)
-  .put(protect, authorize("publisher", "admin"), updateCourse)
-  .delete(protect, authorize("publisher", "admin"), deleteCourse);
+  .get(identify, getCourse)
+  .put(
+    protect,
+    authorize("course:update:own", "course:update:any"),
+    updateCourse
+  )
+  .delete(
+    protect,
+    authorize("course:delete:own", "course:delete:any"),
+    deleteCourse
+  );
 
 module.exports = router;
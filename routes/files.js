@@ -0,0 +1,9 @@
+const express = require("express");
+const { downloadFile } = require("../controllers/files");
+
+const router = express.Router();
+
+//Keys contain slashes (e.g. bootcamps/<bootcampId>/<imageId>_card.jpg)
+router.route("/*").get(downloadFile);
+
+module.exports = router;
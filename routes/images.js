@@ -0,0 +1,33 @@
+const express = require("express");
+const {
+  getImages,
+  getImageFile,
+  uploadImage,
+  reorderImages,
+  updateImage,
+  setCoverImage,
+  deleteImage,
+} = require("../controllers/images");
+
+const router = express.Router({ mergeParams: true });
+
+const { protect, identify, authorize } = require("../middleware/auth");
+
+const canUpdate = authorize("bootcamp:update:own", "bootcamp:update:any");
+
+router
+  .route("/")
+  .get(identify, getImages)
+  .post(protect, canUpdate, uploadImage);
+
+router.route("/order").put(protect, canUpdate, reorderImages);
+
+router
+  .route("/:imageId")
+  .put(protect, canUpdate, updateImage)
+  .delete(protect, canUpdate, deleteImage);
+
+router.route("/:imageId/cover").put(protect, canUpdate, setCoverImage);
+router.route("/:imageId/:variant").get(identify, getImageFile);
+
+module.exports = router;
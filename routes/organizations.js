@@ -0,0 +1,53 @@
+const express = require("express");
+const {
+  getOrganizations,
+  getOrganization,
+  createOrganization,
+  updateOrganization,
+  deleteOrganization,
+  getInvitations,
+  inviteMember,
+  cancelInvitation,
+  acceptInvitation,
+  updateMember,
+  removeMember,
+} = require("../controllers/organizations");
+
+const Organization = require("../models/Organization");
+
+const router = express.Router();
+
+const advancedResults = require("../middleware/advancedResults");
+const { protect, authorize, sessionOnly } = require("../middleware/auth");
+
+//Routes below this will use the following two middlewares
+router.use(protect);
+router.use(sessionOnly);
+
+//Members are checked in the controllers, the roles in the organization decide what they can do
+router
+  .route("/")
+  .get(
+    advancedResults(Organization, null, (req) =>
+      req.user.hasPermission("organization:manage")
+        ? {}
+        : { "members.user": req.user._id }
+    ),
+    getOrganizations
+  )
+  .post(authorize("organization:create"), createOrganization);
+
+router.route("/invitations/:invitationToken").put(acceptInvitation);
+
+router
+  .route("/:id")
+  .get(getOrganization)
+  .put(updateOrganization)
+  .delete(deleteOrganization);
+
+router.route("/:id/invitations").get(getInvitations).post(inviteMember);
+router.route("/:id/invitations/:invitationId").delete(cancelInvitation);
+
+router.route("/:id/members/:userId").put(updateMember).delete(removeMember);
+
+module.exports = router;
@@ -0,0 +1,47 @@
+const express = require("express");
+const {
+  getApplications,
+  getApplication,
+  createApplication,
+  approveApplication,
+  rejectApplication,
+} = require("../controllers/publishers");
+
+const PublisherApplication = require("../models/PublisherApplication");
+
+const router = express.Router();
+
+const advancedResults = require("../middleware/advancedResults");
+const {
+  protect,
+  authorize,
+  verifiedEmail,
+  sessionOnly,
+} = require("../middleware/auth");
+
+//Routes below this will use the following two middlewares
+router.use(protect);
+router.use(sessionOnly);
+
+router
+  .route("/applications")
+  .get(
+    authorize("publisher:review"),
+    advancedResults(PublisherApplication, {
+      path: "user",
+      select: "name email role",
+    }),
+    getApplications
+  )
+  .post(authorize("publisher:apply"), verifiedEmail, createApplication);
+
+router.route("/applications/:id").get(getApplication);
+
+router
+  .route("/applications/:id/approve")
+  .put(authorize("publisher:review"), approveApplication);
+router
+  .route("/applications/:id/reject")
+  .put(authorize("publisher:review"), rejectApplication);
+
+module.exports = router;
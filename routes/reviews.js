@@ -5,30 +5,53 @@ const {
   addReview,
   updateReview,
   deleteReview,
+  restoreReview,
 } = require("../controllers/reviews");
 
 const Review = require("../models/Review");
+const Bootcamp = require("../models/Bootcamp");
 
 const router = express.Router({ mergeParams: true });
 
 const advancedResults = require("../middleware/advancedResults");
-const { protect, authorize } = require("../middleware/auth");
+const {
+  protect,
+  identify,
+  authorize,
+  verifiedEmail,
+} = require("../middleware/auth");
 
 router
   .route("/")
   .get(
-    advancedResults(Review, {
-      path: "bootcamp",
-      select: "name description",
-    }),
+    identify,
+    advancedResults(
+      Review,
+      { path: "bootcamp", select: "name description" },
+      async (req) => ({
+        bootcamp: { $in: await Bootcamp.visibleIds(req.user) },
+      })
+    ),
     getReviews
   )
-  .post(protect, authorize("user", "admin"), addReview);
+  .post(protect, authorize("review:create"), verifiedEmail, addReview);
+
+router
+  .route("/:id/restore")
+  .post(
+    protect,
+    authorize("review:delete:own", "review:moderate"),
+    restoreReview
+  );
 
 router
   .route("/:id")
-  .get(getReview)
-  .put(protect, authorize("user", "admin"), updateReview)
-  .delete(protect, authorize("user", "admin"), deleteReview);
+  .get(identify, getReview)
+  .put(protect, authorize("review:update:own", "review:moderate"), updateReview)
+  .delete(
+    protect,
+    authorize("review:delete:own", "review:moderate"),
+    deleteReview
+  );
 
 module.exports = router;
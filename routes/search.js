@@ -0,0 +1,11 @@
+const express = require("express");
+const { search, suggest } = require("../controllers/search");
+
+const router = express.Router();
+
+const { identify } = require("../middleware/auth");
+
+router.route("/").get(identify, search);
+router.route("/suggest").get(suggest);
+
+module.exports = router;
@@ -0,0 +1,19 @@
+const express = require("express");
+const {
+  getSessions,
+  revokeSession,
+  revokeSessions,
+} = require("../controllers/sessions");
+
+const router = express.Router({ mergeParams: true });
+
+const { protect, sessionOnly } = require("../middleware/auth");
+
+//Routes below this will use the following two middlewares
+router.use(protect);
+router.use(sessionOnly);
+
+router.route("/").get(getSessions).delete(revokeSessions);
+router.route("/:id").delete(revokeSession);
+
+module.exports = router;
@@ -0,0 +1,34 @@
+const express = require("express");
+const {
+  getTransfers,
+  requestTransfer,
+  acceptTransfer,
+  declineTransfer,
+  cancelTransfer,
+} = require("../controllers/transfers");
+
+const router = express.Router({ mergeParams: true });
+
+const { protect, authorize, sessionOnly } = require("../middleware/auth");
+
+//Routes below this will use the following two middlewares
+router.use(protect);
+router.use(sessionOnly);
+
+router
+  .route("/")
+  .get(getTransfers)
+  .post(
+    authorize("bootcamp:transfer:own", "bootcamp:transfer:any"),
+    requestTransfer
+  )
+  .delete(
+    authorize("bootcamp:transfer:own", "bootcamp:transfer:any"),
+    cancelTransfer
+  );
+
+//Only the recipient can respond
+router.route("/accept").put(acceptTransfer);
+router.route("/decline").put(declineTransfer);
+
+module.exports = router;
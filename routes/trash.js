@@ -0,0 +1,39 @@
+const express = require("express");
+const {
+  trashModels,
+  getTrashSummary,
+  getTrash,
+  deleteFromTrash,
+} = require("../controllers/trash");
+
+const router = express.Router();
+
+const advancedResults = require("../middleware/advancedResults");
+const { protect, authorize } = require("../middleware/auth");
+
+const inTrash = { deletedAt: { $ne: null } };
+
+//Routes below this will use the following two middlewares
+router.use(protect);
+router.use(authorize("trash:manage"));
+
+router.route("/").get(getTrashSummary);
+
+//Deleted items are restored through the resource (e.g. POST /api/v1/bootcamps/:id/restore) or deleted for good here
+Object.entries(trashModels).forEach(([name, Model]) => {
+  router
+    .route(`/${name}`)
+    .get(
+      advancedResults(
+        Model,
+        { path: "deletedBy", select: "name" },
+        inTrash,
+        null,
+        { withDeleted: true }
+      ),
+      getTrash
+    );
+  router.route(`/${name}/:id`).delete(deleteFromTrash(name));
+});
+
+module.exports = router;
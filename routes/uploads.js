@@ -0,0 +1,22 @@
+const express = require("express");
+const { getUploads, getUpload } = require("../controllers/uploads");
+
+const Upload = require("../models/Upload");
+
+const router = express.Router();
+
+const advancedResults = require("../middleware/advancedResults");
+const { protect } = require("../middleware/auth");
+
+router.use(protect);
+
+router.route("/").get(
+  advancedResults(Upload, null, (req) =>
+    req.user.hasPermission("upload:manage") ? {} : { user: req.user._id }
+  ),
+  getUploads
+);
+
+router.route("/:id").get(getUpload);
+
+module.exports = router;
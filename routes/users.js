@@ -5,8 +5,12 @@ const {
   createUser,
   updateUser,
   deleteUser,
+  restoreUser,
 } = require("../controllers/users");
 
+//Include other resource routers
+const sessionRouter = require("./sessions");
+
 //Bringing in the model and middleware
 const User = require("../models/User");
 
@@ -17,9 +21,13 @@ const { protect, authorize } = require("../middleware/auth");
 
 //Routes below this will use the following two middlewares
 router.use(protect);
-router.use(authorize("admin"));
+router.use(authorize("user:manage"));
+
+//Re-route into other resource routers (Admins can manage the sessions of any user)
+router.use("/:userId/sessions", sessionRouter);
 
 router.route("/").get(advancedResults(User), getUsers).post(createUser);
+router.route("/:id/restore").post(restoreUser);
 router.route("/:id").get(getUser).put(updateUser).delete(deleteUser);
 
 module.exports = router;
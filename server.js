@@ -15,9 +15,13 @@ const cors = require("cors");
 const errorHandler = require("./middleware/error");
 const connectDB = require("./config/db");
 
-//Load env vars
+//Load env vars (Before the models, config/roles.js reads ROLES_CONFIG when it is loaded)
 dotenv.config({ path: "./config/config.env" });
 
+const purgeTrash = require("./utils/purgeTrash");
+const { processPendingUploads } = require("./utils/uploads");
+const { getScanner } = require("./utils/scanners");
+
 //Connect to database
 connectDB();
 
@@ -27,6 +31,12 @@ const courses = require("./routes/courses");
 const auth = require("./routes/auth");
 const users = require("./routes/users");
 const reviews = require("./routes/reviews");
+const publishers = require("./routes/publishers");
+const trash = require("./routes/trash");
+const organizations = require("./routes/organizations");
+const files = require("./routes/files");
+const uploads = require("./routes/uploads");
+const search = require("./routes/search");
 
 const app = express();
 
@@ -63,6 +73,23 @@ app.use(
 //Prevent XSS attacks
 app.use(xss());
 
+//Enable CORS for the front end origins in CORS_ORIGIN (Comma separated)
+//Credentials are allowed so browsers send the auth cookies in cookie mode
+if (process.env.CORS_ORIGIN) {
+  app.use(
+    cors({
+      origin: process.env.CORS_ORIGIN.split(","),
+      credentials: true,
+      allowedHeaders: [
+        "Content-Type",
+        "Authorization",
+        "X-CSRF-Token",
+        "X-API-Key",
+      ],
+    })
+  );
+}
+
 //Rate limiting
 const limiter = rateLimit({
   windowMs: 1 * 60 * 1000, //1 minute
@@ -82,13 +109,10 @@ app.use(limiter);
 //Prevent http param pollution
 app.use(hpp());
 
-//Enable CORS
-// if(process.env.NODE_ENV === 'development'){
-//   app.use(cors());
-// }
+//Uploads are not public, they are downloaded with signed URLs (See utils/storage)
+app.use("/uploads", (req, res) => res.status(404).end());
 
 // Set static folder (Helps us access the contents of the file through Google)
-// http://localhost:5000/uploads/photo_5d725a1b7b292f5f8ceff788.jpg will help us access one of the photos in the public folder.
 
 app.use(express.static(path.join(__dirname, "public")));
 
@@ -98,17 +122,39 @@ app.use("/api/v1/courses", courses);
 app.use("/api/v1/auth", auth);
 app.use("/api/v1/users", users);
 app.use("/api/v1/reviews", reviews);
+app.use("/api/v1/publishers", publishers);
+app.use("/api/v1/trash", trash);
+app.use("/api/v1/organizations", organizations);
+app.use("/api/v1/files", files);
+app.use("/api/v1/uploads", uploads);
+app.use("/api/v1/search", search);
 app.use(errorHandler);
 
 //Starting the server only if this file is directly run
 if (require.main === module) {
   const PORT = process.env.PORT || 5000;
+
+  //Fail now instead of publishing uploads which were not really scanned
+  getScanner();
+
   const server = app.listen(PORT, () => {
     console.log(
       `Server running in ${process.env.NODE_ENV} mode on port ${PORT}`
     );
   });
 
+  //Purge the trash once a day
+  setInterval(() => {
+    purgeTrash()
+      .then((purged) => console.log("Trash purged:", purged))
+      .catch((error) => console.log(error));
+  }, 24 * 60 * 60 * 1000);
+
+  //Scan the uploads left in the quarantine (e.g. while the scanner was not reachable) every 5 minutes
+  setInterval(() => {
+    processPendingUploads().catch((error) => console.log(error));
+  }, 5 * 60 * 1000);
+
   //Handle unhandled promise rejections
   process.on("unhandledRejection", (err, promise) => {
     console.log(`Error: ${err.message}`);
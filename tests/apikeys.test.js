@@ -0,0 +1,162 @@
+const supertest = require("supertest");
+const mongoose = require("mongoose");
+const app = require("../server");
+const User = require("../models/User");
+const ApiKey = require("../models/ApiKey");
+
+let server;
+
+//Start the server before each test
+beforeEach(() => {
+  server = app.listen(5000);
+});
+
+//Stop the server after each test
+afterEach(async () => {
+  await server.close();
+});
+
+const apiKeyUser = {
+  name: "API Key Publisher",
+  email: "apikeypublisher@example.com",
+  password: "apikeypassword",
+  role: "publisher",
+  isEmailVerified: true,
+};
+
+//Clean up the database connection after all tests
+afterAll(async () => {
+  console.log("MongoDB connection closing...");
+
+  //Delete the test user and their keys
+  const user = await User.findOne({ email: apiKeyUser.email });
+  await ApiKey.deleteMany({ user: user._id });
+  await user.deleteOne();
+
+  await mongoose.connection.close();
+});
+
+describe("API Keys API Requests", () => {
+  let token; //Store the JWT token of the publisher
+  let key; //Store the plain API key
+  let apiKeyId; //Store the ID of the created API key
+
+  beforeAll(async () => {
+    await User.create(apiKeyUser);
+
+    const response = await supertest(app)
+      .post("/api/v1/auth/login")
+      .send({ email: apiKeyUser.email, password: apiKeyUser.password });
+
+    token = response.body.token;
+  });
+
+  //POST Request to create a read-only API key
+  it("should create an API key and return the plain key once", async () => {
+    const response = await supertest(server)
+      .post("/api/v1/auth/apikeys")
+      .set("Authorization", `Bearer ${token}`)
+      .send({ name: "Partner script", scopes: [], expiresIn: 30 });
+
+    key = response.body.key;
+    apiKeyId = response.body.data._id;
+
+    //Assertions
+    expect(response.status).toBe(201);
+    expect(response.body.success).toBe(true);
+    expect(key).toMatch(/^sbk_/);
+    expect(response.body.data).toHaveProperty("prefix", key.slice(0, 12));
+    expect(response.body.data).not.toHaveProperty("keyHash"); //Only the hash is stored
+  });
+
+  //POST Request to create an API key (in case of error: expiry too long)
+  it("should return a 400 error when the expiry is too long", async () => {
+    const response = await supertest(server)
+      .post("/api/v1/auth/apikeys")
+      .set("Authorization", `Bearer ${token}`)
+      .send({ name: "Forever key", expiresIn: 10000 });
+
+    //Assertions
+    expect(response.status).toBe(400);
+    expect(response.body.success).toBe(false);
+  });
+
+  //GET Request authenticated with the API key
+  it("should authenticate requests made with the X-API-Key header", async () => {
+    const response = await supertest(server)
+      .get("/api/v1/auth/me")
+      .set("X-API-Key", key);
+
+    //Assertions
+    expect(response.status).toBe(200);
+    expect(response.body.data).toHaveProperty("email", apiKeyUser.email);
+  });
+
+  //POST Request with a read-only key
+  it("should not allow a read-only key to create a bootcamp", async () => {
+    const response = await supertest(server)
+      .post("/api/v1/bootcamps")
+      .set("X-API-Key", key)
+      .send({ name: "Bootcamp from a script" });
+
+    //Assertions
+    expect(response.status).toBe(403);
+    expect(response.body.success).toBe(false);
+  });
+
+  //GET Request to manage keys with a key
+  it("should not allow API keys to manage API keys", async () => {
+    const response = await supertest(server)
+      .get("/api/v1/auth/apikeys")
+      .set("X-API-Key", key);
+
+    //Assertions
+    expect(response.status).toBe(403);
+    expect(response.body).toHaveProperty(
+      "error",
+      "API keys can not be used to access this route"
+    );
+  });
+
+  //GET Request to list the keys of the logged in user
+  it("should list the API keys with their last used time", async () => {
+    const response = await supertest(server)
+      .get("/api/v1/auth/apikeys")
+      .set("Authorization", `Bearer ${token}`);
+
+    //Assertions
+    expect(response.status).toBe(200);
+    expect(response.body.count).toBe(1);
+    expect(response.body.data[0]).toHaveProperty("name", "Partner script");
+    expect(response.body.data[0]).toHaveProperty("lastUsedAt");
+    expect(response.body.data[0]).toHaveProperty("expiresAt");
+  });
+
+  //GET Request with an unknown key
+  it("should return a 401 error for an invalid API key", async () => {
+    const response = await supertest(server)
+      .get("/api/v1/auth/me")
+      .set("X-API-Key", "sbk_invalid");
+
+    //Assertions
+    expect(response.status).toBe(401);
+    expect(response.body).toHaveProperty("error", "Invalid API key");
+  });
+
+  //DELETE Request to revoke the key
+  it("should delete the API key so it can no longer be used", async () => {
+    const response = await supertest(server)
+      .delete(`/api/v1/auth/apikeys/${apiKeyId}`)
+      .set("Authorization", `Bearer ${token}`);
+
+    //Assertions
+    expect(response.status).toBe(200);
+    expect(response.body.success).toBe(true);
+
+    const meResponse = await supertest(server)
+      .get("/api/v1/auth/me")
+      .set("X-API-Key", key);
+
+    expect(meResponse.status).toBe(401);
+  });
+});
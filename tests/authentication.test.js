@@ -2,6 +2,7 @@ const supertest = require("supertest");
 const mongoose = require("mongoose");
 const app = require("../server");
 const User = require("../models/User");
+const totp = require("../utils/totp");
 
 let server;
 
@@ -28,6 +29,7 @@ afterAll(async () => {
 describe("Authentication API Requests", () => {
   let registeredUser = {}; //Store the user data for login
   let token; //Store the JWT token from the logged-in user
+  let refreshToken; //Store the refresh token from before the password change
 
   //POST Request to Authentication API for Resgistering a User
   it("should successfully register a user and return a token", async () => {
@@ -43,6 +45,7 @@ describe("Authentication API Requests", () => {
 
     //Storing token, userId email and password for subsequent tests
     token = response.body.token;
+    refreshToken = response.body.refreshToken;
 
     registeredUser.email = userData.email;
     registeredUser.password = userData.password;
@@ -71,6 +74,28 @@ describe("Authentication API Requests", () => {
     expect(response.body).toHaveProperty("error");
   });
 
+  //POST Request to Authentication API for Registering a User (in case of error: Admin role)
+  it("should return a 400 error when registering as an admin", async () => {
+    const adminUserData = {
+      name: "Wannabe Admin",
+      email: "wannabeadmin@example.com",
+      password: "wannabepassword",
+      role: "admin", //Admins can only be created by other admins
+    };
+
+    const response = await supertest(server)
+      .post("/api/v1/auth/register")
+      .send(adminUserData);
+
+    //Assertions
+    expect(response.status).toBe(400);
+    expect(response.body.success).toBe(false);
+    expect(response.body).toHaveProperty(
+      "error",
+      "Role admin can not be chosen on registration"
+    );
+  });
+
   //POST Request to Authentication API for Login
   it("should successfully login a user and return a token", async () => {
     const loginDetails = {
@@ -168,6 +193,11 @@ describe("Authentication API Requests", () => {
 
   //POST Request to update password
   it("should successfully update the password after entering both the old password and new password", async () => {
+    //Another login, which is signed out by the password change
+    const otherLogin = await supertest(server)
+      .post("/api/v1/auth/login")
+      .send({ email: registeredUser.email, password: registeredUser.password });
+
     const passwordData = {
       currentPassword: registeredUser.password,
       newPassword: process.env.REGISTERED_USER_PASSWORD,
@@ -181,6 +211,16 @@ describe("Authentication API Requests", () => {
     expect(response.status).toBe(200); //HTTP status for success
     expect(response.body.success).toBe(true);
     expect(response.body).toHaveProperty("token"); //Ensure a new token is returned
+
+    const otherResponse = await supertest(server)
+      .get("/api/v1/auth/me")
+      .set("Authorization", `Bearer ${otherLogin.body.token}`);
+    const currentResponse = await supertest(server)
+      .get("/api/v1/auth/me")
+      .set("Authorization", `Bearer ${token}`);
+
+    expect(otherResponse.status).toBe(401); //The other session is revoked
+    expect(currentResponse.status).toBe(200); //The current session is kept
   });
 
   //POST Request to update password (in case of error: wrong old password)
@@ -199,4 +239,613 @@ describe("Authentication API Requests", () => {
     expect(response.body.success).toBe(false);
     expect(response.body).toHaveProperty("error", "Password is incorrect");
   });
+
+  //POST Request to update password (in case of error: previous password reused)
+  it("should return a 400 error when reusing a previous password", async () => {
+    const passwordData = {
+      currentPassword: process.env.REGISTERED_USER_PASSWORD,
+      newPassword: registeredUser.password, //Password from before the update
+    };
+    const response = await supertest(server)
+      .put("/api/v1/auth/updatepassword")
+      .set("Authorization", `Bearer ${token}`) //Attach JWT token
+      .send(passwordData);
+
+    //Assertions
+    expect(response.status).toBe(400);
+    expect(response.body.success).toBe(false);
+    expect(response.body.error).toMatch(/can not be the same/);
+  });
+
+  //POST Request replaying the refresh token from before the password change (Rotated by the change)
+  it("should revoke the session when the refresh token from before the password change is reused", async () => {
+    const response = await supertest(server)
+      .post("/api/v1/auth/refresh")
+      .send({ refreshToken });
+
+    const meResponse = await supertest(server)
+      .get("/api/v1/auth/me")
+      .set("Authorization", `Bearer ${token}`);
+
+    //Assertions
+    expect(response.status).toBe(401);
+    expect(meResponse.status).toBe(401); //Reuse detection revoked the session
+  });
+});
+
+describe("Password Policy API Requests", () => {
+  //POST Request to register with a weak password
+  it("should return a 400 error with every broken rule for a weak password", async () => {
+    const response = await supertest(server)
+      .post("/api/v1/auth/register")
+      .send({
+        name: "Weak Password User",
+        email: "weakpassword@example.com",
+        password: "abc",
+      });
+
+    //Assertions
+    expect(response.status).toBe(400);
+    expect(response.body.success).toBe(false);
+    expect(response.body.error).toMatch(/at least \d+ characters/);
+    expect(response.body.error).toMatch(/uppercase letter/);
+    expect(response.body.error).toMatch(/number/);
+  });
+
+  //POST Request to register with a common password
+  it("should return a 400 error for a common password", async () => {
+    const response = await supertest(server)
+      .post("/api/v1/auth/register")
+      .send({
+        name: "Common Password User",
+        email: "commonpassword@example.com",
+        password: "Password1",
+      });
+
+    //Assertions
+    expect(response.status).toBe(400);
+    expect(response.body.success).toBe(false);
+    expect(response.body.error).toMatch(/too common/);
+  });
+});
+
+describe("Refresh Token and Session API Requests", () => {
+  let token; //Store the access token of the session
+  let refreshToken; //Store the refresh token of the session
+  let rotatedRefreshToken; //Store the refresh token after rotation
+
+  beforeAll(async () => {
+    const response = await supertest(app).post("/api/v1/auth/login").send({
+      email: process.env.USER_EMAIL,
+      password: process.env.REGISTERED_USER_PASSWORD, //Password was updated in the previous tests
+    });
+
+    token = response.body.token;
+    refreshToken = response.body.refreshToken;
+  });
+
+  //POST Request to get a new access token using the refresh token
+  it("should rotate the refresh token and return a new access token", async () => {
+    const response = await supertest(server)
+      .post("/api/v1/auth/refresh")
+      .send({ refreshToken });
+
+    rotatedRefreshToken = response.body.refreshToken;
+
+    //Assertions
+    expect(response.status).toBe(200);
+    expect(response.body.success).toBe(true);
+    expect(response.body).toHaveProperty("token");
+    expect(rotatedRefreshToken).not.toBe(refreshToken); //Refresh token is rotated
+  });
+
+  //POST Request to refresh using an unknown refresh token
+  it("should return a 401 error for an invalid refresh token", async () => {
+    const response = await supertest(server)
+      .post("/api/v1/auth/refresh")
+      .send({ refreshToken: "invalidrefreshtoken" });
+
+    //Assertions
+    expect(response.status).toBe(401);
+    expect(response.body.success).toBe(false);
+    expect(response.body).toHaveProperty("error", "Invalid refresh token");
+  });
+
+  //POST Request reusing an already rotated refresh token revokes the whole session
+  it("should revoke the session when a rotated refresh token is reused", async () => {
+    const reuseResponse = await supertest(server)
+      .post("/api/v1/auth/refresh")
+      .send({ refreshToken }); //Already used in the first test
+
+    //Assertions
+    expect(reuseResponse.status).toBe(401);
+    expect(reuseResponse.body.success).toBe(false);
+
+    //The newest refresh token of the same session no longer works either
+    const response = await supertest(server)
+      .post("/api/v1/auth/refresh")
+      .send({ refreshToken: rotatedRefreshToken });
+
+    expect(response.status).toBe(401);
+
+    //Access tokens of the revoked session are rejected as well
+    const meResponse = await supertest(server)
+      .get("/api/v1/auth/me")
+      .set("Authorization", `Bearer ${token}`);
+
+    expect(meResponse.status).toBe(401);
+  });
+
+  //GET Request to log out revokes the session of the access token
+  it("should revoke the session on logout", async () => {
+    const loginResponse = await supertest(server)
+      .post("/api/v1/auth/login")
+      .send({
+        email: process.env.USER_EMAIL,
+        password: process.env.REGISTERED_USER_PASSWORD,
+      });
+
+    const logoutResponse = await supertest(server)
+      .get("/api/v1/auth/logout")
+      .set("Authorization", `Bearer ${loginResponse.body.token}`);
+
+    expect(logoutResponse.status).toBe(200);
+    expect(logoutResponse.body.success).toBe(true);
+
+    //The access token can not be used after logging out
+    const meResponse = await supertest(server)
+      .get("/api/v1/auth/me")
+      .set("Authorization", `Bearer ${loginResponse.body.token}`);
+
+    expect(meResponse.status).toBe(401);
+
+    //The refresh token can not be used after logging out
+    const refreshResponse = await supertest(server)
+      .post("/api/v1/auth/refresh")
+      .send({ refreshToken: loginResponse.body.refreshToken });
+
+    expect(refreshResponse.status).toBe(401);
+  });
+});
+
+describe("Active Sessions API Requests", () => {
+  let token; //Store the access token of the current session
+  let otherToken; //Store the access token of a second session (another device)
+  let otherSessionId; //Store the ID of the second session
+
+  beforeAll(async () => {
+    const loginDetails = {
+      email: process.env.USER_EMAIL,
+      password: process.env.REGISTERED_USER_PASSWORD,
+    };
+
+    const otherLogin = await supertest(app)
+      .post("/api/v1/auth/login")
+      .set("User-Agent", "PartnerScript/1.0")
+      .send(loginDetails);
+
+    const login = await supertest(app)
+      .post("/api/v1/auth/login")
+      .send(loginDetails);
+
+    otherToken = otherLogin.body.token;
+    token = login.body.token;
+  });
+
+  //GET Request to list the active sessions of the logged in user
+  it("should list the active sessions of the logged in user", async () => {
+    const response = await supertest(server)
+      .get("/api/v1/auth/sessions")
+      .set("Authorization", `Bearer ${token}`);
+
+    const currentSession = response.body.data.find(
+      (session) => session.current
+    );
+    const otherSession = response.body.data.find(
+      (session) => session.device === "PartnerScript"
+    );
+    otherSessionId = otherSession._id;
+
+    //Assertions
+    expect(response.status).toBe(200);
+    expect(response.body.success).toBe(true);
+    expect(response.body.count).toBeGreaterThanOrEqual(2);
+    expect(currentSession).toBeDefined();
+    expect(otherSession).toHaveProperty("ip");
+    expect(otherSession).toHaveProperty("userAgent", "PartnerScript/1.0");
+    expect(otherSession).toHaveProperty("lastSeenAt");
+    expect(otherSession).not.toHaveProperty("refreshTokenHash"); //Hashes are never returned
+  });
+
+  //DELETE Request to sign out another device
+  it("should revoke a single session", async () => {
+    const response = await supertest(server)
+      .delete(`/api/v1/auth/sessions/${otherSessionId}`)
+      .set("Authorization", `Bearer ${token}`);
+
+    //Assertions
+    expect(response.status).toBe(200);
+    expect(response.body.success).toBe(true);
+
+    //The other device is signed out
+    const meResponse = await supertest(server)
+      .get("/api/v1/auth/me")
+      .set("Authorization", `Bearer ${otherToken}`);
+
+    expect(meResponse.status).toBe(401);
+  });
+
+  //DELETE Request to revoke a session that does not exist
+  it("should return a 404 error when revoking a non-existent session", async () => {
+    const nonExistentId = new mongoose.Types.ObjectId(); //Generate a random ObjectId
+    const response = await supertest(server)
+      .delete(`/api/v1/auth/sessions/${nonExistentId}`)
+      .set("Authorization", `Bearer ${token}`);
+
+    //Assertions
+    expect(response.status).toBe(404);
+    expect(response.body.success).toBe(false);
+  });
+
+  //DELETE Request to sign out everywhere
+  it("should revoke all sessions of the logged in user", async () => {
+    const response = await supertest(server)
+      .delete("/api/v1/auth/sessions")
+      .set("Authorization", `Bearer ${token}`);
+
+    //Assertions
+    expect(response.status).toBe(200);
+    expect(response.body.success).toBe(true);
+
+    //The current session is revoked as well
+    const meResponse = await supertest(server)
+      .get("/api/v1/auth/me")
+      .set("Authorization", `Bearer ${token}`);
+
+    expect(meResponse.status).toBe(401);
+  });
+});
+
+describe("Email Verification API Requests", () => {
+  let token; //Store the JWT token of the unverified user
+
+  beforeAll(async () => {
+    const response = await supertest(app).post("/api/v1/auth/login").send({
+      email: process.env.USER_EMAIL,
+      password: process.env.REGISTERED_USER_PASSWORD,
+    });
+
+    token = response.body.token;
+  });
+
+  //POST Request to create a bootcamp before verifying the email
+  it("should return a 403 error when an unverified publisher creates a bootcamp", async () => {
+    const response = await supertest(server)
+      .post("/api/v1/bootcamps")
+      .set("Authorization", `Bearer ${token}`)
+      .send({ name: "Unverified Bootcamp" });
+
+    //Assertions
+    expect(response.status).toBe(403);
+    expect(response.body.success).toBe(false);
+    expect(response.body).toHaveProperty(
+      "error",
+      "Please verify your email address to access this route"
+    );
+  });
+
+  //GET Request to verify the email with an invalid token
+  it("should return a 400 error for an invalid verification token", async () => {
+    const response = await supertest(server).get(
+      "/api/v1/auth/verifyemail/invalidtoken"
+    );
+
+    //Assertions
+    expect(response.status).toBe(400);
+    expect(response.body.success).toBe(false);
+    expect(response.body).toHaveProperty("error", "Invalid token");
+  });
+
+  //GET Request to verify the email with the token from the email
+  it("should verify the email with a valid verification token", async () => {
+    //Generate the token the same way the verification email does
+    const user = await User.findOne({ email: process.env.USER_EMAIL });
+    const verificationToken = user.getEmailVerificationToken();
+    await user.save({ validateBeforeSave: false });
+
+    const response = await supertest(server).get(
+      `/api/v1/auth/verifyemail/${verificationToken}`
+    );
+
+    //Assertions
+    expect(response.status).toBe(200);
+    expect(response.body.success).toBe(true);
+    expect(response.body.data).toHaveProperty("isEmailVerified", true);
+
+    //The token can only be used once
+    const reuseResponse = await supertest(server).get(
+      `/api/v1/auth/verifyemail/${verificationToken}`
+    );
+
+    expect(reuseResponse.status).toBe(400);
+  });
+
+  //PUT Request to change the email keeps the old email until the new one is confirmed
+  it("should only change the email once the new address is verified", async () => {
+    const newEmail = "testuser.changed@example.com";
+
+    const response = await supertest(server)
+      .put("/api/v1/auth/updatedetails")
+      .set("Authorization", `Bearer ${token}`)
+      .send({ email: newEmail });
+
+    //Assertions
+    expect(response.status).toBe(200);
+    expect(response.body.success).toBe(true);
+    expect(response.body.data).toHaveProperty("email", process.env.USER_EMAIL);
+    expect(response.body.data).toHaveProperty("pendingEmail", newEmail);
+
+    //Confirm the new address
+    const user = await User.findOne({ email: process.env.USER_EMAIL });
+    const verificationToken = user.getEmailVerificationToken();
+    await user.save({ validateBeforeSave: false });
+
+    const verifyResponse = await supertest(server).get(
+      `/api/v1/auth/verifyemail/${verificationToken}`
+    );
+
+    expect(verifyResponse.status).toBe(200);
+    expect(verifyResponse.body.data).toHaveProperty("email", newEmail);
+
+    //Change the email back so the test user can be cleaned up
+    await User.updateOne(
+      { email: newEmail },
+      { email: process.env.USER_EMAIL }
+    );
+  });
+});
+
+describe("Two-Factor Authentication API Requests", () => {
+  let token; //Store the JWT token of the publisher
+  let secret; //Store the shared secret of the authenticator app
+  let recoveryCodes; //Store the recovery codes returned on confirmation
+  let challengeToken; //Store the challenge token returned by login
+
+  const loginDetails = {
+    email: process.env.USER_EMAIL,
+    password: process.env.REGISTERED_USER_PASSWORD,
+  };
+
+  beforeAll(async () => {
+    const response = await supertest(app)
+      .post("/api/v1/auth/login")
+      .send(loginDetails);
+
+    token = response.body.token;
+  });
+
+  //POST Request to start enrollment
+  it("should return a secret and an otpauth URL on enrollment", async () => {
+    const response = await supertest(server)
+      .post("/api/v1/auth/2fa/enroll")
+      .set("Authorization", `Bearer ${token}`);
+
+    secret = response.body.data.secret;
+
+    //Assertions
+    expect(response.status).toBe(200);
+    expect(response.body.success).toBe(true);
+    expect(response.body.data.otpauthUrl).toMatch(/^otpauth:\/\/totp\//);
+  });
+
+  //POST Request to confirm enrollment (in case of error: wrong code)
+  it("should return a 400 error when confirming with a wrong code", async () => {
+    const response = await supertest(server)
+      .post("/api/v1/auth/2fa/confirm")
+      .set("Authorization", `Bearer ${token}`)
+      .send({ code: "12345" }); //Codes always have 6 digits
+
+    //Assertions
+    expect(response.status).toBe(400);
+    expect(response.body.success).toBe(false);
+    expect(response.body).toHaveProperty("error", "Invalid two-factor code");
+  });
+
+  //POST Request to confirm enrollment with a code from the authenticator app
+  it("should enable 2FA and return recovery codes", async () => {
+    const response = await supertest(server)
+      .post("/api/v1/auth/2fa/confirm")
+      .set("Authorization", `Bearer ${token}`)
+      .send({ code: totp.generate(secret) });
+
+    recoveryCodes = response.body.data.recoveryCodes;
+
+    //Assertions
+    expect(response.status).toBe(200);
+    expect(response.body.success).toBe(true);
+    expect(recoveryCodes).toHaveLength(10);
+  });
+
+  //POST Request to login once 2FA is enabled
+  it("should return a challenge token instead of a token on login", async () => {
+    const response = await supertest(server)
+      .post("/api/v1/auth/login")
+      .send(loginDetails);
+
+    challengeToken = response.body.challengeToken;
+
+    //Assertions
+    expect(response.status).toBe(200);
+    expect(response.body.twoFactorRequired).toBe(true);
+    expect(response.body).not.toHaveProperty("token");
+
+    //The challenge token can not be used to access private routes
+    const meResponse = await supertest(server)
+      .get("/api/v1/auth/me")
+      .set("Authorization", `Bearer ${challengeToken}`);
+
+    expect(meResponse.status).toBe(401);
+  });
+
+  //POST Request to complete login (in case of error: wrong code)
+  it("should return a 401 error for a wrong two-factor code", async () => {
+    const response = await supertest(server)
+      .post("/api/v1/auth/2fa/verify")
+      .send({ challengeToken, code: "000000" });
+
+    //Assertions
+    expect(response.status).toBe(401);
+    expect(response.body.success).toBe(false);
+  });
+
+  //POST Request to complete login with a code
+  it("should return a token for a valid two-factor code", async () => {
+    //The current code was already used to confirm, so use the next one (Allowed clock drift)
+    const response = await supertest(server)
+      .post("/api/v1/auth/2fa/verify")
+      .send({
+        challengeToken,
+        code: totp.generate(secret, Date.now() + 30000),
+      });
+
+    token = response.body.token;
+
+    //Assertions
+    expect(response.status).toBe(200);
+    expect(response.body.success).toBe(true);
+    expect(response.body).toHaveProperty("token");
+  });
+
+  //POST Request to complete login with a recovery code (Codes can only be used once)
+  it("should accept a recovery code only once", async () => {
+    const response = await supertest(server)
+      .post("/api/v1/auth/2fa/verify")
+      .send({ challengeToken, code: recoveryCodes[0] });
+
+    expect(response.status).toBe(200);
+    expect(response.body).toHaveProperty("token");
+
+    const reuseResponse = await supertest(server)
+      .post("/api/v1/auth/2fa/verify")
+      .send({ challengeToken, code: recoveryCodes[0] });
+
+    expect(reuseResponse.status).toBe(401);
+  });
+
+  //POST Request to disable 2FA with the password and a recovery code
+  it("should disable 2FA with the password and a valid code", async () => {
+    const response = await supertest(server)
+      .post("/api/v1/auth/2fa/disable")
+      .set("Authorization", `Bearer ${token}`)
+      .send({ password: loginDetails.password, code: recoveryCodes[1] });
+
+    //Assertions
+    expect(response.status).toBe(200);
+    expect(response.body.success).toBe(true);
+
+    //Login returns a token straight away again
+    const loginResponse = await supertest(server)
+      .post("/api/v1/auth/login")
+      .send(loginDetails);
+
+    expect(loginResponse.body).toHaveProperty("token");
+  });
+});
+
+describe("Account Lockout API Requests", () => {
+  const lockoutUser = {
+    name: "Lockout User",
+    email: "lockoutuser@example.com",
+    password: "lockoutpassword",
+  };
+
+  beforeAll(async () => {
+    await User.create(lockoutUser);
+  });
+
+  afterAll(async () => {
+    await User.deleteOne({ email: lockoutUser.email });
+  });
+
+  //POST Requests to login with the wrong password until the account is locked
+  it("should lock the account after too many failed logins", async () => {
+    const maxAttempts = parseInt(process.env.LOGIN_MAX_ATTEMPTS, 10) || 5;
+
+    for (let i = 1; i < maxAttempts; i++) {
+      const response = await supertest(server)
+        .post("/api/v1/auth/login")
+        .send({ email: lockoutUser.email, password: "wrongpassword" });
+
+      expect(response.status).toBe(401);
+    }
+
+    //The last allowed attempt locks the account
+    const response = await supertest(server)
+      .post("/api/v1/auth/login")
+      .send({ email: lockoutUser.email, password: "wrongpassword" });
+
+    //Assertions
+    expect(response.status).toBe(423); //HTTP status for locked resource
+    expect(response.body.success).toBe(false);
+    expect(response.body.error).toMatch(/Account is locked/);
+  });
+
+  //POST Request to login with the right password while the account is locked
+  it("should not allow logging in to a locked account with the right password", async () => {
+    const response = await supertest(server)
+      .post("/api/v1/auth/login")
+      .send({ email: lockoutUser.email, password: lockoutUser.password });
+
+    //Assertions
+    expect(response.status).toBe(423);
+    expect(response.body).not.toHaveProperty("token");
+  });
+});
+
+describe("Magic Link API Requests", () => {
+  //POST Request for a magic link (in case of error: unknown email)
+  it("should return a 404 error for an email without an account", async () => {
+    const response = await supertest(server)
+      .post("/api/v1/auth/magiclink")
+      .send({ email: "nobody@example.com" });
+
+    //Assertions
+    expect(response.status).toBe(404);
+    expect(response.body.success).toBe(false);
+  });
+
+  //GET Request with an invalid magic link
+  it("should return a 400 error for an invalid magic link", async () => {
+    const response = await supertest(server).get(
+      "/api/v1/auth/magiclink/invalidtoken"
+    );
+
+    //Assertions
+    expect(response.status).toBe(400);
+    expect(response.body).toHaveProperty("error", "Invalid token");
+  });
+
+  //GET Request with the link from the email logs the user in once
+  it("should log in with a magic link only once", async () => {
+    //Generate the token the same way the magic link email does
+    const user = await User.findOne({ email: process.env.USER_EMAIL });
+    const magicLinkToken = user.getMagicLinkToken();
+    await user.save({ validateBeforeSave: false });
+
+    const response = await supertest(server).get(
+      `/api/v1/auth/magiclink/${magicLinkToken}`
+    );
+
+    //Assertions
+    expect(response.status).toBe(200);
+    expect(response.body.success).toBe(true);
+    expect(response.body).toHaveProperty("token");
+
+    //The link can not be used again
+    const reuseResponse = await supertest(server).get(
+      `/api/v1/auth/magiclink/${magicLinkToken}`
+    );
+
+    expect(reuseResponse.status).toBe(400);
+  });
 });
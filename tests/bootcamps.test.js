@@ -3,6 +3,8 @@ const mongoose = require("mongoose");
 const app = require("../server");
 const User = require("../models/User");
 const Bootcamp = require("../models/Bootcamp");
+const Organization = require("../models/Organization");
+const backfillPublished = require("../utils/backfillPublished");
 
 let server;
 
@@ -21,7 +23,12 @@ afterEach(async () => {
 afterAll(async () => {
   console.log("MongoDB connection closing...");
 
-  //Clean up the test user
+  //Clean up the test user with their bootcamp and organization (Deleted bootcamps stay in the trash)
+  const user = await User.findOne({ email: process.env.PUBLISHER_EMAIL });
+  if (user) {
+    await Bootcamp.deleteMany({ user: user._id });
+    await Organization.deleteMany({ "members.user": user._id });
+  }
   await User.deleteOne({ email: process.env.PUBLISHER_EMAIL });
 
   await mongoose.connection.close(); //Close the MongoDB Connection
@@ -94,6 +101,45 @@ describe("GET Request for Bootcamps API", () => {
       expect(bootcamp).toHaveProperty("location");
     });
   });
+
+  //GET Request with a filter, the facets count all matching bootcamps (Not only the page)
+  it("should return facet counts of the filtered bootcamps", async () => {
+    const response = await supertest(server).get(
+      "/api/v1/bootcamps?housing=true&limit=1"
+    );
+
+    const { facets } = response.body;
+    const rated = facets.averageRating.reduce(
+      (sum, range) => sum + range.count,
+      0
+    );
+
+    //Assertions
+    expect(response.status).toBe(200);
+    expect(facets.features.housing).toBeGreaterThan(0);
+    expect(
+      facets.averageCost.reduce((sum, range) => sum + range.count, 0)
+    ).toBe(facets.features.housing);
+    expect(rated).toBeLessThanOrEqual(facets.features.housing);
+    expect(facets.careers[0]).toEqual({
+      value: expect.any(String),
+      count: expect.any(Number),
+    });
+    expect(facets.averageCost[0]).toHaveProperty("min");
+    expect(facets.averageCost[0]).toHaveProperty("max");
+  });
+
+  //GET Request with a range filter which is not a number (in case of error: not an unhandled rejection)
+  it("should return a 400 error for a non-numeric range filter", async () => {
+    const response = await supertest(server).get(
+      "/api/v1/bootcamps?averageCost[gte]=abc"
+    );
+
+    //Assertions
+    expect(response.status).toBe(400);
+    expect(response.body.success).toBe(false);
+    expect(response.body.error).toMatch(/averageCost/);
+  });
 });
 
 describe("POST, PUT, DELETE Requests for Bootcamps API", () => {
@@ -112,6 +158,12 @@ describe("POST, PUT, DELETE Requests for Bootcamps API", () => {
     //Register the user
     await supertest(server).post("/api/v1/auth/register").send(publisherUser);
 
+    //Verify the email address (Only verified users can publish)
+    await User.updateOne(
+      { email: publisherUser.email },
+      { isEmailVerified: true }
+    );
+
     const publisherUserDetails = {
       email: publisherUser.email,
       password: publisherUser.password,
@@ -205,7 +257,7 @@ describe("POST, PUT, DELETE Requests for Bootcamps API", () => {
     expect(response.body.success).toBe(false);
     expect(response.body).toHaveProperty(
       "error",
-      expect.stringMatching(/has already published a bootcamp/i)
+      expect.stringMatching(/has reached its quota/i)
     );
     expect(response.body.success).toBe(false);
   });
@@ -227,6 +279,161 @@ describe("POST, PUT, DELETE Requests for Bootcamps API", () => {
     expect(response.body.data).toHaveProperty("housing", false); //Ensure housing is updated
   });
 
+  //PUT Request trying to move the bootcamp to the trash (in case of error: only softDelete sets the trash fields)
+  it("should ignore deletedAt in an update", async () => {
+    const response = await supertest(server)
+      .put(`/api/v1/bootcamps/${bootcampId}`)
+      .set("Authorization", `Bearer ${token}`)
+      .send({ deletedAt: "2000-01-01" });
+
+    const bootcamp = await Bootcamp.findById(bootcampId);
+
+    //Assertions
+    expect(response.status).toBe(200);
+    expect(bootcamp).not.toBeNull();
+    expect(bootcamp.deletedAt).toBeNull();
+  });
+
+  //GET Request for the revision history of the bootcamp (The address is not versioned)
+  it("should list a version for the creation and the update of the bootcamp", async () => {
+    const response = await supertest(server)
+      .get(`/api/v1/bootcamps/${bootcampId}/history`)
+      .set("Authorization", `Bearer ${token}`);
+
+    //Assertions (Newest version first)
+    expect(response.status).toBe(200);
+    expect(response.body.count).toBe(2);
+    expect(response.body.data[0]).toHaveProperty("action", "update");
+    expect(response.body.data[0].changes).toEqual({
+      housing: { from: true, to: false },
+    });
+    expect(response.body.data[1].changes).not.toHaveProperty("address");
+  });
+
+  //POST Request to revert the bootcamp to the first version
+  it("should revert the bootcamp to the first version", async () => {
+    const response = await supertest(server)
+      .post(`/api/v1/bootcamps/${bootcampId}/revert/1`)
+      .set("Authorization", `Bearer ${token}`);
+
+    const history = await supertest(server)
+      .get(`/api/v1/bootcamps/${bootcampId}/history`)
+      .set("Authorization", `Bearer ${token}`);
+
+    //Assertions
+    expect(response.status).toBe(200);
+    expect(response.body.data).toHaveProperty("housing", true);
+    expect(response.body.data.location).toHaveProperty("formattedAddress");
+    expect(history.body.data[0]).toHaveProperty("version", 3);
+    expect(history.body.data[0]).toHaveProperty("action", "revert");
+  });
+
+  //New bootcamps are drafts which only the owner can see
+  it("should hide the draft bootcamp from anonymous requests", async () => {
+    const anonymousResponse = await supertest(server).get(
+      `/api/v1/bootcamps/${bootcampId}`
+    );
+    const ownerResponse = await supertest(server)
+      .get(`/api/v1/bootcamps/${bootcampId}`)
+      .set("Authorization", `Bearer ${token}`);
+
+    //Assertions
+    expect(anonymousResponse.status).toBe(404);
+    expect(ownerResponse.status).toBe(200);
+    expect(ownerResponse.body.data).toHaveProperty("status", "draft");
+  });
+
+  //GET Request for a bootcamp by its slug
+  it("should fetch the bootcamp by its slug", async () => {
+    const response = await supertest(server)
+      .get("/api/v1/bootcamps/test-bootcamp")
+      .set("Authorization", `Bearer ${token}`);
+
+    //Assertions
+    expect(response.status).toBe(200);
+    expect(response.body.data).toHaveProperty("_id", bootcampId);
+  });
+
+  //Renaming the bootcamp changes the slug and redirects the old one
+  it("should redirect the old slug after the bootcamp is renamed", async () => {
+    const updateResponse = await supertest(server)
+      .put(`/api/v1/bootcamps/${bootcampId}`)
+      .set("Authorization", `Bearer ${token}`)
+      .send({ name: "Renamed Test Bootcamp" });
+
+    const response = await supertest(server)
+      .get("/api/v1/bootcamps/test-bootcamp")
+      .set("Authorization", `Bearer ${token}`);
+
+    //Assertions
+    expect(updateResponse.body.data).toHaveProperty(
+      "slug",
+      "renamed-test-bootcamp"
+    );
+    expect(response.status).toBe(301);
+    expect(response.headers.location).toBe(
+      "/api/v1/bootcamps/renamed-test-bootcamp"
+    );
+  });
+
+  //PUT Request setting the slug directly (in case of error: slugs only follow the name)
+  it("should ignore the slug in an update", async () => {
+    const response = await supertest(server)
+      .put(`/api/v1/bootcamps/${bootcampId}`)
+      .set("Authorization", `Bearer ${token}`)
+      .send({
+        slug: "devworks-bootcamp",
+        previousSlugs: ["modern-tech-bootcamp"],
+      });
+
+    //Assertions
+    expect(response.status).toBe(200);
+    expect(response.body.data).toHaveProperty("slug", "renamed-test-bootcamp");
+    expect(response.body.data.previousSlugs).toEqual(["test-bootcamp"]);
+  });
+
+  //The old slug stays with the renamed bootcamp, so another bootcamp with the old name gets a number
+  it("should add a number to a slug which another bootcamp had before", async () => {
+    const slug = await Bootcamp.uniqueSlug(
+      "Test Bootcamp",
+      new mongoose.Types.ObjectId()
+    );
+
+    //Assertions
+    expect(slug).toBe("test-bootcamp-2");
+  });
+
+  //PUT Request to submit the bootcamp for review
+  it("should submit the draft bootcamp for review", async () => {
+    const response = await supertest(server)
+      .put(`/api/v1/bootcamps/${bootcampId}/submit`)
+      .set("Authorization", `Bearer ${token}`);
+
+    //Assertions
+    expect(response.status).toBe(200);
+    expect(response.body.data).toHaveProperty("status", "pending");
+  });
+
+  //PUT Request to publish the bootcamp (in case of error: publishers can not review their own bootcamp)
+  it("should return a 403 error when the publisher publishes the bootcamp", async () => {
+    const response = await supertest(server)
+      .put(`/api/v1/bootcamps/${bootcampId}/publish`)
+      .set("Authorization", `Bearer ${token}`);
+
+    //Assertions
+    expect(response.status).toBe(403);
+  });
+
+  //PUT Request to restore the bootcamp (in case of error: not archived)
+  it("should return a 400 error for a transition from the wrong status", async () => {
+    const response = await supertest(server)
+      .put(`/api/v1/bootcamps/${bootcampId}/restore`)
+      .set("Authorization", `Bearer ${token}`);
+
+    //Assertions
+    expect(response.status).toBe(400);
+  });
+
   it("should return a 404 error when updating a non-existent bootcamp", async () => {
     const invalidId = new mongoose.Types.ObjectId(); //Generating a random ID
     const updatedField = {
@@ -254,6 +461,45 @@ describe("POST, PUT, DELETE Requests for Bootcamps API", () => {
     expect(response.body.success).toBe(true);
   });
 
+  //GET Request trying to list the trash with a deletedAt filter
+  it("should not list deleted bootcamps when filtering on deletedAt", async () => {
+    const response = await supertest(server)
+      .get("/api/v1/bootcamps?deletedAt[lte]=3000-01-01&limit=100")
+      .set("Authorization", `Bearer ${token}`);
+
+    //Assertions
+    expect(response.status).toBe(200);
+    expect(response.body.data.map((bootcamp) => bootcamp._id)).not.toContain(
+      bootcampId
+    );
+  });
+
+  //POST Request to restore the deleted bootcamp from the trash
+  it("should restore the deleted bootcamp", async () => {
+    const response = await supertest(server)
+      .post(`/api/v1/bootcamps/${bootcampId}/restore`)
+      .set("Authorization", `Bearer ${token}`);
+
+    const bootcamp = await Bootcamp.findById(bootcampId);
+
+    //Assertions
+    expect(response.status).toBe(200);
+    expect(response.body.success).toBe(true);
+    expect(bootcamp).not.toBeNull();
+    expect(bootcamp.deletedAt).toBeNull();
+  });
+
+  //POST Request to restore a bootcamp (in case of error: not in the trash)
+  it("should return a 404 error when restoring a bootcamp which is not deleted", async () => {
+    const response = await supertest(server)
+      .post(`/api/v1/bootcamps/${bootcampId}/restore`)
+      .set("Authorization", `Bearer ${token}`);
+
+    //Assertions
+    expect(response.status).toBe(404);
+    expect(response.body.success).toBe(false);
+  });
+
   //DELETE Request to delete the bootcamp (in case of error)
   it("should return a 404 error when trying to delete a non-existing bootcamp", async () => {
     const invalidId = new mongoose.Types.ObjectId(); //Generate a random, non-existent Id
@@ -268,3 +514,43 @@ describe("POST, PUT, DELETE Requests for Bootcamps API", () => {
     expect(response.body).toHaveProperty("error");
   });
 });
+
+describe("Backfill of Bootcamps from before the publishing workflow", () => {
+  let legacyId; //Store the ID of the bootcamp without a status
+
+  //A bootcamp as it was stored before, without status and verification (Inserted without the schema defaults)
+  beforeAll(async () => {
+    const result = await Bootcamp.collection.insertOne({
+      name: "Legacy Bootcamp",
+      slug: "legacy-bootcamp",
+      description: "A bootcamp from before the publishing workflow",
+      careers: ["Web Development"],
+      user: new mongoose.Types.ObjectId(),
+      createdAt: new Date("2020-01-01"),
+    });
+    legacyId = result.insertedId;
+  });
+
+  afterAll(async () => {
+    await Bootcamp.collection.deleteOne({ _id: legacyId });
+  });
+
+  //The backfill publishes existing bootcamps, so they stay listed after the upgrade
+  it("should publish existing bootcamps", async () => {
+    const hiddenResponse = await supertest(server).get(
+      `/api/v1/bootcamps/${legacyId}`
+    );
+
+    await backfillPublished();
+
+    const response = await supertest(server).get(
+      `/api/v1/bootcamps/${legacyId}`
+    );
+
+    //Assertions
+    expect(hiddenResponse.status).toBe(404);
+    expect(response.status).toBe(200);
+    expect(response.body.data).toHaveProperty("status", "published");
+    expect(response.body.data).toHaveProperty("publisherVerified", true);
+  });
+});
@@ -0,0 +1,117 @@
+const supertest = require("supertest");
+const mongoose = require("mongoose");
+const app = require("../server");
+const User = require("../models/User");
+
+let server;
+
+//Turn on cookie mode for this test file
+process.env.COOKIE_AUTH = "true";
+
+//Start the server before all tests (The agent keeps the cookies between tests)
+beforeAll(() => {
+  server = app.listen(5000);
+});
+
+const cookieUser = {
+  name: "Cookie User",
+  email: "cookieuser@example.com",
+  password: "cookiepassword",
+};
+
+//Clean up the database connection after all tests
+afterAll(async () => {
+  console.log("MongoDB connection closing...");
+
+  await User.deleteOne({ email: cookieUser.email });
+
+  await mongoose.connection.close();
+  await server.close();
+});
+
+describe("Cookie Authentication API Requests", () => {
+  let agent; //Browser-like client which stores and sends cookies
+  let csrfToken; //Store the CSRF token from the csrfToken cookie
+
+  beforeAll(async () => {
+    await User.create(cookieUser);
+    agent = supertest.agent(server);
+  });
+
+  //POST Request to login sets the auth cookies
+  it("should set httpOnly auth cookies and a readable CSRF cookie on login", async () => {
+    const response = await agent
+      .post("/api/v1/auth/login")
+      .send({ email: cookieUser.email, password: cookieUser.password });
+
+    const cookies = response.headers["set-cookie"];
+    csrfToken = response.body.csrfToken;
+
+    //Assertions
+    expect(response.status).toBe(200);
+    expect(cookies).toEqual(
+      expect.arrayContaining([
+        expect.stringMatching(/^token=.*HttpOnly; SameSite=Strict/),
+        expect.stringMatching(/^csrfToken=/),
+      ])
+    );
+    expect(
+      cookies.find((cookie) => cookie.startsWith("csrfToken="))
+    ).not.toMatch(/HttpOnly/);
+  });
+
+  //GET Request authenticated with the cookie only
+  it("should authenticate safe requests with the token cookie", async () => {
+    const response = await agent.get("/api/v1/auth/me");
+
+    //Assertions
+    expect(response.status).toBe(200);
+    expect(response.body.data).toHaveProperty("email", cookieUser.email);
+  });
+
+  //PUT Request with the cookie but without the CSRF header
+  it("should return a 403 error for unsafe requests without a CSRF token", async () => {
+    const response = await agent
+      .put("/api/v1/auth/updatedetails")
+      .send({ name: "Cookie User Updated" });
+
+    //Assertions
+    expect(response.status).toBe(403);
+    expect(response.body).toHaveProperty("error", "Invalid CSRF token");
+  });
+
+  //PUT Request with a non-ASCII CSRF header of the same length (in case of error: not a 500 error)
+  it("should return a 403 error for a non-ASCII CSRF token", async () => {
+    const response = await agent
+      .put("/api/v1/auth/updatedetails")
+      .set("X-CSRF-Token", `${csrfToken.slice(0, -1)}é`)
+      .send({ name: "Cookie User Updated" });
+
+    //Assertions
+    expect(response.status).toBe(403);
+    expect(response.body).toHaveProperty("error", "Invalid CSRF token");
+  });
+
+  //PUT Request with the cookie and the CSRF header
+  it("should allow unsafe requests with a matching CSRF token", async () => {
+    const response = await agent
+      .put("/api/v1/auth/updatedetails")
+      .set("X-CSRF-Token", csrfToken)
+      .send({ name: "Cookie User Updated" });
+
+    //Assertions
+    expect(response.status).toBe(200);
+    expect(response.body.data).toHaveProperty("name", "Cookie User Updated");
+  });
+
+  //POST Request to refresh using the refresh token cookie
+  it("should refresh using the refresh token cookie and a CSRF token", async () => {
+    const response = await agent
+      .post("/api/v1/auth/refresh")
+      .set("X-CSRF-Token", csrfToken);
+
+    //Assertions
+    expect(response.status).toBe(200);
+    expect(response.body).toHaveProperty("token");
+  });
+});
@@ -25,8 +25,9 @@ afterEach(async () => {
 afterAll(async () => {
   console.log("MongoDB connection closing...");
 
-  //Clean up created bootcamp
+  //Clean up created bootcamp and its courses (Deleted courses stay in the trash)
   if (bootcampId) {
+    await Course.deleteMany({ bootcamp: bootcampId });
     await Bootcamp.findByIdAndDelete(bootcampId);
   }
 
@@ -100,6 +101,12 @@ describe("POST, PUT, DELETE Requests for Courses API", () => {
     //Registering the user
     await supertest(server).post("/api/v1/auth/register").send(publisherUser);
 
+    //Verify the email address (Only verified users can publish)
+    await User.updateOne(
+      { email: publisherUser.email },
+      { isEmailVerified: true }
+    );
+
     const publisherUserDetails = {
       email: publisherUser.email,
       password: publisherUser.password,
@@ -217,6 +224,53 @@ describe("POST, PUT, DELETE Requests for Courses API", () => {
     expect(response.body.data).toHaveProperty("tuition", 2000); //Ensure tuition is updated
   });
 
+  //GET Request for the revision history of the course
+  it("should list a version for the creation and the update of the course", async () => {
+    const response = await supertest(server)
+      .get(`/api/v1/courses/${courseId}/history`)
+      .set("Authorization", `Bearer ${token}`); //Attach JWT token
+
+    //Assertions (Newest version first)
+    expect(response.status).toBe(200);
+    expect(response.body.count).toBe(2);
+    expect(response.body.data[0]).toHaveProperty("action", "update");
+    expect(response.body.data[0].changes).toEqual({
+      tuition: { from: 1000, to: 2000 },
+    });
+  });
+
+  //GET Request for the course as it was at the first version
+  it("should return the course as it was at a version", async () => {
+    const response = await supertest(server)
+      .get(`/api/v1/courses/${courseId}/history/1`)
+      .set("Authorization", `Bearer ${token}`); //Attach JWT token
+
+    //Assertions
+    expect(response.status).toBe(200);
+    expect(response.body.data).toHaveProperty("tuition", 1000);
+  });
+
+  //POST Request to revert the course to the first version
+  it("should revert the course to the first version", async () => {
+    const response = await supertest(server)
+      .post(`/api/v1/courses/${courseId}/revert/1`)
+      .set("Authorization", `Bearer ${token}`); //Attach JWT token
+
+    //Assertions
+    expect(response.status).toBe(200);
+    expect(response.body.data).toHaveProperty("tuition", 1000);
+  });
+
+  //POST Request to revert the course (in case of error: version does not exist)
+  it("should return a 404 error when reverting to a non-existent version", async () => {
+    const response = await supertest(server)
+      .post(`/api/v1/courses/${courseId}/revert/99`)
+      .set("Authorization", `Bearer ${token}`); //Attach JWT token
+
+    //Assertions
+    expect(response.status).toBe(404);
+  });
+
   //PUT Request to Courses API (in case of error: Handle an invalid course ID)
   it("should return a 404 error when updating a non-existent course", async () => {
     const invalidCourseId = new mongoose.Types.ObjectId(); //Generate a random ObjectId
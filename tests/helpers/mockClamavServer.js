@@ -0,0 +1,67 @@
+const net = require("net");
+
+//Minimal clamd stand-in for the Jest suite, it answers the INSTREAM command like ClamAV
+//Streams containing `clamd.signature` are reported as infected, `clamd.streams` keeps what was received
+const createMockClamavServer = ({ signature = "INFECTED" } = {}) => {
+  const clamd = {
+    port: null,
+    server: null,
+    signature,
+    streams: [],
+  };
+
+  clamd.server = net.createServer((socket) => {
+    let received = Buffer.alloc(0);
+
+    socket.on("data", (data) => {
+      received = Buffer.concat([received, data]);
+
+      //Command, then chunks with their length, up to the empty chunk
+      const command = "zINSTREAM\0";
+
+      if (!received.subarray(0, command.length).equals(Buffer.from(command))) {
+        return socket.end("UNKNOWN COMMAND\0");
+      }
+
+      const chunks = [];
+      let offset = command.length;
+
+      while (offset + 4 <= received.length) {
+        const length = received.readUInt32BE(offset);
+
+        if (length === 0) {
+          const stream = Buffer.concat(chunks);
+          clamd.streams.push(stream);
+
+          return socket.end(
+            stream.includes(clamd.signature)
+              ? "stream: Test-Signature FOUND\0"
+              : "stream: OK\0"
+          );
+        }
+
+        if (offset + 4 + length > received.length) {
+          return;
+        }
+
+        chunks.push(received.subarray(offset + 4, offset + 4 + length));
+        offset += 4 + length;
+      }
+    });
+  });
+
+  //Listen on a random free port
+  clamd.start = () =>
+    new Promise((resolve) => {
+      clamd.server.listen(0, () => {
+        clamd.port = clamd.server.address().port;
+        resolve(clamd);
+      });
+    });
+
+  clamd.stop = () => new Promise((resolve) => clamd.server.close(resolve));
+
+  return clamd;
+};
+
+module.exports = createMockClamavServer;
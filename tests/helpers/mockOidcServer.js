@@ -0,0 +1,118 @@
+const crypto = require("crypto");
+const express = require("express");
+const jwt = require("jsonwebtoken");
+
+//Minimal OpenID Connect provider for the Jest suite (Real providers can not be reached in CI)
+//Every authorization request logs in straight away as `provider.user`, which tests can change
+const createMockOidcServer = () => {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync("rsa", {
+    modulusLength: 2048,
+  });
+
+  const jwk = {
+    ...publicKey.export({ format: "jwk" }),
+    kid: "mock-key",
+    use: "sig",
+    alg: "RS256",
+  };
+
+  //Authorization codes waiting to be exchanged
+  const codes = {};
+
+  const provider = {
+    issuer: null,
+    server: null,
+    user: {
+      sub: "mock-user-1",
+      email: "oidcuser@example.com",
+      email_verified: true,
+      name: "OIDC User",
+    },
+  };
+
+  const app = express();
+  app.use(express.urlencoded({ extended: false }));
+
+  app.get("/.well-known/openid-configuration", (req, res) => {
+    res.json({
+      issuer: provider.issuer,
+      authorization_endpoint: `${provider.issuer}/authorize`,
+      token_endpoint: `${provider.issuer}/token`,
+      jwks_uri: `${provider.issuer}/jwks`,
+      id_token_signing_alg_values_supported: ["RS256"],
+    });
+  });
+
+  app.get("/jwks", (req, res) => {
+    res.json({ keys: [jwk] });
+  });
+
+  app.get("/authorize", (req, res) => {
+    const code = crypto.randomBytes(16).toString("hex");
+
+    codes[code] = {
+      clientId: req.query.client_id,
+      redirectUri: req.query.redirect_uri,
+      nonce: req.query.nonce,
+      codeChallenge: req.query.code_challenge,
+    };
+
+    const redirectUrl = new URL(req.query.redirect_uri);
+    redirectUrl.searchParams.set("code", code);
+    redirectUrl.searchParams.set("state", req.query.state);
+
+    res.redirect(redirectUrl.toString());
+  });
+
+  app.post("/token", (req, res) => {
+    const grant = codes[req.body.code];
+    delete codes[req.body.code];
+
+    const codeChallenge = crypto
+      .createHash("sha256")
+      .update(req.body.code_verifier || "")
+      .digest("base64url");
+
+    if (
+      !grant ||
+      grant.redirectUri !== req.body.redirect_uri ||
+      grant.codeChallenge !== codeChallenge
+    ) {
+      return res.status(400).json({ error: "invalid_grant" });
+    }
+
+    const idToken = jwt.sign(
+      { ...provider.user, nonce: grant.nonce },
+      privateKey,
+      {
+        algorithm: "RS256",
+        keyid: "mock-key",
+        issuer: provider.issuer,
+        audience: grant.clientId,
+        expiresIn: "5m",
+      }
+    );
+
+    res.json({
+      access_token: "mock-access-token",
+      token_type: "Bearer",
+      id_token: idToken,
+    });
+  });
+
+  //Listen on a random free port
+  provider.start = () =>
+    new Promise((resolve) => {
+      provider.server = app.listen(0, () => {
+        provider.issuer = `http://localhost:${provider.server.address().port}`;
+        resolve(provider);
+      });
+    });
+
+  provider.stop = () =>
+    new Promise((resolve) => provider.server.close(resolve));
+
+  return provider;
+};
+
+module.exports = createMockOidcServer;
@@ -0,0 +1,87 @@
+const crypto = require("crypto");
+const express = require("express");
+
+//Minimal S3 compatible server for the Jest suite, like a local MinIO (Path style requests, signatures are not checked)
+//Objects are kept in memory in `s3.objects` by "<bucket>/<key>"
+const createMockS3Server = () => {
+  const s3 = {
+    endpoint: null,
+    server: null,
+    objects: new Map(),
+  };
+
+  const app = express();
+  app.use(express.raw({ type: () => true, limit: "20mb" }));
+
+  //ListObjectsV2 (GET /<bucket>?list-type=2&prefix=...)
+  app.get("/:bucket", (req, res) => {
+    const prefix = `${req.params.bucket}/${req.query.prefix || ""}`;
+
+    const contents = [...s3.objects.keys()]
+      .filter((name) => name.startsWith(prefix))
+      .map(
+        (name) =>
+          `<Contents><Key>${name.slice(
+            req.params.bucket.length + 1
+          )}</Key></Contents>`
+      )
+      .join("");
+
+    res
+      .type("application/xml")
+      .send(
+        `<?xml version="1.0" encoding="UTF-8"?><ListBucketResult><Name>${req.params.bucket}</Name><IsTruncated>false</IsTruncated>${contents}</ListBucketResult>`
+      );
+  });
+
+  app.put("/:bucket/*", (req, res) => {
+    s3.objects.set(`${req.params.bucket}/${req.params[0]}`, {
+      body: req.body,
+      contentType: req.get("content-type"),
+    });
+
+    res
+      .set(
+        "ETag",
+        `"${crypto.createHash("md5").update(req.body).digest("hex")}"`
+      )
+      .end();
+  });
+
+  app.get("/:bucket/*", (req, res) => {
+    const object = s3.objects.get(`${req.params.bucket}/${req.params[0]}`);
+
+    if (!object) {
+      return res
+        .status(404)
+        .type("application/xml")
+        .send(
+          `<?xml version="1.0" encoding="UTF-8"?><Error><Code>NoSuchKey</Code><Message>The specified key does not exist.</Message></Error>`
+        );
+    }
+
+    res
+      .type(object.contentType || "application/octet-stream")
+      .send(object.body);
+  });
+
+  app.delete("/:bucket/*", (req, res) => {
+    s3.objects.delete(`${req.params.bucket}/${req.params[0]}`);
+    res.status(204).end();
+  });
+
+  //Listen on a random free port
+  s3.start = () =>
+    new Promise((resolve) => {
+      s3.server = app.listen(0, () => {
+        s3.endpoint = `http://localhost:${s3.server.address().port}`;
+        resolve(s3);
+      });
+    });
+
+  s3.stop = () => new Promise((resolve) => s3.server.close(resolve));
+
+  return s3;
+};
+
+module.exports = createMockS3Server;
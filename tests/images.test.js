@@ -0,0 +1,226 @@
+const supertest = require("supertest");
+const mongoose = require("mongoose");
+const sharp = require("sharp");
+const app = require("../server");
+const User = require("../models/User");
+const Bootcamp = require("../models/Bootcamp");
+const Organization = require("../models/Organization");
+const Upload = require("../models/Upload");
+const { runCascade, deleteBootcamps } = require("../utils/cascadeDelete");
+
+let server;
+
+//Start the server before each test
+beforeEach(() => {
+  server = app.listen(5000);
+});
+
+//Stop the server after each test
+afterEach(async () => {
+  await server.close();
+});
+
+const publisher = {
+  name: "Gallery Publisher",
+  email: "gallerypublisher@example.com",
+  password: "GalleryPassword9",
+  role: "publisher",
+  isEmailVerified: true,
+};
+
+//Clean up the database connection after all tests
+afterAll(async () => {
+  console.log("MongoDB connection closing...");
+
+  //Delete the publisher with their organization and bootcamp (Also removes the image files)
+  const user = await User.findOne({ email: publisher.email });
+  await runCascade([(session) => deleteBootcamps({ user: user._id }, session)]);
+  await Organization.deleteMany({ "members.user": user._id });
+  await Upload.deleteMany({ user: user._id });
+  await user.deleteOne();
+
+  await mongoose.connection.close();
+});
+
+describe("Bootcamp Image Gallery API Requests", () => {
+  let token; //Store the JWT token of the publisher
+  let bootcampId; //Store the ID of the bootcamp
+  const imageIds = []; //Store the IDs of the uploaded images
+
+  beforeAll(async () => {
+    await User.create(publisher);
+
+    const response = await supertest(app)
+      .post("/api/v1/auth/login")
+      .send({ email: publisher.email, password: publisher.password });
+    token = response.body.token;
+
+    const bootcampResponse = await supertest(app)
+      .post("/api/v1/bootcamps")
+      .set("Authorization", `Bearer ${token}`)
+      .send({
+        name: "Gallery Bootcamp",
+        description: "A bootcamp with several photos",
+        address: "123 Test Street, Test City, TX",
+        careers: ["Web Development"],
+      });
+    bootcampId = bootcampResponse.body.data._id;
+  });
+
+  //Uploads are scanned in the background, poll the upload until the scan is done
+  const waitForUpload = async (uploadId) => {
+    for (let attempt = 0; attempt < 50; attempt++) {
+      const response = await supertest(server)
+        .get(`/api/v1/uploads/${uploadId}`)
+        .set("Authorization", `Bearer ${token}`);
+
+      if (!["quarantined", "scanning"].includes(response.body.data.status)) {
+        return response.body.data;
+      }
+
+      await new Promise((resolve) => setTimeout(resolve, 100));
+    }
+  };
+
+  //POST Requests to upload two images, they are published once scanned
+  it("should upload images with resized versions", async () => {
+    for (const background of ["red", "blue"]) {
+      const photo = await sharp({
+        create: { width: 1200, height: 800, channels: 3, background },
+      })
+        .png()
+        .toBuffer();
+
+      const response = await supertest(server)
+        .post(`/api/v1/bootcamps/${bootcampId}/images`)
+        .set("Authorization", `Bearer ${token}`)
+        .field("caption", `A ${background} photo`)
+        .attach("file", photo, "photo.png");
+
+      const upload = await waitForUpload(response.body.data._id);
+
+      //Assertions
+      expect(response.status).toBe(202);
+      expect(response.body.data.status).toBe("quarantined");
+      expect(upload.status).toBe("published");
+
+      imageIds.push(upload.result.image);
+    }
+
+    const bootcamp = await Bootcamp.findById(bootcampId);
+    const image = bootcamp.images.id(imageIds[0]);
+
+    //Assertions
+    expect(image.variants).toHaveProperty("thumb");
+    expect(image.variants).toHaveProperty("card");
+    expect(image.variants).toHaveProperty("hero");
+    //The first image becomes the cover
+    expect(bootcamp.coverImage.toString()).toBe(imageIds[0]);
+  });
+
+  //POST Request with a file which only claims to be an image
+  it("should reject a file which is not an image", async () => {
+    const response = await supertest(server)
+      .post(`/api/v1/bootcamps/${bootcampId}/images`)
+      .set("Authorization", `Bearer ${token}`)
+      .attach("file", Buffer.from("<script>alert(1)</script>"), {
+        filename: "photo.png",
+        contentType: "image/png",
+      });
+
+    const upload = await waitForUpload(response.body.data._id);
+
+    //Assertions
+    expect(response.status).toBe(202);
+    expect(upload.status).toBe("rejected");
+    expect(upload.reason).toMatch(/JPEG, PNG, GIF or WebP/);
+  });
+
+  //POST Request with the EICAR test file (Detected by the stub scanner and ClamAV)
+  it("should keep an infected file out of the gallery", async () => {
+    const eicar =
+      "X5O!P%@AP[4\\PZX54(P^)7CC)7}$EICAR-STANDARD-ANTIVIRUS-TEST-FILE!$H+H*";
+
+    const response = await supertest(server)
+      .post(`/api/v1/bootcamps/${bootcampId}/images`)
+      .set("Authorization", `Bearer ${token}`)
+      .attach("file", Buffer.from(eicar), {
+        filename: "photo.jpg",
+        contentType: "image/jpeg",
+      });
+
+    const upload = await waitForUpload(response.body.data._id);
+    const bootcamp = await Bootcamp.findById(bootcampId);
+
+    //Assertions
+    expect(upload.status).toBe("infected");
+    expect(upload).not.toHaveProperty("key");
+    expect(bootcamp.images.length).toBe(2);
+  });
+
+  //PUT Request to reverse the order of the images
+  it("should reorder the images", async () => {
+    const response = await supertest(server)
+      .put(`/api/v1/bootcamps/${bootcampId}/images/order`)
+      .set("Authorization", `Bearer ${token}`)
+      .send({ order: [...imageIds].reverse() });
+
+    //Assertions
+    expect(response.status).toBe(200);
+    expect(response.body.data.map((image) => image._id)).toEqual(
+      [...imageIds].reverse()
+    );
+  });
+
+  //GET Request for the gallery with signed download URLs
+  it("should list the images with signed URLs", async () => {
+    const response = await supertest(server)
+      .get(`/api/v1/bootcamps/${bootcampId}/images`)
+      .set("Authorization", `Bearer ${token}`);
+
+    //Assertions
+    expect(response.status).toBe(200);
+    expect(response.body.count).toBe(2);
+    expect(response.body.data[0].urls).toHaveProperty("thumb");
+    expect(response.body.data[0].variants.card).toMatch(
+      new RegExp(`^bootcamps/${bootcampId}/`)
+    );
+  });
+
+  //GET Request for a version which does not exist (in case of error: not the _id of the variants)
+  it("should return a 404 error for an unknown image version", async () => {
+    const response = await supertest(server)
+      .get(`/api/v1/bootcamps/${bootcampId}/images/${imageIds[0]}/_id`)
+      .set("Authorization", `Bearer ${token}`);
+
+    //Assertions
+    expect(response.status).toBe(404);
+    expect(response.body.success).toBe(false);
+  });
+
+  //PUT Request to choose the cover photo
+  it("should set the cover photo", async () => {
+    const response = await supertest(server)
+      .put(`/api/v1/bootcamps/${bootcampId}/images/${imageIds[1]}/cover`)
+      .set("Authorization", `Bearer ${token}`);
+
+    //Assertions
+    expect(response.status).toBe(200);
+    expect(response.body.data).toHaveProperty("coverImage", imageIds[1]);
+    expect(response.body.data.photo).toMatch(/_card\.jpg$/);
+  });
+
+  //DELETE Request for the cover image
+  it("should delete the cover image and choose another cover", async () => {
+    const response = await supertest(server)
+      .delete(`/api/v1/bootcamps/${bootcampId}/images/${imageIds[1]}`)
+      .set("Authorization", `Bearer ${token}`);
+
+    const bootcamp = await Bootcamp.findById(bootcampId);
+
+    //Assertions
+    expect(response.status).toBe(200);
+    expect(bootcamp.images.length).toBe(1);
+    expect(bootcamp.coverImage.toString()).toBe(imageIds[0]);
+  });
+});
@@ -0,0 +1,178 @@
+const supertest = require("supertest");
+const mongoose = require("mongoose");
+const app = require("../server");
+const User = require("../models/User");
+const createMockOidcServer = require("./helpers/mockOidcServer");
+
+let server;
+let mockProvider;
+
+const existingUser = {
+  name: "Existing User",
+  email: "existingoidcuser@example.com",
+  password: "existingpassword",
+};
+
+//Start the server and the mock provider before all tests
+beforeAll(async () => {
+  server = app.listen(5000);
+
+  mockProvider = await createMockOidcServer().start();
+
+  //Provider settings normally come from config/config.env
+  process.env.OIDC_PROVIDERS = "mock";
+  process.env.OIDC_MOCK_ISSUER = mockProvider.issuer;
+  process.env.OIDC_MOCK_CLIENT_ID = "skillbridge-test";
+  process.env.OIDC_MOCK_CLIENT_SECRET = "skillbridge-test-secret";
+});
+
+//Clean up the database connection after all tests
+afterAll(async () => {
+  console.log("MongoDB connection closing...");
+
+  await User.deleteMany({
+    email: { $in: ["oidcuser@example.com", existingUser.email] },
+  });
+
+  await mockProvider.stop();
+  await mongoose.connection.close();
+  await server.close();
+});
+
+//Go through the whole login flow the way a browser would
+const loginWithMockProvider = async (agent) => {
+  //Redirect to the provider
+  const loginResponse = await agent.get("/api/v1/auth/oidc/mock");
+
+  //The mock provider logs in straight away and redirects back with a code
+  const providerResponse = await fetch(loginResponse.headers.location, {
+    redirect: "manual",
+  });
+  const callbackUrl = new URL(providerResponse.headers.get("location"));
+
+  return agent.get(`${callbackUrl.pathname}${callbackUrl.search}`);
+};
+
+describe("OpenID Connect Login API Requests", () => {
+  //GET Request for a provider which is not configured
+  it("should return a 404 error for an unknown provider", async () => {
+    const response = await supertest(server).get("/api/v1/auth/oidc/unknown");
+
+    //Assertions
+    expect(response.status).toBe(404);
+    expect(response.body.success).toBe(false);
+  });
+
+  //GET Request to start the login redirects to the provider
+  it("should redirect to the provider with PKCE", async () => {
+    const response = await supertest(server).get("/api/v1/auth/oidc/mock");
+
+    const location = new URL(response.headers.location);
+
+    //Assertions
+    expect(response.status).toBe(302);
+    expect(location.origin).toBe(mockProvider.issuer);
+    expect(location.searchParams.get("client_id")).toBe("skillbridge-test");
+    expect(location.searchParams.get("code_challenge_method")).toBe("S256");
+  });
+
+  //GET Request to the callback without the login attempt cookie
+  it("should return a 400 error when the callback is not from this browser", async () => {
+    const response = await supertest(server).get(
+      "/api/v1/auth/oidc/mock/callback?code=stolencode&state=stolenstate"
+    );
+
+    //Assertions
+    expect(response.status).toBe(400);
+    expect(response.body.success).toBe(false);
+  });
+
+  //First login creates an account with the default role
+  it("should create a user with the user role on first login", async () => {
+    const response = await loginWithMockProvider(supertest.agent(server));
+
+    const user = await User.findOne({ email: "oidcuser@example.com" });
+
+    //Assertions
+    expect(response.status).toBe(200);
+    expect(response.body).toHaveProperty("token");
+    expect(user).toHaveProperty("role", "user");
+    expect(user).toHaveProperty("isEmailVerified", true);
+    expect(user.identities[0]).toHaveProperty("provider", "mock");
+    expect(user.identities[0]).toHaveProperty("subject", mockProvider.user.sub);
+  });
+
+  //Login with the email of an account which has not verified it (e.g. registered by somebody else)
+  it("should return a 409 error instead of linking an account with an unverified email", async () => {
+    const created = await User.create(existingUser);
+
+    mockProvider.user = {
+      sub: "mock-user-2",
+      email: existingUser.email,
+      email_verified: true,
+      name: existingUser.name,
+    };
+
+    const response = await loginWithMockProvider(supertest.agent(server));
+
+    const user = await User.findById(created._id);
+
+    //Assertions
+    expect(response.status).toBe(409);
+    expect(response.body.success).toBe(false);
+    expect(user.identities).toHaveLength(0);
+  });
+
+  //Login with an email which already has a verified account links the identity
+  it("should link the identity to an existing account with the same email", async () => {
+    const created = await User.findOneAndUpdate(
+      { email: existingUser.email },
+      { isEmailVerified: true }
+    );
+
+    const response = await loginWithMockProvider(supertest.agent(server));
+
+    const user = await User.findById(created._id);
+
+    //Assertions
+    expect(response.status).toBe(200);
+    expect(response.body).toHaveProperty("token");
+    expect(user.identities).toHaveLength(1);
+    expect(user.identities[0]).toHaveProperty("subject", "mock-user-2");
+  });
+
+  //Login with the same email in other casing links the identity as well
+  it("should link the identity when the provider email differs in casing", async () => {
+    mockProvider.user = {
+      sub: "mock-user-4",
+      email: " ExistingOidcUser@Example.com ",
+      email_verified: true,
+      name: existingUser.name,
+    };
+
+    const response = await loginWithMockProvider(supertest.agent(server));
+
+    const user = await User.findOne({ email: existingUser.email });
+
+    //Assertions
+    expect(response.status).toBe(200);
+    expect(user.identities).toHaveLength(2);
+    expect(user.identities[1]).toHaveProperty("subject", "mock-user-4");
+  });
+
+  //Login with an email the provider has not verified
+  it("should return a 401 error when the provider email is not verified", async () => {
+    mockProvider.user = {
+      sub: "mock-user-3",
+      email: existingUser.email,
+      email_verified: false,
+      name: "Someone Else",
+    };
+
+    const response = await loginWithMockProvider(supertest.agent(server));
+
+    //Assertions
+    expect(response.status).toBe(401);
+    expect(response.body.success).toBe(false);
+  });
+});
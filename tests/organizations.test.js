@@ -0,0 +1,185 @@
+const supertest = require("supertest");
+const mongoose = require("mongoose");
+const app = require("../server");
+const User = require("../models/User");
+const Bootcamp = require("../models/Bootcamp");
+const Organization = require("../models/Organization");
+const OrganizationInvitation = require("../models/OrganizationInvitation");
+
+let server;
+
+//Start the server before each test
+beforeEach(() => {
+  server = app.listen(5000);
+});
+
+//Stop the server after each test
+afterEach(async () => {
+  await server.close();
+});
+
+const owner = {
+  name: "Organization Owner",
+  email: "organizationowner@example.com",
+  password: "OwnerPassword9",
+  role: "publisher",
+  isEmailVerified: true,
+};
+
+const staff = {
+  name: "Staff Member",
+  email: "staffmember@example.com",
+  password: "StaffPassword9",
+  role: "user",
+  isEmailVerified: true,
+};
+
+//Clean up the database connection after all tests
+afterAll(async () => {
+  console.log("MongoDB connection closing...");
+
+  //Delete the users with their organization, invitations and bootcamp
+  const users = await User.find({
+    email: { $in: [owner.email, staff.email] },
+  });
+  const userIds = users.map((user) => user._id);
+  const organizations = await Organization.find({
+    "members.user": { $in: userIds },
+  });
+  const organizationIds = organizations.map((organization) => organization._id);
+
+  await Bootcamp.deleteMany({ organization: { $in: organizationIds } });
+  await OrganizationInvitation.deleteMany({
+    organization: { $in: organizationIds },
+  });
+  await Organization.deleteMany({ _id: { $in: organizationIds } });
+  await User.deleteMany({ _id: { $in: userIds } });
+
+  await mongoose.connection.close();
+});
+
+describe("Organization API Requests", () => {
+  let ownerToken; //Store the JWT token of the owner
+  let staffToken; //Store the JWT token of the invited member
+  let staffId; //Store the ID of the invited member
+  let organizationId; //Store the ID of the organization
+  let bootcampId; //Store the ID of the organization's bootcamp
+
+  beforeAll(async () => {
+    await User.create(owner);
+    const member = await User.create(staff);
+    staffId = member._id.toString();
+
+    const ownerResponse = await supertest(app)
+      .post("/api/v1/auth/login")
+      .send({ email: owner.email, password: owner.password });
+    ownerToken = ownerResponse.body.token;
+
+    const staffResponse = await supertest(app)
+      .post("/api/v1/auth/login")
+      .send({ email: staff.email, password: staff.password });
+    staffToken = staffResponse.body.token;
+  });
+
+  //POST Request for a bootcamp, which is added to the organization of the publisher
+  it("should create an organization with the first bootcamp", async () => {
+    const response = await supertest(server)
+      .post("/api/v1/bootcamps")
+      .set("Authorization", `Bearer ${ownerToken}`)
+      .send({
+        name: "Organization Bootcamp",
+        description: "A bootcamp managed by several staff members",
+        address: "123 Test Street, Test City, TX",
+        careers: ["Web Development"],
+      });
+
+    bootcampId = response.body.data._id;
+    organizationId = response.body.data.organization;
+
+    //Assertions
+    expect(response.status).toBe(201);
+    expect(organizationId).toBeDefined();
+  });
+
+  //GET Request for the organizations of the user
+  it("should list the organizations of the owner", async () => {
+    const response = await supertest(server)
+      .get("/api/v1/organizations")
+      .set("Authorization", `Bearer ${ownerToken}`);
+
+    //Assertions
+    expect(response.status).toBe(200);
+    expect(response.body.count).toBe(1);
+    expect(response.body.data[0]).toHaveProperty("_id", organizationId);
+  });
+
+  //POST Request to invite a staff member
+  it("should invite a member by email without returning the token", async () => {
+    const response = await supertest(server)
+      .post(`/api/v1/organizations/${organizationId}/invitations`)
+      .set("Authorization", `Bearer ${ownerToken}`)
+      .send({ email: staff.email, role: "editor" });
+
+    //Assertions
+    expect(response.status).toBe(201);
+    expect(response.body.data).toHaveProperty("email", staff.email);
+    expect(response.body.data).not.toHaveProperty("token");
+  });
+
+  //PUT Request to accept the invitation (The token is only sent by email, so a new one is created here)
+  it("should add the member when the invitation is accepted", async () => {
+    const invitation = await OrganizationInvitation.findOne({
+      organization: organizationId,
+      email: staff.email,
+    });
+    const invitationToken = invitation.getInvitationToken();
+    await invitation.save();
+
+    const response = await supertest(server)
+      .put(`/api/v1/organizations/invitations/${invitationToken}`)
+      .set("Authorization", `Bearer ${staffToken}`);
+
+    const organization = await Organization.findById(organizationId);
+    const user = await User.findById(staffId);
+
+    //Assertions
+    expect(response.status).toBe(200);
+    expect(organization.getRole(staffId)).toBe("editor");
+    //The member role grants the permissions, the global role stays the same
+    expect(user).toHaveProperty("role", "user");
+  });
+
+  //PUT Request to update the bootcamp as an editor
+  it("should let an editor update the bootcamp", async () => {
+    const response = await supertest(server)
+      .put(`/api/v1/bootcamps/${bootcampId}`)
+      .set("Authorization", `Bearer ${staffToken}`)
+      .send({ housing: true });
+
+    //Assertions
+    expect(response.status).toBe(200);
+    expect(response.body.data).toHaveProperty("housing", true);
+  });
+
+  //DELETE Request for the bootcamp as an editor (in case of error: only owners can delete it)
+  it("should return a 401 error when an editor deletes the bootcamp", async () => {
+    const response = await supertest(server)
+      .delete(`/api/v1/bootcamps/${bootcampId}`)
+      .set("Authorization", `Bearer ${staffToken}`);
+
+    //Assertions
+    expect(response.status).toBe(401);
+  });
+
+  //DELETE Request for the only owner (in case of error: the organization needs an owner)
+  it("should return a 400 error when the last owner leaves", async () => {
+    const user = await User.findOne({ email: owner.email });
+
+    const response = await supertest(server)
+      .delete(`/api/v1/organizations/${organizationId}/members/${user._id}`)
+      .set("Authorization", `Bearer ${ownerToken}`);
+
+    //Assertions
+    expect(response.status).toBe(400);
+  });
+});
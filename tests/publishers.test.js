@@ -0,0 +1,199 @@
+const supertest = require("supertest");
+const mongoose = require("mongoose");
+const app = require("../server");
+const User = require("../models/User");
+const Bootcamp = require("../models/Bootcamp");
+const PublisherApplication = require("../models/PublisherApplication");
+const Organization = require("../models/Organization");
+
+let server;
+
+//Start the server before each test
+beforeEach(() => {
+  server = app.listen(5000);
+});
+
+//Stop the server after each test
+afterEach(async () => {
+  await server.close();
+});
+
+const applicant = {
+  name: "Applying Publisher",
+  email: "applyingpublisher@example.com",
+  password: "ApplyPassword9",
+  role: "publisher",
+  isEmailVerified: true,
+};
+
+//Clean up the database connection after all tests
+afterAll(async () => {
+  console.log("MongoDB connection closing...");
+
+  //Delete the applicant with their bootcamp, organization and applications
+  const user = await User.findOne({ email: applicant.email });
+  await Bootcamp.deleteMany({ user: user._id });
+  await Organization.deleteMany({ "members.user": user._id });
+  await PublisherApplication.deleteMany({ user: user._id });
+  await user.deleteOne();
+
+  await mongoose.connection.close();
+});
+
+describe("Publisher Verification API Requests", () => {
+  let token; //Store the JWT token of the applicant
+  let adminToken; //Store the JWT token of the admin
+  let applicationId; //Store the ID of the application
+  let bootcampId; //Store the ID of the applicant's bootcamp
+
+  beforeAll(async () => {
+    await User.create(applicant);
+
+    const response = await supertest(app)
+      .post("/api/v1/auth/login")
+      .send({ email: applicant.email, password: applicant.password });
+
+    token = response.body.token;
+
+    const adminResponse = await supertest(app).post("/api/v1/auth/login").send({
+      email: process.env.ADMIN_EMAIL,
+      password: process.env.ADMIN_PASSWORD,
+    });
+
+    adminToken = adminResponse.body.token;
+  });
+
+  //Bootcamps of unverified publishers are created but not listed
+  it("should hide the bootcamp of an unverified publisher", async () => {
+    const createResponse = await supertest(server)
+      .post("/api/v1/bootcamps")
+      .set("Authorization", `Bearer ${token}`)
+      .send({
+        name: "Unverified Bootcamp",
+        description: "A bootcamp waiting for publisher verification",
+        address: "123 Test Street, Test City, TX",
+        careers: ["Web Development"],
+      });
+
+    bootcampId = createResponse.body.data._id;
+
+    const response = await supertest(server).get(
+      "/api/v1/bootcamps?name=Unverified Bootcamp"
+    );
+
+    //Assertions
+    expect(createResponse.status).toBe(201);
+    expect(createResponse.body.data).toHaveProperty("publisherVerified", false);
+    expect(response.body.count).toBe(0);
+  });
+
+  //POST Request to apply as a publisher
+  it("should create a pending publisher application", async () => {
+    const response = await supertest(server)
+      .post("/api/v1/publishers/applications")
+      .set("Authorization", `Bearer ${token}`)
+      .send({
+        organization: "Unverified Bootcamp Inc",
+        website: "https://unverifiedbootcamp.com",
+        message: "We run a web development bootcamp in Texas",
+      });
+
+    applicationId = response.body.data._id;
+
+    //Assertions
+    expect(response.status).toBe(201);
+    expect(response.body.data).toHaveProperty("status", "pending");
+  });
+
+  //POST Request to apply again (in case of error: application already pending)
+  it("should return a 400 error when an application is already pending", async () => {
+    const response = await supertest(server)
+      .post("/api/v1/publishers/applications")
+      .set("Authorization", `Bearer ${token}`)
+      .send({
+        organization: "Unverified Bootcamp Inc",
+        message: "Applying a second time",
+      });
+
+    //Assertions
+    expect(response.status).toBe(400);
+  });
+
+  //PUT Request to approve the application (in case of error: not an admin)
+  it("should return a 403 error when a publisher approves an application", async () => {
+    const response = await supertest(server)
+      .put(`/api/v1/publishers/applications/${applicationId}/approve`)
+      .set("Authorization", `Bearer ${token}`);
+
+    //Assertions
+    expect(response.status).toBe(403);
+  });
+
+  //PUT Request to approve the application as an admin
+  it("should verify the publisher and list their bootcamp after approval", async () => {
+    const response = await supertest(server)
+      .put(`/api/v1/publishers/applications/${applicationId}/approve`)
+      .set("Authorization", `Bearer ${adminToken}`);
+
+    const user = await User.findOne({ email: applicant.email });
+    const bootcamp = await Bootcamp.findById(bootcampId);
+
+    //Assertions
+    expect(response.status).toBe(200);
+    expect(response.body.data).toHaveProperty("status", "approved");
+    expect(user.isVerifiedPublisher).toBe(true);
+    expect(bootcamp.publisherVerified).toBe(true);
+  });
+
+  //PUT Request to reject the application (in case of error: already reviewed)
+  it("should return a 400 error when rejecting a reviewed application", async () => {
+    const response = await supertest(server)
+      .put(`/api/v1/publishers/applications/${applicationId}/reject`)
+      .set("Authorization", `Bearer ${adminToken}`)
+      .send({ reason: "Changed my mind" });
+
+    //Assertions
+    expect(response.status).toBe(400);
+  });
+
+  //PUT Request editing the published bootcamp, the changes are reviewed again
+  it("should move an edited published bootcamp back to review", async () => {
+    await Bootcamp.updateOne({ _id: bootcampId }, { status: "published" });
+
+    const response = await supertest(server)
+      .put(`/api/v1/bootcamps/${bootcampId}`)
+      .set("Authorization", `Bearer ${token}`)
+      .send({ description: "Rewritten after it was published" });
+
+    //Assertions
+    expect(response.status).toBe(200);
+    expect(response.body.data).toHaveProperty("status", "pending");
+  });
+
+  //GET Request for the application of a deleted user (in case of error: not a 500 error)
+  it("should return the application of a deleted applicant to an admin", async () => {
+    const deletedApplicant = await User.create({
+      name: "Deleted Applicant",
+      email: "deletedapplicant@example.com",
+      password: "DeletedPassword9",
+      isEmailVerified: true,
+    });
+    const application = await PublisherApplication.create({
+      user: deletedApplicant._id,
+      organization: "Deleted Bootcamp Inc",
+      message: "We will not be around for long",
+    });
+    await deletedApplicant.softDelete(deletedApplicant._id);
+
+    const response = await supertest(server)
+      .get(`/api/v1/publishers/applications/${application._id}`)
+      .set("Authorization", `Bearer ${adminToken}`);
+
+    await application.deleteOne();
+    await deletedApplicant.deleteOne();
+
+    //Assertions
+    expect(response.status).toBe(200);
+    expect(response.body.data).toHaveProperty("user", null);
+  });
+});
@@ -152,6 +152,9 @@ describe("POST, PUT and DELETE Requests for Reviews API", () => {
       .post("/api/v1/auth/register")
       .send(userData);
 
+    //Verify the email address (Only verified users can post reviews)
+    await User.updateOne({ email: userData.email }, { isEmailVerified: true });
+
     //Login the user to get a token
     const loginResponse = await supertest(server)
       .post("/api/v1/auth/login")
@@ -0,0 +1,77 @@
+const {
+  getScanner,
+  createStubScanner,
+  createClamavScanner,
+} = require("../utils/scanners");
+const createMockClamavServer = require("./helpers/mockClamavServer");
+
+//The scanners are tested on their own, the API tests use the scanner configured in config/config.env
+
+const eicar =
+  "X5O!P%@AP[4\\PZX54(P^)7CC)7}$EICAR-STANDARD-ANTIVIRUS-TEST-FILE!$H+H*";
+
+describe("Stub Scanner", () => {
+  const scanner = createStubScanner();
+
+  it("should pass clean files and find the EICAR test file", async () => {
+    //Assertions
+    expect(await scanner.scan(Buffer.from("photo"))).toEqual({ clean: true });
+    expect(await scanner.scan(Buffer.from(eicar))).toEqual({
+      clean: false,
+      threat: "Eicar-Test-Signature",
+    });
+  });
+});
+
+describe("Configured Scanner", () => {
+  const env = { ...process.env };
+
+  afterAll(() => {
+    process.env = env;
+  });
+
+  it("should not use the stub in production", () => {
+    process.env.NODE_ENV = "production";
+    delete process.env.UPLOAD_SCANNER;
+
+    //Assertions
+    expect(() => getScanner()).toThrow(/production/);
+  });
+});
+
+describe("ClamAV Scanner", () => {
+  let clamd;
+  let scanner;
+
+  beforeAll(async () => {
+    clamd = await createMockClamavServer().start();
+    scanner = createClamavScanner({ host: "127.0.0.1", port: clamd.port });
+  });
+
+  afterAll(async () => {
+    await clamd.stop();
+  });
+
+  it("should stream large files in chunks", async () => {
+    const file = Buffer.alloc(200 * 1024, "a");
+
+    //Assertions
+    expect(await scanner.scan(file)).toEqual({ clean: true });
+    expect(clamd.streams[clamd.streams.length - 1].equals(file)).toBe(true);
+  });
+
+  it("should report the threat found by ClamAV", async () => {
+    //Assertions
+    expect(await scanner.scan(Buffer.from("xx INFECTED xx"))).toEqual({
+      clean: false,
+      threat: "Test-Signature",
+    });
+  });
+
+  it("should fail when ClamAV can not be reached", async () => {
+    const unreachable = createClamavScanner({ host: "127.0.0.1", port: 1 });
+
+    //Assertions
+    await expect(unreachable.scan(Buffer.from("photo"))).rejects.toThrow();
+  });
+});
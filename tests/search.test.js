@@ -0,0 +1,217 @@
+const supertest = require("supertest");
+const mongoose = require("mongoose");
+const app = require("../server");
+const User = require("../models/User");
+const Bootcamp = require("../models/Bootcamp");
+const Course = require("../models/Course");
+const Review = require("../models/Review");
+const Organization = require("../models/Organization");
+const { runCascade, deleteBootcamps } = require("../utils/cascadeDelete");
+
+let server;
+
+//Start the server before each test
+beforeEach(() => {
+  server = app.listen(5000);
+});
+
+//Stop the server after each test
+afterEach(async () => {
+  await server.close();
+});
+
+const publisher = {
+  name: "Search Publisher",
+  email: "searchpublisher@example.com",
+  password: "SearchPassword9",
+  role: "publisher",
+  isEmailVerified: true,
+};
+
+//Clean up the database connection after all tests
+afterAll(async () => {
+  console.log("MongoDB connection closing...");
+
+  //Delete the publisher with their organization, bootcamp and course
+  const user = await User.findOne({ email: publisher.email });
+  await runCascade([(session) => deleteBootcamps({ user: user._id }, session)]);
+  await Organization.deleteMany({ "members.user": user._id });
+  await user.deleteOne();
+
+  await mongoose.connection.close();
+});
+
+describe("Search API Requests", () => {
+  let token; //Store the JWT token of the publisher
+  let bootcampId; //Store the ID of the draft bootcamp
+
+  beforeAll(async () => {
+    //The text indexes have to be built before searching
+    await Promise.all([Bootcamp.init(), Course.init(), Review.init()]);
+
+    await User.create(publisher);
+
+    const response = await supertest(app)
+      .post("/api/v1/auth/login")
+      .send({ email: publisher.email, password: publisher.password });
+    token = response.body.token;
+
+    //A draft bootcamp, only visible to its organization
+    const bootcampResponse = await supertest(app)
+      .post("/api/v1/bootcamps")
+      .set("Authorization", `Bearer ${token}`)
+      .send({
+        name: "Quokkascript Academy",
+        description: "Learn the Quokkascript language from scratch",
+        address: "123 Test Street, Test City, TX",
+        careers: ["Web Development"],
+      });
+
+    bootcampId = bootcampResponse.body.data._id;
+
+    await supertest(app)
+      .post(`/api/v1/bootcamps/${bootcampId}/courses`)
+      .set("Authorization", `Bearer ${token}`)
+      .send({
+        title: "Advanced Quokkascripting",
+        description: "Write large applications",
+        weeks: "8",
+        tuition: 5000,
+        minimumSkill: "advanced",
+      });
+  });
+
+  //GET Request finding the bootcamp and its course
+  it("should find bootcamps and courses ranked by relevance", async () => {
+    const response = await supertest(server)
+      .get("/api/v1/search?q=quokkascript")
+      .set("Authorization", `Bearer ${token}`);
+
+    //Assertions
+    expect(response.status).toBe(200);
+    expect(response.body.counts).toEqual({
+      bootcamps: 1,
+      courses: 1,
+      reviews: 0,
+    });
+    //The name and description of the bootcamp match, so it ranks above the course
+    expect(response.body.data.map((result) => result.type)).toEqual([
+      "bootcamp",
+      "course",
+    ]);
+    expect(response.body.data[0].highlights.name).toBe(
+      "<mark>Quokkascript</mark> Academy"
+    );
+    expect(response.body.data[1].highlights.title).toBe(
+      "Advanced <mark>Quokkascripting</mark>"
+    );
+  });
+
+  //GET Request limited to courses with a course filter
+  it("should filter the results by type", async () => {
+    const response = await supertest(server)
+      .get(
+        "/api/v1/search?q=quokkascript&type=courses&courses[minimumSkill]=beginner"
+      )
+      .set("Authorization", `Bearer ${token}`);
+
+    //Assertions
+    expect(response.status).toBe(200);
+    expect(response.body.counts).toEqual({ courses: 0 });
+  });
+
+  //GET Request without a login does not find the draft
+  it("should not find drafts of other organizations", async () => {
+    const response = await supertest(server).get(
+      "/api/v1/search?q=quokkascript"
+    );
+
+    //Assertions
+    expect(response.status).toBe(200);
+    expect(response.body.total).toBe(0);
+  });
+
+  //GET Requests for the courses of the draft, only its organization sees them
+  it("should hide the courses of drafts from other users", async () => {
+    const anonymous = await supertest(server).get(
+      `/api/v1/bootcamps/${bootcampId}/courses`
+    );
+    const member = await supertest(server)
+      .get(`/api/v1/bootcamps/${bootcampId}/courses`)
+      .set("Authorization", `Bearer ${token}`);
+    const listing = await supertest(server).get("/api/v1/courses?limit=100");
+
+    //Assertions
+    expect(anonymous.body.count).toBe(0);
+    expect(member.body.count).toBe(1);
+    expect(
+      listing.body.data.map((course) => course.bootcamp._id)
+    ).not.toContain(bootcampId);
+  });
+
+  //GET Request without a search term
+  it("should return a 400 error without a search term", async () => {
+    const response = await supertest(server).get("/api/v1/search");
+
+    //Assertions
+    expect(response.status).toBe(400);
+  });
+
+  //GET Request for a page far behind the results (in case of error: every type would load all of them)
+  it("should return a 400 error for a page beyond the searchable results", async () => {
+    const response = await supertest(server).get(
+      "/api/v1/search?q=academy&page=100000&limit=50"
+    );
+
+    //Assertions
+    expect(response.status).toBe(400);
+    expect(response.body.error).toMatch(/Only the first \d+ results/);
+  });
+});
+
+describe("Search Suggestion API Requests", () => {
+  //GET Request for a prefix with a typo
+  it("should suggest bootcamp names despite typos", async () => {
+    const response = await supertest(server).get(
+      "/api/v1/search/suggest?prefix=devwrks"
+    );
+
+    //Assertions
+    expect(response.status).toBe(200);
+    expect(response.body.data[0]).toMatchObject({
+      type: "bootcamp",
+      text: "Devworks Bootcamp",
+      typo: true,
+    });
+  });
+
+  //GET Request with a negative limit (in case of error: every match would be returned)
+  it("should return at least one and at most 25 suggestions", async () => {
+    const response = await supertest(server).get(
+      "/api/v1/search/suggest?prefix=devwrks&limit=-1"
+    );
+
+    //Assertions
+    expect(response.status).toBe(200);
+    expect(response.body.count).toBe(1);
+  });
+
+  //GET Request for the name of a draft
+  it("should not suggest drafts", async () => {
+    const response = await supertest(server).get(
+      "/api/v1/search/suggest?prefix=quokkascript"
+    );
+
+    //Assertions
+    expect(response.status).toBe(200);
+    expect(response.body.count).toBe(0);
+  });
+
+  //GET Request without a prefix
+  it("should return a 400 error without a prefix", async () => {
+    const response = await supertest(server).get("/api/v1/search/suggest");
+
+    //Assertions
+    expect(response.status).toBe(400);
+  });
+});
@@ -0,0 +1,120 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { createLocalStorage, createS3Storage } = require("../utils/storage");
+const createMockS3Server = require("./helpers/mockS3Server");
+
+//The drivers are tested on their own, the API tests use the storage configured in config/config.env
+
+describe("Local Storage", () => {
+  let root; //Temporary upload folder
+  let storage;
+
+  beforeAll(async () => {
+    root = await fs.promises.mkdtemp(path.join(os.tmpdir(), "uploads-"));
+    storage = createLocalStorage({ root, secret: "test-secret" });
+  });
+
+  afterAll(async () => {
+    await fs.promises.rm(root, { recursive: true, force: true });
+  });
+
+  it("should store, list and remove files by key", async () => {
+    await storage.put("bootcamps/1/photo.jpg", Buffer.from("photo"));
+
+    //Assertions
+    expect((await storage.get("bootcamps/1/photo.jpg")).toString()).toBe(
+      "photo"
+    );
+    expect(await storage.list("bootcamps/")).toEqual(["bootcamps/1/photo.jpg"]);
+
+    await storage.remove("bootcamps/1/photo.jpg");
+    await storage.remove("bootcamps/1/photo.jpg"); //Missing files are not an error
+
+    expect(await storage.get("bootcamps/1/photo.jpg")).toBeNull();
+  });
+
+  it("should not allow keys outside of the upload folder", async () => {
+    await expect(
+      storage.put("../outside.jpg", Buffer.from("x"))
+    ).rejects.toThrow(/Invalid storage key/);
+  });
+
+  it("should only accept valid and unexpired signatures", async () => {
+    const url = new URL(
+      await storage.getSignedUrl("bootcamps/1/photo.jpg", 60),
+      "http://localhost"
+    );
+    const expires = url.searchParams.get("expires");
+    const signature = url.searchParams.get("signature");
+
+    //Assertions
+    expect(url.pathname).toBe("/api/v1/files/bootcamps/1/photo.jpg");
+    expect(
+      storage.verifySignature("bootcamps/1/photo.jpg", expires, signature)
+    ).toBe(true);
+    expect(
+      storage.verifySignature("bootcamps/2/photo.jpg", expires, signature)
+    ).toBe(false);
+    expect(
+      storage.verifySignature("bootcamps/1/photo.jpg", expires - 120, signature)
+    ).toBe(false);
+  });
+});
+
+describe("S3 Storage", () => {
+  let s3; //S3 compatible stand-in
+  let storage;
+
+  beforeAll(async () => {
+    s3 = await createMockS3Server().start();
+    storage = createS3Storage({
+      bucket: "uploads",
+      endpoint: s3.endpoint,
+      forcePathStyle: true,
+      accessKeyId: "test",
+      secretAccessKey: "test-secret",
+    });
+  });
+
+  afterAll(async () => {
+    await s3.stop();
+  });
+
+  it("should store, list and remove files by key", async () => {
+    await storage.put(
+      "bootcamps/1/photo.jpg",
+      Buffer.from("photo"),
+      "image/jpeg"
+    );
+
+    //Assertions
+    expect(s3.objects.get("uploads/bootcamps/1/photo.jpg").contentType).toBe(
+      "image/jpeg"
+    );
+    expect((await storage.get("bootcamps/1/photo.jpg")).toString()).toBe(
+      "photo"
+    );
+    expect(await storage.list("bootcamps/")).toEqual(["bootcamps/1/photo.jpg"]);
+
+    await storage.remove("bootcamps/1/photo.jpg");
+
+    expect(await storage.get("bootcamps/1/photo.jpg")).toBeNull();
+  });
+
+  it("should create signed download URLs", async () => {
+    await storage.put(
+      "bootcamps/1/card.jpg",
+      Buffer.from("card"),
+      "image/jpeg"
+    );
+
+    const url = await storage.getSignedUrl("bootcamps/1/card.jpg", 60);
+    const response = await fetch(url);
+
+    //Assertions
+    expect(url).toMatch(/X-Amz-Signature=/);
+    expect(url).toMatch(/X-Amz-Expires=60/);
+    expect(await response.text()).toBe("card");
+  });
+});
@@ -0,0 +1,179 @@
+const supertest = require("supertest");
+const mongoose = require("mongoose");
+const app = require("../server");
+const User = require("../models/User");
+const Bootcamp = require("../models/Bootcamp");
+const BootcampTransfer = require("../models/BootcampTransfer");
+const Organization = require("../models/Organization");
+
+let server;
+
+//Start the server before each test
+beforeEach(() => {
+  server = app.listen(5000);
+});
+
+//Stop the server after each test
+afterEach(async () => {
+  await server.close();
+});
+
+const sender = {
+  name: "Leaving Publisher",
+  email: "leavingpublisher@example.com",
+  password: "LeavingPassword9",
+  role: "publisher",
+  isEmailVerified: true,
+};
+
+const recipient = {
+  name: "Taking Over Publisher",
+  email: "takingoverpublisher@example.com",
+  password: "TakingOverPassword9",
+  role: "publisher",
+  isEmailVerified: true,
+};
+
+//Clean up the database connection after all tests
+afterAll(async () => {
+  console.log("MongoDB connection closing...");
+
+  //Delete the publishers with their organizations, the transferred bootcamp and its transfers
+  const users = await User.find({
+    email: { $in: [sender.email, recipient.email] },
+  });
+  const userIds = users.map((user) => user._id);
+  const bootcamps = await Bootcamp.find({ user: { $in: userIds } });
+
+  await BootcampTransfer.deleteMany({
+    bootcamp: { $in: bootcamps.map((bootcamp) => bootcamp._id) },
+  });
+  await Bootcamp.deleteMany({ user: { $in: userIds } });
+  await Organization.deleteMany({ "members.user": { $in: userIds } });
+  await User.deleteMany({ _id: { $in: userIds } });
+
+  await mongoose.connection.close();
+});
+
+describe("Bootcamp Transfer API Requests", () => {
+  let senderToken; //Store the JWT token of the current owner
+  let recipientToken; //Store the JWT token of the new owner
+  let bootcampId; //Store the ID of the transferred bootcamp
+  let recipientId; //Store the ID of the new owner
+
+  beforeAll(async () => {
+    await User.create(sender);
+    const newOwner = await User.create(recipient);
+    recipientId = newOwner._id.toString();
+
+    const senderResponse = await supertest(app)
+      .post("/api/v1/auth/login")
+      .send({ email: sender.email, password: sender.password });
+    senderToken = senderResponse.body.token;
+
+    const recipientResponse = await supertest(app)
+      .post("/api/v1/auth/login")
+      .send({ email: recipient.email, password: recipient.password });
+    recipientToken = recipientResponse.body.token;
+
+    const bootcampResponse = await supertest(app)
+      .post("/api/v1/bootcamps")
+      .set("Authorization", `Bearer ${senderToken}`)
+      .send({
+        name: "Transferred Bootcamp",
+        description: "A bootcamp which changes owner",
+        address: "123 Test Street, Test City, TX",
+        careers: ["Web Development"],
+      });
+    bootcampId = bootcampResponse.body.data._id;
+
+    //The recipient already has as many bootcamps as the quota allows (Transfers are not limited by it)
+    await supertest(app)
+      .post("/api/v1/bootcamps")
+      .set("Authorization", `Bearer ${recipientToken}`)
+      .send({
+        name: "Recipient Bootcamp",
+        description: "The bootcamp the recipient already owns",
+        address: "456 Test Street, Test City, TX",
+        careers: ["Web Development"],
+      });
+  });
+
+  //PUT Request changing the owner without a transfer (in case of error: the owner is only changed by accepting a transfer)
+  it("should ignore the user in an update of the bootcamp", async () => {
+    const response = await supertest(server)
+      .put(`/api/v1/bootcamps/${bootcampId}`)
+      .set("Authorization", `Bearer ${senderToken}`)
+      .send({ user: recipientId });
+
+    const bootcamp = await Bootcamp.findById(bootcampId);
+
+    //Assertions
+    expect(response.status).toBe(200);
+    expect(bootcamp.user.toString()).not.toBe(recipientId);
+  });
+
+  //POST Request to transfer the bootcamp to another publisher
+  it("should create a pending transfer", async () => {
+    const response = await supertest(server)
+      .post(`/api/v1/bootcamps/${bootcampId}/transfer`)
+      .set("Authorization", `Bearer ${senderToken}`)
+      .send({ email: recipient.email });
+
+    //Assertions
+    expect(response.status).toBe(201);
+    expect(response.body.data).toHaveProperty("status", "pending");
+    expect(response.body.data).toHaveProperty("to", recipientId);
+  });
+
+  //POST Request to transfer the bootcamp again (in case of error: transfer already pending)
+  it("should return a 400 error when a transfer is already pending", async () => {
+    const response = await supertest(server)
+      .post(`/api/v1/bootcamps/${bootcampId}/transfer`)
+      .set("Authorization", `Bearer ${senderToken}`)
+      .send({ email: recipient.email });
+
+    //Assertions
+    expect(response.status).toBe(400);
+  });
+
+  //PUT Request to accept the transfer (in case of error: not the recipient)
+  it("should return a 404 error when the sender accepts the transfer", async () => {
+    const response = await supertest(server)
+      .put(`/api/v1/bootcamps/${bootcampId}/transfer/accept`)
+      .set("Authorization", `Bearer ${senderToken}`);
+
+    //Assertions
+    expect(response.status).toBe(404);
+  });
+
+  //PUT Request to accept the transfer as the recipient
+  it("should hand over the bootcamp when the recipient accepts", async () => {
+    const response = await supertest(server)
+      .put(`/api/v1/bootcamps/${bootcampId}/transfer/accept`)
+      .set("Authorization", `Bearer ${recipientToken}`);
+
+    const bootcamp = await Bootcamp.findById(bootcampId);
+
+    //Assertions
+    expect(response.status).toBe(200);
+    expect(response.body.data).toHaveProperty("status", "accepted");
+    expect(bootcamp.user.toString()).toBe(recipientId);
+
+    //The bootcamp moves into the organization of the recipient
+    const organization = await Organization.findById(bootcamp.organization);
+    expect(organization.getRole(recipientId)).toBe("owner");
+  });
+
+  //GET Request for the transfer history of the bootcamp
+  it("should keep the accepted transfer in the history", async () => {
+    const response = await supertest(server)
+      .get(`/api/v1/bootcamps/${bootcampId}/transfer`)
+      .set("Authorization", `Bearer ${recipientToken}`);
+
+    //Assertions
+    expect(response.status).toBe(200);
+    expect(response.body.count).toBe(1);
+    expect(response.body.data[0]).toHaveProperty("status", "accepted");
+  });
+});
@@ -1,6 +1,14 @@
 const supertest = require("supertest");
 const mongoose = require("mongoose");
 const app = require("../server");
+const User = require("../models/User");
+const Bootcamp = require("../models/Bootcamp");
+const Course = require("../models/Course");
+const Review = require("../models/Review");
+const Session = require("../models/Session");
+const Organization = require("../models/Organization");
+const { getStorage } = require("../utils/storage");
+const cleanupOrphans = require("../utils/cleanupOrphans");
 
 let server;
 let adminToken; //To store the token for admin account
@@ -19,6 +27,10 @@ beforeAll(() => {
 //Clean up the database connection after all tests
 afterAll(async () => {
   console.log("MongoDB connection closing...");
+
+  //Remove the deleted user from the trash
+  await User.deleteOne({ email: "natalie@gmail.com" });
+
   await mongoose.connection.close();
   await server.close();
 });
@@ -247,6 +259,50 @@ describe("POST, PUT and DELETE Requests to Users API", () => {
     expect(response.body.data).toEqual({}); //Data should be empty
   });
 
+  //GET Request to the trash for deleted users
+  it("should list the deleted user in the trash", async () => {
+    const response = await supertest(server)
+      .get("/api/v1/trash/users")
+      .set("Authorization", `Bearer ${adminToken}`); //Attach admin JWT token
+
+    //Assertions
+    expect(response.status).toBe(200);
+    expect(response.body.data.map((user) => user._id)).toContain(
+      userIdToDelete
+    );
+  });
+
+  //POST Request to restore the deleted user
+  it("should restore the deleted user", async () => {
+    const response = await supertest(server)
+      .post(`/api/v1/users/${userIdToDelete}/restore`)
+      .set("Authorization", `Bearer ${adminToken}`); //Attach admin JWT token
+
+    //Assertions
+    expect(response.status).toBe(200);
+    expect(response.body.data).toHaveProperty("deletedAt", null);
+  });
+
+  //DELETE Request to permanently delete the user from the trash
+  it("should permanently delete a user from the trash", async () => {
+    //Move the user to the trash again
+    await supertest(server)
+      .delete(`/api/v1/users/${userIdToDelete}`)
+      .set("Authorization", `Bearer ${adminToken}`); //Attach admin JWT token
+
+    const response = await supertest(server)
+      .delete(`/api/v1/trash/users/${userIdToDelete}`)
+      .set("Authorization", `Bearer ${adminToken}`); //Attach admin JWT token
+
+    const user = await User.findById(userIdToDelete).setOptions({
+      withDeleted: true,
+    });
+
+    //Assertions
+    expect(response.status).toBe(200);
+    expect(user).toBeNull();
+  });
+
   //DELETE Request to Users API for deleting a user (in case of error: non-existent user)
   it("should return a 404 error when a non-existent ID is used", async () => {
     const nonExistentId = new mongoose.Types.ObjectId(); //Generate a random ObjectID
@@ -260,3 +316,352 @@ describe("POST, PUT and DELETE Requests to Users API", () => {
     expect(response.body).toHaveProperty("error", "Resource not found");
   });
 });
+
+describe("Sessions of Users API", () => {
+  let publisherToken; //Token of the user whose sessions are managed by the admin
+
+  beforeAll(async () => {
+    const publisherLogin = await supertest(app)
+      .post("/api/v1/auth/login")
+      .send({
+        email: "sasha@gmail.com",
+        password: process.env.SASHA_PASSWORD,
+      });
+
+    publisherToken = publisherLogin.body.token;
+  });
+
+  //GET Request for the active sessions of a user as admin
+  it("should fetch the active sessions of a user when logged in as admin", async () => {
+    const response = await supertest(server)
+      .get(`/api/v1/users/${process.env.VALID_USER_ID}/sessions`)
+      .set("Authorization", `Bearer ${adminToken}`); //Attach admin JWT token
+
+    //Assertions
+    expect(response.status).toBe(200);
+    expect(response.body.success).toBe(true);
+    expect(response.body.count).toBeGreaterThanOrEqual(1);
+    expect(response.body.data[0]).toHaveProperty("device");
+    expect(response.body.data[0]).toHaveProperty("lastSeenAt");
+  });
+
+  //GET Request for the sessions of a user (in case of error: non-existent user)
+  it("should return a 404 error for the sessions of a non-existent user", async () => {
+    const nonExistentId = new mongoose.Types.ObjectId(); //Generate a random ObjectId
+    const response = await supertest(server)
+      .get(`/api/v1/users/${nonExistentId}/sessions`)
+      .set("Authorization", `Bearer ${adminToken}`); //Attach admin JWT token
+
+    //Assertions
+    expect(response.status).toBe(404);
+    expect(response.body.success).toBe(false);
+  });
+
+  //DELETE Request to force a user off the system
+  it("should revoke all sessions of a user when logged in as admin", async () => {
+    const response = await supertest(server)
+      .delete(`/api/v1/users/${process.env.VALID_USER_ID}/sessions`)
+      .set("Authorization", `Bearer ${adminToken}`); //Attach admin JWT token
+
+    //Assertions
+    expect(response.status).toBe(200);
+    expect(response.body.success).toBe(true);
+
+    //The user has been signed out
+    const meResponse = await supertest(server)
+      .get("/api/v1/auth/me")
+      .set("Authorization", `Bearer ${publisherToken}`);
+
+    expect(meResponse.status).toBe(401);
+  });
+});
+
+describe("Unlocking Users API", () => {
+  let lockedUserId;
+
+  const lockedUser = {
+    name: "Locked User",
+    email: "lockeduser@example.com",
+    password: "lockedpassword",
+  };
+
+  beforeAll(async () => {
+    //Create an account which is locked for an hour
+    const user = await User.create({
+      ...lockedUser,
+      failedLoginAttempts: 0,
+      lockCount: 1,
+      lockUntil: Date.now() + 60 * 60 * 1000,
+    });
+
+    lockedUserId = user._id.toString();
+  });
+
+  afterAll(async () => {
+    await User.deleteOne({ email: lockedUser.email });
+  });
+
+  //PUT Request to unlock an account as admin
+  it("should unlock a locked account when logged in as admin", async () => {
+    const response = await supertest(server)
+      .put(`/api/v1/users/${lockedUserId}`)
+      .set("Authorization", `Bearer ${adminToken}`) //Attach admin JWT token
+      .send({ unlock: true });
+
+    //Assertions
+    expect(response.status).toBe(200);
+    expect(response.body.success).toBe(true);
+    expect(response.body.data).not.toHaveProperty("lockUntil");
+    expect(response.body.data).toHaveProperty("lockCount", 0);
+
+    //The user can log in again
+    const loginResponse = await supertest(server)
+      .post("/api/v1/auth/login")
+      .send({ email: lockedUser.email, password: lockedUser.password });
+
+    expect(loginResponse.status).toBe(200);
+    expect(loginResponse.body).toHaveProperty("token");
+  });
+});
+
+describe("Cascading Deletes of Users API", () => {
+  const owner = {
+    name: "Cascade Publisher",
+    email: "cascadepublisher@example.com",
+    password: "CascadePassword9",
+    role: "publisher",
+    isEmailVerified: true,
+  };
+
+  const coOwner = {
+    name: "Cascade Co-Owner",
+    email: "cascadecoowner@example.com",
+    password: "CoOwnerPassword9",
+    role: "publisher",
+    isEmailVerified: true,
+  };
+
+  let ownerId; //The user who is deleted
+  let coOwnerId; //Owner of the shared organization, who stays
+  let bootcampId; //Bootcamp of the personal organization of the deleted user
+  let sharedBootcampId; //Bootcamp of the shared organization
+  let courseId; //Course of the deleted user
+  let reviewId; //Review of the deleted user
+  let organizationId; //Personal organization of the deleted user
+  let sharedOrganizationId; //Organization of both users
+  let photoKey; //Photo of the bootcamp in the storage
+
+  //Create a bootcamp as the user, returns its id
+  const createBootcamp = async (user, name) => {
+    const login = await supertest(app)
+      .post("/api/v1/auth/login")
+      .send({ email: user.email, password: user.password });
+
+    const response = await supertest(app)
+      .post("/api/v1/bootcamps")
+      .set("Authorization", `Bearer ${login.body.token}`)
+      .send({
+        name,
+        description: "A bootcamp whose owner is deleted",
+        address: "123 Test Street, Test City, TX",
+        careers: ["Web Development"],
+      });
+
+    return { token: login.body.token, id: response.body.data._id };
+  };
+
+  beforeAll(async () => {
+    ownerId = (await User.create(owner))._id.toString();
+    coOwnerId = (await User.create(coOwner))._id.toString();
+
+    const ownerBootcamp = await createBootcamp(owner, "Cascade Bootcamp");
+    const coOwnerBootcamp = await createBootcamp(coOwner, "Shared Bootcamp");
+    bootcampId = ownerBootcamp.id;
+    sharedBootcampId = coOwnerBootcamp.id;
+
+    const courseResponse = await supertest(app)
+      .post(`/api/v1/bootcamps/${bootcampId}/courses`)
+      .set("Authorization", `Bearer ${ownerBootcamp.token}`)
+      .send({
+        title: "Cascade Course",
+        description: "A course which is deleted with its owner",
+        weeks: 4,
+        tuition: 1000,
+        minimumSkill: "beginner",
+      });
+    courseId = courseResponse.body.data._id;
+
+    //A review the user wrote about another bootcamp
+    const review = await Review.create({
+      title: "Cascade Review",
+      text: "A review which is deleted with its author",
+      rating: 8,
+      bootcamp: sharedBootcampId,
+      user: ownerId,
+    });
+    reviewId = review._id.toString();
+
+    //A photo in the storage
+    photoKey = `bootcamps/${bootcampId}/cascade_card.jpg`;
+    await getStorage().put(photoKey, Buffer.from("photo"), "image/jpeg");
+    await Bootcamp.updateOne({ _id: bootcampId }, { photo: photoKey });
+
+    //The user also owns the organization of the shared bootcamp, where they created it
+    const bootcamp = await Bootcamp.findById(sharedBootcampId);
+    sharedOrganizationId = bootcamp.organization.toString();
+    organizationId = (
+      await Bootcamp.findById(bootcampId)
+    ).organization.toString();
+
+    await Organization.updateOne(
+      { _id: sharedOrganizationId },
+      { $push: { members: { user: ownerId, role: "owner" } } }
+    );
+    await Bootcamp.updateOne({ _id: sharedBootcampId }, { user: ownerId });
+  });
+
+  afterAll(async () => {
+    await Review.deleteMany({ bootcamp: sharedBootcampId });
+    await Course.deleteMany({ bootcamp: sharedBootcampId });
+    await Bootcamp.deleteOne({ _id: sharedBootcampId });
+    await Organization.deleteMany({
+      _id: { $in: [organizationId, sharedOrganizationId] },
+    });
+    await User.deleteMany({ email: { $in: [owner.email, coOwner.email] } });
+  });
+
+  //DELETE Request for the last owner of an organization with other members
+  it("should return a 400 error when an organization would be left without an owner", async () => {
+    await Organization.updateOne(
+      { _id: organizationId },
+      { $push: { members: { user: coOwnerId, role: "editor" } } }
+    );
+
+    const response = await supertest(server)
+      .delete(`/api/v1/users/${ownerId}`)
+      .set("Authorization", `Bearer ${adminToken}`);
+
+    const user = await User.findById(ownerId);
+
+    //Assertions
+    expect(response.status).toBe(400);
+    expect(response.body.success).toBe(false);
+    expect(user).not.toBeNull();
+  });
+
+  //DELETE Request moving the user to the trash, the shared bootcamp stays with the other owner
+  it("should hand the bootcamps of shared organizations over to the remaining owner", async () => {
+    await Organization.updateOne(
+      { _id: organizationId },
+      { $pull: { members: { user: coOwnerId } } }
+    );
+
+    const response = await supertest(server)
+      .delete(`/api/v1/users/${ownerId}`)
+      .set("Authorization", `Bearer ${adminToken}`);
+
+    const sharedBootcamp = await Bootcamp.findById(sharedBootcampId);
+    const trashedBootcamp = await Bootcamp.findDeletedById(bootcampId);
+
+    //Assertions
+    expect(response.status).toBe(200);
+    expect(sharedBootcamp.user.toString()).toBe(coOwnerId);
+    expect(trashedBootcamp).not.toBeNull();
+  });
+
+  //DELETE Request from the trash which fails halfway, the transaction leaves everything in place
+  it("should keep everything when the permanent delete fails", async () => {
+    const deleteSessions = jest
+      .spyOn(Session, "deleteMany")
+      .mockImplementationOnce(() => {
+        throw new Error("Simulated failure");
+      });
+
+    const response = await supertest(server)
+      .delete(`/api/v1/trash/users/${ownerId}`)
+      .set("Authorization", `Bearer ${adminToken}`);
+
+    deleteSessions.mockRestore();
+
+    const withDeleted = { withDeleted: true };
+    const user = await User.findById(ownerId).setOptions(withDeleted);
+    const bootcamp = await Bootcamp.findById(bootcampId).setOptions(
+      withDeleted
+    );
+    const course = await Course.findById(courseId).setOptions(withDeleted);
+
+    //Assertions
+    expect(response.status).toBe(500);
+    expect(user).not.toBeNull();
+    expect(bootcamp).not.toBeNull();
+    expect(course).not.toBeNull();
+    expect(await getStorage().get(photoKey)).not.toBeNull();
+  });
+
+  //DELETE Request from the trash removes everything the user owned
+  it("should permanently delete the user with their content and files", async () => {
+    const response = await supertest(server)
+      .delete(`/api/v1/trash/users/${ownerId}`)
+      .set("Authorization", `Bearer ${adminToken}`);
+
+    const withDeleted = { withDeleted: true };
+    const sharedOrganization = await Organization.findById(
+      sharedOrganizationId
+    );
+
+    //Assertions
+    expect(response.status).toBe(200);
+    expect(await User.findById(ownerId).setOptions(withDeleted)).toBeNull();
+    expect(
+      await Bootcamp.findById(bootcampId).setOptions(withDeleted)
+    ).toBeNull();
+    expect(await Course.findById(courseId).setOptions(withDeleted)).toBeNull();
+    expect(await Review.findById(reviewId).setOptions(withDeleted)).toBeNull();
+    expect(await Session.countDocuments({ user: ownerId })).toBe(0);
+    expect(await getStorage().get(photoKey)).toBeNull();
+
+    //The personal organization is gone, the shared one keeps its other owner
+    expect(await Organization.findById(organizationId)).toBeNull();
+    expect(sharedOrganization.getRole(ownerId)).toBeUndefined();
+    expect(sharedOrganization.getRole(coOwnerId)).toBe("owner");
+  });
+
+  //Data left behind by deletes before the cascade existed
+  it("should clean up orphaned courses, reviews and files", async () => {
+    const missingBootcampId = new mongoose.Types.ObjectId();
+
+    const course = await Course.create({
+      title: "Orphaned Course",
+      description: "A course of a bootcamp which no longer exists",
+      weeks: 4,
+      tuition: 1000,
+      minimumSkill: "beginner",
+      bootcamp: missingBootcampId,
+      user: coOwnerId,
+    });
+    const review = await Review.create({
+      title: "Orphaned Review",
+      text: "A review of a bootcamp which no longer exists",
+      rating: 5,
+      bootcamp: missingBootcampId,
+      user: coOwnerId,
+    });
+    const fileKey = `bootcamps/${missingBootcampId}/orphan_card.jpg`;
+    await getStorage().put(fileKey, Buffer.from("photo"), "image/jpeg");
+
+    const orphans = await cleanupOrphans();
+
+    const withDeleted = { withDeleted: true };
+
+    //Assertions
+    expect(orphans.courses.map(String)).toContain(course._id.toString());
+    expect(orphans.files).toContain(fileKey);
+    expect(
+      await Course.findById(course._id).setOptions(withDeleted)
+    ).toBeNull();
+    expect(
+      await Review.findById(review._id).setOptions(withDeleted)
+    ).toBeNull();
+    expect(await getStorage().get(fileKey)).toBeNull();
+  });
+});
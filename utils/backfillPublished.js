@@ -0,0 +1,82 @@
+//Run from the command line: load env vars before the models (config/roles.js reads ROLES_CONFIG when it is loaded)
+if (require.main === module) {
+  require("dotenv").config({ path: "./config/config.env" });
+}
+
+const Bootcamp = require("../models/Bootcamp");
+const User = require("../models/User");
+
+//Bootcamps created before the publishing workflow have no status, and their owners were never verified
+//Without this they are hidden from the listings, search and suggestions, so it runs once after the upgrade
+//Run with: npm run backfill (Add -- --dry-run to only count what would change)
+
+//Documents in the trash are updated as well, so they are still public when they are restored
+const withDeleted = { withDeleted: true };
+
+const backfillPublished = async ({ dryRun = false } = {}) => {
+  const legacy = { status: { $exists: false } };
+
+  const ownerIds = await Bootcamp.distinct("user", legacy).setOptions(
+    withDeleted
+  );
+  const unverified = {
+    _id: { $in: ownerIds },
+    isVerifiedPublisher: { $ne: true },
+  };
+
+  if (dryRun) {
+    return {
+      bootcamps: await Bootcamp.countDocuments(legacy).setOptions(withDeleted),
+      publishers: await User.countDocuments(unverified).setOptions(withDeleted),
+    };
+  }
+
+  //They were public until now, so they count as published since they were created
+  const bootcamps = await Bootcamp.updateMany(
+    legacy,
+    [
+      {
+        $set: {
+          status: "published",
+          publisherVerified: true,
+          publishedAt: "$createdAt",
+        },
+      },
+    ],
+    withDeleted
+  );
+
+  const publishers = await User.updateMany(
+    unverified,
+    { isVerifiedPublisher: true },
+    withDeleted
+  );
+
+  return {
+    bootcamps: bootcamps.modifiedCount,
+    publishers: publishers.modifiedCount,
+  };
+};
+
+//Run from the command line
+if (require.main === module) {
+  const connectDB = require("../config/db");
+  const dryRun = process.argv.includes("--dry-run");
+
+  connectDB()
+    .then(() => backfillPublished({ dryRun }))
+    .then((counts) => {
+      Object.entries(counts).forEach(([name, count]) => {
+        console.log(
+          `${dryRun ? "Found" : "Published"} ${count} existing ${name}`
+        );
+      });
+      process.exit();
+    })
+    .catch((error) => {
+      console.log(error);
+      process.exit(1);
+    });
+}
+
+module.exports = backfillPublished;
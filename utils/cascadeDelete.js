@@ -0,0 +1,240 @@
+const mongoose = require("mongoose");
+const ErrorResponse = require("./errorResponse");
+const Bootcamp = require("../models/Bootcamp");
+const Course = require("../models/Course");
+const Review = require("../models/Review");
+const Revision = require("../models/Revision");
+const User = require("../models/User");
+const Session = require("../models/Session");
+const ApiKey = require("../models/ApiKey");
+const PublisherApplication = require("../models/PublisherApplication");
+const { imageFiles } = require("./images");
+const { getStorage } = require("./storage");
+const Organization = require("../models/Organization");
+const Upload = require("../models/Upload");
+
+//Permanently delete documents together with everything that belongs to them
+//The deletes run in a MongoDB transaction (MongoDB has to run as a replica set), so nothing is left behind half deleted
+//Uploaded files can not be part of the transaction, they are removed from the storage once it has been committed
+
+//Documents in the trash are deleted as well
+const withDeleted = { withDeleted: true };
+
+//Find the ids of the documents matching a filter
+const findIds = async (Model, filter, session) => {
+  const docs = await Model.find(filter, "_id")
+    .setOptions(withDeleted)
+    .session(session);
+
+  return docs.map((doc) => doc._id);
+};
+
+//Delete reviews, returns the bootcamps whose average rating changed
+const deleteReviews = async (filter, session) => {
+  const bootcampIds = await Review.distinct("bootcamp", filter)
+    .setOptions(withDeleted)
+    .session(session);
+
+  await Review.deleteMany(filter, { session });
+
+  return { files: [], bootcampIds };
+};
+
+//Delete courses with their revision history, returns the bootcamps whose average cost changed
+const deleteCourses = async (filter, session) => {
+  const courseIds = await findIds(Course, filter, session);
+  const bootcampIds = await Course.distinct("bootcamp", filter)
+    .setOptions(withDeleted)
+    .session(session);
+
+  await Revision.deleteMany(
+    { resourceType: "Course", resource: { $in: courseIds } },
+    { session }
+  );
+  await Course.deleteMany({ _id: { $in: courseIds } }, { session });
+
+  return { files: [], bootcampIds };
+};
+
+//Delete bootcamps with their courses, reviews, revision history and images
+const deleteBootcamps = async (filter, session) => {
+  const bootcamps = await Bootcamp.find(filter, "photo images")
+    .setOptions(withDeleted)
+    .session(session);
+  const bootcampIds = bootcamps.map((bootcamp) => bootcamp._id);
+
+  await deleteCourses({ bootcamp: { $in: bootcampIds } }, session);
+  await deleteReviews({ bootcamp: { $in: bootcampIds } }, session);
+  await Revision.deleteMany(
+    { resourceType: "Bootcamp", resource: { $in: bootcampIds } },
+    { session }
+  );
+  await Bootcamp.deleteMany({ _id: { $in: bootcampIds } }, { session });
+
+  //The photo is one of the gallery images, except for photos uploaded before the gallery existed
+  const files = bootcamps.flatMap((bootcamp) => [
+    ...new Set(
+      [bootcamp.photo, ...bootcamp.images.flatMap(imageFiles)].filter(
+        (file) => file && file !== "no-photo.jpg"
+      )
+    ),
+  ]);
+
+  return { files, bootcampIds: [] };
+};
+
+//Refuse to delete the last owners of organizations with other members, an owner has to be appointed first
+const checkOwnersLeft = async (userIds, session) => {
+  const organizations = await Organization.findLeftWithoutOwner(
+    userIds,
+    session
+  );
+
+  if (organizations.length > 0) {
+    throw new ErrorResponse(
+      `Organization ${organizations
+        .map((organization) => organization._id)
+        .join(
+          ", "
+        )} would be left without an owner, please make another member an owner first`,
+      400
+    );
+  }
+};
+
+//Keep the bootcamps of organizations that have other owners: they are handed over to one of the remaining owners,
+//the courses the users added to bootcamps which stay belong to the owner of the bootcamp from now on
+const handOverBootcamps = async (userIds, session) => {
+  const organizations = await Organization.find({
+    "members.user": { $in: userIds },
+  }).session(session);
+
+  for (const organization of organizations) {
+    const owner = organization.members.find(
+      (member) =>
+        member.role === "owner" &&
+        !userIds.some((userId) => userId.equals(member.user))
+    );
+
+    if (owner) {
+      await Bootcamp.updateMany(
+        { organization: organization._id, user: { $in: userIds } },
+        { user: owner.user },
+        { session }
+      );
+    }
+  }
+
+  const bootcampIds = await Course.distinct("bootcamp", {
+    user: { $in: userIds },
+  }).session(session);
+  const kept = await Bootcamp.find(
+    { _id: { $in: bootcampIds }, user: { $nin: userIds } },
+    "user"
+  ).session(session);
+
+  for (const bootcamp of kept) {
+    await Course.updateMany(
+      { bootcamp: bootcamp._id, user: { $in: userIds } },
+      { user: bootcamp.user },
+      { session }
+    );
+  }
+
+  return { files: [], bootcampIds: [] };
+};
+
+//Delete users with everything they own (Bootcamps, courses, reviews, sessions, API keys, publisher applications and uploads) and their memberships
+//Bootcamps of organizations with other owners are handed over instead, organizations without members are deleted
+const deleteUsers = async (filter, session) => {
+  const userIds = await findIds(User, filter, session);
+  const owned = { user: { $in: userIds } };
+
+  await checkOwnersLeft(userIds, session);
+  await handOverBootcamps(userIds, session);
+
+  const bootcamps = await deleteBootcamps(owned, session);
+  const courses = await deleteCourses(owned, session);
+  const reviews = await deleteReviews(owned, session);
+
+  await Session.deleteMany(owned, { session });
+  await ApiKey.deleteMany(owned, { session });
+  await PublisherApplication.deleteMany(owned, { session });
+
+  //Files still waiting in the quarantine are removed with the uploads
+  const uploads = await Upload.find(owned, "key").session(session);
+  await Upload.deleteMany(owned, { session });
+
+  const organizationIds = await findIds(
+    Organization,
+    { "members.user": { $in: userIds } },
+    session
+  );
+  await Organization.updateMany(
+    { _id: { $in: organizationIds } },
+    { $pull: { members: { user: { $in: userIds } } } },
+    { session }
+  );
+  await Organization.deleteMany(
+    { _id: { $in: organizationIds }, members: { $size: 0 } },
+    { session }
+  );
+  await User.deleteMany({ _id: { $in: userIds } }, { session });
+
+  return {
+    files: [
+      ...bootcamps.files,
+      ...uploads.map((upload) => upload.key).filter(Boolean),
+    ],
+    bootcampIds: [...courses.bootcampIds, ...reviews.bootcampIds],
+  };
+};
+
+//Remove an uploaded file by its storage key (A missing file is not an error)
+const removeFile = async (key) => {
+  try {
+    await getStorage().remove(key);
+  } catch (error) {
+    console.log(error);
+  }
+};
+
+//Run deletes in one transaction, then remove the files and update the averages of the remaining bootcamps
+//steps is a list of functions returning { files, bootcampIds }, e.g. [(session) => deleteBootcamps({ _id: id }, session)]
+const runCascade = async (steps) => {
+  let results = [];
+
+  //The callback can be retried on transient errors, so results are collected again every time
+  await mongoose.connection.transaction(async (session) => {
+    results = [];
+
+    for (const step of steps) {
+      results.push(await step(session));
+    }
+  });
+
+  const files = results.flatMap((result) => result.files);
+  const bootcampIds = results.flatMap((result) => result.bootcampIds);
+
+  await Promise.all(files.map(removeFile));
+
+  const remaining = await Bootcamp.find({ _id: { $in: bootcampIds } }, "_id");
+
+  for (const bootcamp of remaining) {
+    await Course.getAverageCost(bootcamp._id);
+    await Review.getAverageRating(bootcamp._id);
+  }
+
+  return files;
+};
+
+module.exports = {
+  checkOwnersLeft,
+  handOverBootcamps,
+  deleteBootcamps,
+  deleteCourses,
+  deleteReviews,
+  deleteUsers,
+  removeFile,
+  runCascade,
+};
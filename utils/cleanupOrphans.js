@@ -0,0 +1,146 @@
+//Run from the command line: load env vars before the models (config/roles.js reads ROLES_CONFIG when it is loaded)
+if (require.main === module) {
+  require("dotenv").config({ path: "./config/config.env" });
+}
+
+const Bootcamp = require("../models/Bootcamp");
+const Course = require("../models/Course");
+const Review = require("../models/Review");
+const Revision = require("../models/Revision");
+const User = require("../models/User");
+const Session = require("../models/Session");
+const ApiKey = require("../models/ApiKey");
+const PublisherApplication = require("../models/PublisherApplication");
+const {
+  deleteBootcamps,
+  deleteCourses,
+  deleteReviews,
+  removeFile,
+  runCascade,
+} = require("./cascadeDelete");
+const { getStorage } = require("./storage");
+
+//Find and delete data that was left behind by deletes before the cascade existed
+//(e.g. reviews of deleted bootcamps, bootcamps of deleted users or photos of bootcamps which no longer exist)
+//Run with: npm run cleanup (Add -- --dry-run to only list what would be deleted)
+
+//Find documents whose reference points to a document that does not exist (Documents in the trash still exist)
+const findOrphans = async (Model, localField, Parent, match = {}) => {
+  const orphans = await Model.aggregate([
+    { $match: match },
+    {
+      $lookup: {
+        from: Parent.collection.name,
+        localField,
+        foreignField: "_id",
+        as: "parent",
+      },
+    },
+    { $match: { parent: { $size: 0 } } },
+    { $project: { _id: 1 } },
+  ]).option({ withDeleted: true });
+
+  return orphans.map((orphan) => orphan._id);
+};
+
+//Photos and gallery images in the storage of bootcamps which no longer exist
+const findOrphanFiles = async () => {
+  let keys;
+
+  try {
+    keys = await getStorage().list();
+  } catch (error) {
+    console.log(error);
+    return [];
+  }
+
+  const bootcampIds = (
+    await Bootcamp.distinct("_id").setOptions({ withDeleted: true })
+  ).map((id) => id.toString());
+
+  //Keys start with the bootcamp id (bootcamps/<id>/..., or photo_<id>.jpg before the gallery existed)
+  return keys.filter((key) => {
+    const match = key.match(/^(?:bootcamps\/|photo_)([0-9a-f]{24})[./]/);
+    return match && !bootcampIds.includes(match[1]);
+  });
+};
+
+const cleanupOrphans = async ({ dryRun = false } = {}) => {
+  const orphans = {
+    bootcamps: await findOrphans(Bootcamp, "user", User),
+    courses: [
+      ...(await findOrphans(Course, "bootcamp", Bootcamp)),
+      ...(await findOrphans(Course, "user", User)),
+    ],
+    reviews: [
+      ...(await findOrphans(Review, "bootcamp", Bootcamp)),
+      ...(await findOrphans(Review, "user", User)),
+    ],
+    revisions: [
+      ...(await findOrphans(Revision, "resource", Bootcamp, {
+        resourceType: "Bootcamp",
+      })),
+      ...(await findOrphans(Revision, "resource", Course, {
+        resourceType: "Course",
+      })),
+    ],
+    sessions: await findOrphans(Session, "user", User),
+    apiKeys: await findOrphans(ApiKey, "user", User),
+    publisherApplications: await findOrphans(
+      PublisherApplication,
+      "user",
+      User
+    ),
+    files: await findOrphanFiles(),
+  };
+
+  if (dryRun) {
+    return orphans;
+  }
+
+  await runCascade([
+    (session) => deleteBootcamps({ _id: { $in: orphans.bootcamps } }, session),
+    (session) => deleteCourses({ _id: { $in: orphans.courses } }, session),
+    (session) => deleteReviews({ _id: { $in: orphans.reviews } }, session),
+    async (session) => {
+      const ids = (list) => ({ _id: { $in: list } });
+
+      await Revision.deleteMany(ids(orphans.revisions), { session });
+      await Session.deleteMany(ids(orphans.sessions), { session });
+      await ApiKey.deleteMany(ids(orphans.apiKeys), { session });
+      await PublisherApplication.deleteMany(
+        ids(orphans.publisherApplications),
+        { session }
+      );
+
+      return { files: [], bootcampIds: [] };
+    },
+  ]);
+
+  await Promise.all(orphans.files.map(removeFile));
+
+  return orphans;
+};
+
+//Run from the command line
+if (require.main === module) {
+  const connectDB = require("../config/db");
+  const dryRun = process.argv.includes("--dry-run");
+
+  connectDB()
+    .then(() => cleanupOrphans({ dryRun }))
+    .then((orphans) => {
+      Object.entries(orphans).forEach(([name, list]) => {
+        console.log(
+          `${dryRun ? "Found" : "Deleted"} ${list.length} orphaned ${name}`
+        );
+      });
+      process.exit();
+    })
+    .catch((error) => {
+      console.log(error);
+      process.exit(1);
+    });
+}
+
+module.exports = cleanupOrphans;
@@ -0,0 +1,39 @@
+const crypto = require("crypto");
+
+//Double-submit CSRF tokens for cookie based auth
+//The token is set in a cookie that only our own front end can read, and it has to be echoed back in the X-CSRF-Token header
+//A cross-site request sends the cookies automatically, but can not read them to set the header
+
+const SAFE_METHODS = ["GET", "HEAD", "OPTIONS"];
+
+//Generate a new CSRF token
+const generateCsrfToken = () => crypto.randomBytes(32).toString("hex");
+
+//Check the X-CSRF-Token header against the csrfToken cookie (Safe methods do not need one)
+const csrfTokenMatches = (req) => {
+  if (SAFE_METHODS.includes(req.method)) {
+    return true;
+  }
+
+  const cookieToken = req.cookies.csrfToken;
+  const headerToken = req.get("x-csrf-token");
+
+  if (typeof cookieToken !== "string" || typeof headerToken !== "string") {
+    return false;
+  }
+
+  //Compare the bytes, non-ASCII characters make a string longer in bytes than in characters
+  const cookieBuffer = Buffer.from(cookieToken);
+  const headerBuffer = Buffer.from(headerToken);
+
+  if (
+    cookieBuffer.length === 0 ||
+    cookieBuffer.length !== headerBuffer.length
+  ) {
+    return false;
+  }
+
+  return crypto.timingSafeEqual(cookieBuffer, headerBuffer);
+};
+
+module.exports = { generateCsrfToken, csrfTokenMatches };
@@ -0,0 +1,36 @@
+//Build a short, human readable device description from a user agent string
+//e.g. "Chrome on Windows", "Safari on iOS", "PostmanRuntime"
+
+const browsers = [
+  ["Edge", /Edg\//],
+  ["Opera", /OPR\//],
+  ["Chrome", /Chrome\//],
+  ["Firefox", /Firefox\//],
+  ["Safari", /Safari\//],
+];
+
+const platforms = [
+  ["Android", /Android/],
+  ["iOS", /iPhone|iPad|iPod/],
+  ["Windows", /Windows/],
+  ["macOS", /Mac OS X/],
+  ["Linux", /Linux/],
+];
+
+const getDevice = (userAgent) => {
+  if (!userAgent) {
+    return "Unknown device";
+  }
+
+  const browser = browsers.find(([, regex]) => regex.test(userAgent));
+  const platform = platforms.find(([, regex]) => regex.test(userAgent));
+
+  //Non-browser clients (scripts, Postman, curl) are shown by their product name
+  if (!browser) {
+    return userAgent.split(" ")[0].split("/")[0];
+  }
+
+  return platform ? `${browser[0]} on ${platform[0]}` : browser[0];
+};
+
+module.exports = getDevice;
@@ -0,0 +1,105 @@
+//Snippets of the matched text for the search results (See controllers/search.js)
+
+//Words and "quoted phrases" of a MongoDB $search string, without the excluded (-word) ones
+const searchTerms = (search) => {
+  const terms = [];
+  const pattern = /(-?)"([^"]*)"|(-?)(\S+)/g;
+  let match;
+
+  while ((match = pattern.exec(search))) {
+    const [, phraseNot, phrase, wordNot, word] = match;
+
+    if (phrase !== undefined && !phraseNot && phrase.trim()) {
+      terms.push(phrase.trim());
+    } else if (word !== undefined && !wordNot) {
+      terms.push(word);
+    }
+  }
+
+  return terms;
+};
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+const escapeHtml = (text) =>
+  text.replace(
+    /[&<>"']/g,
+    (char) =>
+      ({
+        "&": "&amp;",
+        "<": "&lt;",
+        ">": "&gt;",
+        '"': "&quot;",
+        "'": "&#39;",
+      }[char])
+  );
+
+//MongoDB matches stemmed words ("courses" finds "course"), so the common endings are left out of the words
+const stem = (word) => {
+  const stemmed = word.replace(/(ing|ed|es|s)$/i, "");
+  return stemmed.length >= 3 ? stemmed : word;
+};
+
+//Regular expression finding the terms in a text, undefined without terms
+const termPattern = (terms) => {
+  const parts = terms
+    .map((term) =>
+      term.includes(" ")
+        ? term.split(/\s+/).map(escapeRegExp).join("\\s+")
+        : `${escapeRegExp(stem(term))}[\\p{L}\\p{N}]*`
+    )
+    .filter(Boolean);
+
+  if (parts.length === 0) {
+    return undefined;
+  }
+
+  return new RegExp(`(?<![\\p{L}\\p{N}])(?:${parts.join("|")})`, "giu");
+};
+
+//Cut a snippet of about `length` characters around the first match, with the matches in <mark> tags
+//The text is HTML escaped, returns undefined when none of the terms is in the text
+const highlight = (text, terms, length = 160) => {
+  const pattern = termPattern(terms);
+
+  if (!text || !pattern) {
+    return undefined;
+  }
+
+  const first = pattern.exec(text);
+  pattern.lastIndex = 0;
+
+  if (!first) {
+    return undefined;
+  }
+
+  //Start a third of the snippet before the match, on the beginning of a word
+  let start = Math.max(0, first.index - Math.floor(length / 3));
+  let end = Math.min(text.length, start + length);
+
+  if (start > 0) {
+    const space = text.indexOf(" ", start);
+    start = space !== -1 && space < first.index ? space + 1 : start;
+  }
+
+  if (end < text.length) {
+    const space = text.lastIndexOf(" ", end);
+    end = space > first.index + first[0].length ? space : end;
+  }
+
+  const snippet = text.slice(start, end);
+  let result = "";
+  let last = 0;
+
+  for (const match of snippet.matchAll(pattern)) {
+    result += escapeHtml(snippet.slice(last, match.index));
+    result += `<mark>${escapeHtml(match[0])}</mark>`;
+    last = match.index + match[0].length;
+  }
+
+  result += escapeHtml(snippet.slice(last));
+
+  return `${start > 0 ? "…" : ""}${result}${end < text.length ? "…" : ""}`;
+};
+
+module.exports = { searchTerms, highlight };
@@ -0,0 +1,138 @@
+const mongoose = require("mongoose");
+const sharp = require("sharp");
+const ErrorResponse = require("./errorResponse");
+const { getStorage } = require("./storage");
+
+//Resized versions stored for every bootcamp image
+//thumb: square for galleries, card: listings and the cover photo, hero: large header of the bootcamp page
+const variants = {
+  thumb: { width: 200, height: 200, fit: "cover" },
+  card: { width: 600, height: 400, fit: "cover" },
+  hero: { width: 1600, height: 900, fit: "inside" },
+};
+
+//File signatures of the accepted formats (The mimetype is sent by the client, so it can not be trusted)
+const signatures = [
+  { type: "jpeg", bytes: [0xff, 0xd8, 0xff] },
+  { type: "png", bytes: [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a] },
+  { type: "gif", bytes: [0x47, 0x49, 0x46, 0x38] },
+  { type: "webp", bytes: [0x52, 0x49, 0x46, 0x46], offset: 8, tag: "WEBP" },
+];
+
+//Get the image type from the first bytes of the file, undefined for anything else
+const detectImageType = (buffer) => {
+  const signature = signatures.find(
+    ({ bytes, offset, tag }) =>
+      buffer.length >= bytes.length &&
+      bytes.every((byte, index) => buffer[index] === byte) &&
+      (!tag || buffer.toString("ascii", offset, offset + tag.length) === tag)
+  );
+
+  return signature ? signature.type : undefined;
+};
+
+//Re-encode the image into the variants as JPEG
+//Metadata (EXIF with e.g. GPS positions) is not copied, the orientation is applied to the pixels first
+const processImage = async (buffer) => {
+  const image = sharp(buffer, { failOn: "error" }).rotate();
+  const { width, height, orientation } = await image.metadata();
+
+  //Orientations 5 to 8 are rotated by 90 degrees
+  const rotated = orientation >= 5;
+
+  const files = {};
+
+  for (const [name, size] of Object.entries(variants)) {
+    files[name] = await image
+      .clone()
+      .resize({ ...size, withoutEnlargement: true })
+      .flatten({ background: "#ffffff" })
+      .jpeg({ quality: 80, mozjpeg: true })
+      .toBuffer();
+  }
+
+  return {
+    width: rotated ? height : width,
+    height: rotated ? width : height,
+    files,
+  };
+};
+
+//Check, re-encode and store a scanned image, then add it to the gallery of the bootcamp and return it
+//options.cover makes it the cover photo (The first image always is)
+//Uploads reach it through the quarantine (See utils/uploads.js), which also checks the size
+const addImage = async (bootcamp, file, { caption, cover } = {}) => {
+  const Bootcamp = mongoose.model("Bootcamp");
+
+  //Bootcamps can have MAX_BOOTCAMP_IMAGES images (Defaults to 10)
+  const maxImages = parseInt(process.env.MAX_BOOTCAMP_IMAGES, 10) || 10;
+
+  if (bootcamp.images.length >= maxImages) {
+    throw new ErrorResponse(
+      `A bootcamp can not have more than ${maxImages} images`,
+      400
+    );
+  }
+
+  if (!detectImageType(file.data)) {
+    throw new ErrorResponse(
+      `Please upload a JPEG, PNG, GIF or WebP image file`,
+      400
+    );
+  }
+
+  //Check the caption before any file is written
+  const image = bootcamp.images.create({ caption });
+
+  try {
+    image.validateSync();
+  } catch (error) {
+    throw new ErrorResponse(error.message, 400);
+  }
+
+  let processed;
+
+  try {
+    processed = await processImage(file.data);
+  } catch (error) {
+    throw new ErrorResponse(`Please upload a valid image file`, 400);
+  }
+
+  image.width = processed.width;
+  image.height = processed.height;
+
+  //The variants store the storage keys of the files
+  for (const [name, buffer] of Object.entries(processed.files)) {
+    const key = `bootcamps/${bootcamp._id}/${image._id}_${name}.jpg`;
+
+    await getStorage().put(key, buffer, "image/jpeg");
+    image.variants[name] = key;
+  }
+
+  const update = { $push: { images: image.toObject() } };
+
+  if (cover || !bootcamp.coverImage) {
+    update.$set = { coverImage: image._id, photo: image.variants.card };
+  }
+
+  //Not saving the document, the save hooks would geocode the address again
+  const updated = await Bootcamp.findByIdAndUpdate(bootcamp._id, update, {
+    new: true,
+  });
+
+  return updated.images.id(image._id);
+};
+
+//Storage keys of all variants of an image
+const imageFiles = (image) =>
+  Object.keys(variants)
+    .map((name) => image.variants && image.variants[name])
+    .filter(Boolean);
+
+module.exports = {
+  variants,
+  detectImageType,
+  processImage,
+  addImage,
+  imageFiles,
+};
@@ -0,0 +1,12 @@
+const sendEmail = require("./sendEmail");
+
+//Send a notification email without failing the request (The change it is about has already been saved)
+const notify = async (email, subject, message) => {
+  try {
+    await sendEmail({ email, subject, message });
+  } catch (error) {
+    console.log(error);
+  }
+};
+
+module.exports = notify;
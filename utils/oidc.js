@@ -0,0 +1,158 @@
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+
+//OpenID Connect login (Authorization code flow with PKCE)
+//Providers are configured in config/config.env:
+//  OIDC_PROVIDERS=google,mock              (Names of the enabled providers)
+//  OIDC_<NAME>_ISSUER=https://accounts.google.com
+//  OIDC_<NAME>_CLIENT_ID=...
+//  OIDC_<NAME>_CLIENT_SECRET=...
+//  OIDC_<NAME>_REDIRECT_URI=...            (Optional, defaults to /api/v1/auth/oidc/<name>/callback on this server)
+//  OIDC_<NAME>_SCOPE=openid email profile  (Optional)
+
+//Discovery documents and signing keys by issuer
+const metadataCache = {};
+const jwksCache = {};
+
+//Get the settings of an enabled provider, or null if it is not configured
+const getProvider = (name) => {
+  const enabled = (process.env.OIDC_PROVIDERS || "")
+    .split(",")
+    .map((provider) => provider.trim().toLowerCase());
+
+  if (!name || !enabled.includes(name.toLowerCase())) {
+    return null;
+  }
+
+  const prefix = `OIDC_${name.toUpperCase()}_`;
+
+  if (!process.env[`${prefix}ISSUER`] || !process.env[`${prefix}CLIENT_ID`]) {
+    return null;
+  }
+
+  return {
+    name: name.toLowerCase(),
+    issuer: process.env[`${prefix}ISSUER`].replace(/\/$/, ""),
+    clientId: process.env[`${prefix}CLIENT_ID`],
+    clientSecret: process.env[`${prefix}CLIENT_SECRET`],
+    redirectUri: process.env[`${prefix}REDIRECT_URI`],
+    scope: process.env[`${prefix}SCOPE`] || "openid email profile",
+  };
+};
+
+const fetchJson = async (url, options) => {
+  const response = await fetch(url, options);
+
+  if (!response.ok) {
+    throw new Error(`OIDC request to ${url} failed with ${response.status}`);
+  }
+
+  return response.json();
+};
+
+//Load the provider's discovery document
+const discover = async (provider) => {
+  if (!metadataCache[provider.issuer]) {
+    metadataCache[provider.issuer] = await fetchJson(
+      `${provider.issuer}/.well-known/openid-configuration`
+    );
+  }
+
+  return metadataCache[provider.issuer];
+};
+
+//Random values for state, nonce and the PKCE code verifier
+const randomValue = () => crypto.randomBytes(32).toString("base64url");
+
+//PKCE code challenge (S256) of a code verifier
+const codeChallenge = (codeVerifier) =>
+  crypto.createHash("sha256").update(codeVerifier).digest("base64url");
+
+//Build the URL the user is redirected to in order to log in at the provider
+const getAuthorizationUrl = async (
+  provider,
+  { redirectUri, state, nonce, codeVerifier }
+) => {
+  const metadata = await discover(provider);
+
+  const params = new URLSearchParams({
+    response_type: "code",
+    client_id: provider.clientId,
+    redirect_uri: redirectUri,
+    scope: provider.scope,
+    state: state,
+    nonce: nonce,
+    code_challenge: codeChallenge(codeVerifier),
+    code_challenge_method: "S256",
+  });
+
+  return `${metadata.authorization_endpoint}?${params}`;
+};
+
+//Get the public key the ID token was signed with (Keys are refetched once if the key ID is unknown, e.g. after key rotation)
+const getSigningKey = async (provider, kid) => {
+  const metadata = await discover(provider);
+
+  const findKey = () =>
+    jwksCache[provider.issuer].keys.find((key) => !kid || key.kid === kid);
+
+  if (!jwksCache[provider.issuer] || !findKey()) {
+    jwksCache[provider.issuer] = await fetchJson(metadata.jwks_uri);
+  }
+
+  const jwk = findKey();
+
+  if (!jwk) {
+    throw new Error(`No signing key found for key ID ${kid}`);
+  }
+
+  return crypto.createPublicKey({ key: jwk, format: "jwk" });
+};
+
+//Exchange the authorization code and return the verified ID token claims
+const getClaims = async (
+  provider,
+  { code, redirectUri, nonce, codeVerifier }
+) => {
+  const metadata = await discover(provider);
+
+  const tokens = await fetchJson(metadata.token_endpoint, {
+    method: "POST",
+    headers: { "Content-Type": "application/x-www-form-urlencoded" },
+    body: new URLSearchParams({
+      grant_type: "authorization_code",
+      code: code,
+      redirect_uri: redirectUri,
+      client_id: provider.clientId,
+      client_secret: provider.clientSecret || "",
+      code_verifier: codeVerifier,
+    }),
+  });
+
+  if (!tokens.id_token) {
+    throw new Error("No ID token returned by the provider");
+  }
+
+  const { header } = jwt.decode(tokens.id_token, { complete: true }) || {};
+
+  if (!header) {
+    throw new Error("Invalid ID token");
+  }
+
+  const key = await getSigningKey(provider, header.kid);
+
+  const claims = jwt.verify(tokens.id_token, key, {
+    algorithms: ["RS256", "ES256"],
+    issuer: metadata.issuer,
+    audience: provider.clientId,
+  });
+
+  //Make sure the token was issued for this login attempt
+  if (claims.nonce !== nonce) {
+    throw new Error("ID token nonce does not match");
+  }
+
+  return claims;
+};
+
+module.exports = { getProvider, getAuthorizationUrl, getClaims, randomValue };
@@ -0,0 +1,107 @@
+const fs = require("fs");
+const path = require("path");
+const bcrypt = require("bcryptjs");
+
+//Password policy, configured in config/config.env:
+//  PASSWORD_MIN_LENGTH=8
+//  PASSWORD_REQUIRE_LOWERCASE=true
+//  PASSWORD_REQUIRE_UPPERCASE=true
+//  PASSWORD_REQUIRE_NUMBER=true
+//  PASSWORD_REQUIRE_SYMBOL=false
+//  PASSWORD_HISTORY=5          (Number of previous passwords which can not be reused, 0 to turn off)
+//  PASSWORD_CHECK_COMMON=true  (Check against the bundled list in config/commonPasswords.txt)
+
+let commonPasswords;
+
+//Load the list of common and breached passwords once
+const getCommonPasswords = () => {
+  if (!commonPasswords) {
+    commonPasswords = new Set(
+      fs
+        .readFileSync(
+          path.join(__dirname, "../config/commonPasswords.txt"),
+          "utf-8"
+        )
+        .split(/\r?\n/)
+        .map((line) => line.trim().toLowerCase())
+        .filter(Boolean)
+    );
+  }
+
+  return commonPasswords;
+};
+
+//Read a true/false setting
+const flag = (name, defaultValue) =>
+  process.env[name] === undefined ? defaultValue : process.env[name] === "true";
+
+const getPolicy = () => {
+  const history = parseInt(process.env.PASSWORD_HISTORY, 10);
+
+  return {
+    minLength: parseInt(process.env.PASSWORD_MIN_LENGTH, 10) || 8,
+    requireLowercase: flag("PASSWORD_REQUIRE_LOWERCASE", true),
+    requireUppercase: flag("PASSWORD_REQUIRE_UPPERCASE", true),
+    requireNumber: flag("PASSWORD_REQUIRE_NUMBER", true),
+    requireSymbol: flag("PASSWORD_REQUIRE_SYMBOL", false),
+    history: isNaN(history) ? 5 : history,
+    checkCommon: flag("PASSWORD_CHECK_COMMON", true),
+  };
+};
+
+//Check a new password against the policy and return a message for every rule it breaks
+//Pass the user (With password and passwordHistory selected) to also check for reuse
+const checkPassword = async (password, user) => {
+  const policy = getPolicy();
+  const errors = [];
+
+  if (typeof password !== "string" || !password) {
+    return ["Please add a password"];
+  }
+
+  if (password.length < policy.minLength) {
+    errors.push(
+      `Password must be at least ${policy.minLength} characters long`
+    );
+  }
+
+  if (policy.requireLowercase && !/[a-z]/.test(password)) {
+    errors.push("Password must contain a lowercase letter");
+  }
+
+  if (policy.requireUppercase && !/[A-Z]/.test(password)) {
+    errors.push("Password must contain an uppercase letter");
+  }
+
+  if (policy.requireNumber && !/[0-9]/.test(password)) {
+    errors.push("Password must contain a number");
+  }
+
+  if (policy.requireSymbol && !/[^a-zA-Z0-9]/.test(password)) {
+    errors.push("Password must contain a symbol");
+  }
+
+  if (policy.checkCommon && getCommonPasswords().has(password.toLowerCase())) {
+    errors.push("Password is too common, please choose another one");
+  }
+
+  //Compare with the current password and the previous ones
+  if (user && policy.history > 0) {
+    const hashes = [user.password, ...(user.passwordHistory || [])]
+      .filter(Boolean)
+      .slice(0, policy.history);
+
+    for (const hash of hashes) {
+      if (await bcrypt.compare(password, hash)) {
+        errors.push(
+          `Password can not be the same as one of your last ${policy.history} passwords`
+        );
+        break;
+      }
+    }
+  }
+
+  return errors;
+};
+
+module.exports = { checkPassword, getPolicy };
@@ -0,0 +1,83 @@
+//Run from the command line: load env vars before the models (config/roles.js reads ROLES_CONFIG when it is loaded)
+if (require.main === module) {
+  require("dotenv").config({ path: "./config/config.env" });
+}
+
+const Bootcamp = require("../models/Bootcamp");
+const Course = require("../models/Course");
+const Review = require("../models/Review");
+const User = require("../models/User");
+const Organization = require("../models/Organization");
+const {
+  deleteBootcamps,
+  deleteCourses,
+  deleteReviews,
+  deleteUsers,
+  runCascade,
+} = require("./cascadeDelete");
+
+//Permanently delete everything that has been in the trash for longer than TRASH_RETENTION days (Defaults to 30)
+//Runs once a day while the server is running, or manually with: npm run purge
+const purgeTrash = async () => {
+  const retentionDays = parseInt(process.env.TRASH_RETENTION, 10) || 30;
+  const cutoff = new Date(Date.now() - retentionDays * 24 * 60 * 60 * 1000);
+  const expired = { deletedAt: { $lte: cutoff } };
+
+  //The last owners of organizations with other members stay in the trash until another owner has been appointed
+  const expiredUserIds = await User.distinct("_id", expired).setOptions({
+    withDeleted: true,
+  });
+  const ownerless = await Organization.findLeftWithoutOwner(expiredUserIds);
+  const keptUserIds = ownerless.flatMap((organization) =>
+    organization.members
+      .filter((member) => member.role === "owner")
+      .map((member) => member.user)
+  );
+  const expiredUsers = { ...expired, _id: { $nin: keptUserIds } };
+
+  if (ownerless.length > 0) {
+    console.log(
+      `Not purging the last owners of organizations ${ownerless
+        .map((organization) => organization._id)
+        .join(", ")}`
+    );
+  }
+
+  const purged = {};
+
+  for (const Model of [User, Bootcamp, Course, Review]) {
+    purged[Model.modelName] = await Model.countDocuments(
+      Model === User ? expiredUsers : expired
+    ).setOptions({
+      withDeleted: true,
+    });
+  }
+
+  //Parents first, so their children and files are removed with them
+  await runCascade([
+    (session) => deleteUsers(expiredUsers, session),
+    (session) => deleteBootcamps(expired, session),
+    (session) => deleteCourses(expired, session),
+    (session) => deleteReviews(expired, session),
+  ]);
+
+  return purged;
+};
+
+//Run from the command line
+if (require.main === module) {
+  const connectDB = require("../config/db");
+
+  connectDB()
+    .then(purgeTrash)
+    .then((purged) => {
+      console.log("Trash purged:", purged);
+      process.exit();
+    })
+    .catch((error) => {
+      console.log(error);
+      process.exit(1);
+    });
+}
+
+module.exports = purgeTrash;
@@ -0,0 +1,64 @@
+const net = require("net");
+
+//Scan files with a ClamAV daemon (clamd) using its INSTREAM command, configured in config/config.env:
+//  CLAMAV_HOST=127.0.0.1
+//  CLAMAV_PORT=3310
+//  CLAMAV_TIMEOUT=30000   (Milliseconds)
+const createClamavScanner = ({
+  host = process.env.CLAMAV_HOST || "127.0.0.1",
+  port = parseInt(process.env.CLAMAV_PORT, 10) || 3310,
+  timeout = parseInt(process.env.CLAMAV_TIMEOUT, 10) || 30000,
+} = {}) => ({
+  name: "clamav",
+
+  scan(buffer) {
+    return new Promise((resolve, reject) => {
+      const socket = net.createConnection({ host, port });
+      let response = "";
+
+      socket.setTimeout(timeout, () =>
+        socket.destroy(new Error("ClamAV scan timed out"))
+      );
+
+      //The file is sent in chunks, each with its length, and ends with an empty chunk
+      socket.on("connect", () => {
+        socket.write("zINSTREAM\0");
+
+        for (let offset = 0; offset < buffer.length; offset += 64 * 1024) {
+          const chunk = buffer.subarray(offset, offset + 64 * 1024);
+          const length = Buffer.alloc(4);
+          length.writeUInt32BE(chunk.length);
+
+          socket.write(length);
+          socket.write(chunk);
+        }
+
+        socket.end(Buffer.alloc(4));
+      });
+
+      socket.on("data", (data) => {
+        response += data.toString();
+      });
+
+      socket.on("error", reject);
+
+      //e.g. "stream: OK" or "stream: Eicar-Test-Signature FOUND"
+      socket.on("close", () => {
+        const result = response.replace(/\0/g, "").trim();
+
+        if (/: OK$/.test(result)) {
+          resolve({ clean: true });
+        } else if (/ FOUND$/.test(result)) {
+          resolve({
+            clean: false,
+            threat: result.replace(/^.*?: /, "").replace(/ FOUND$/, ""),
+          });
+        } else {
+          reject(new Error(`ClamAV: ${result || "No response"}`));
+        }
+      });
+    });
+  },
+});
+
+module.exports = createClamavScanner;
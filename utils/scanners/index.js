@@ -0,0 +1,36 @@
+const createStubScanner = require("./stub");
+const createClamavScanner = require("./clamav");
+
+//Scanner of uploaded files, chosen with UPLOAD_SCANNER (clamav or stub, defaults to stub)
+//scan(buffer) resolves to { clean, threat } and rejects when the file could not be scanned
+//The stub only detects the EICAR test file, production servers must use ClamAV (The server does not start with the stub)
+
+const scanners = {
+  stub: createStubScanner,
+  clamav: createClamavScanner,
+};
+
+let scanner;
+
+//Get the configured scanner (Created once)
+const getScanner = () => {
+  if (!scanner) {
+    const name = process.env.UPLOAD_SCANNER || "stub";
+
+    if (!scanners[name]) {
+      throw new Error(`Unknown UPLOAD_SCANNER ${name}`);
+    }
+
+    if (name === "stub" && process.env.NODE_ENV === "production") {
+      throw new Error(
+        "UPLOAD_SCANNER must be a real virus scanner (clamav) in production"
+      );
+    }
+
+    scanner = scanners[name]();
+  }
+
+  return scanner;
+};
+
+module.exports = { getScanner, createStubScanner, createClamavScanner };
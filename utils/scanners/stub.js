@@ -0,0 +1,17 @@
+//Scanner for development and tests, it only detects the EICAR test file (https://www.eicar.org)
+const eicar =
+  "X5O!P%@AP[4\\PZX54(P^)7CC)7}$EICAR-STANDARD-ANTIVIRUS-TEST-FILE!$H+H*";
+
+const createStubScanner = () => ({
+  name: "stub",
+
+  async scan(buffer) {
+    if (buffer.includes(eicar)) {
+      return { clean: false, threat: "Eicar-Test-Signature" };
+    }
+
+    return { clean: true };
+  },
+});
+
+module.exports = createStubScanner;
@@ -0,0 +1,119 @@
+const mongoose = require("mongoose");
+
+//Mongoose plugin for soft deletion
+//Deleted documents keep a deletedAt date and are left out of every query, until they are restored or purged (See utils/purgeTrash.js)
+//Queries can only include them with .setOptions({ withDeleted: true }) (A filter on deletedAt alone is not enough, it can come from the client)
+//options.cascade: children deleted and restored together with the document, e.g. [{ model: "Course", foreignField: "bootcamp" }]
+//options.onChange: called after the document was deleted or restored (e.g. to update averages), with the session of softDelete
+
+const filteredQueries = [
+  "countDocuments",
+  "distinct",
+  "find",
+  "findOne",
+  "findOneAndUpdate",
+  "updateMany",
+  "updateOne",
+];
+
+const softDelete = (schema, options = {}) => {
+  const cascade = options.cascade || [];
+
+  schema.add({
+    deletedAt: {
+      type: Date,
+      default: null,
+    },
+    deletedBy: {
+      type: mongoose.Schema.ObjectId,
+      ref: "User",
+    },
+    //The document whose deletion also deleted this one (Restored together)
+    deletedWith: mongoose.Schema.ObjectId,
+  });
+
+  schema.index({ deletedAt: 1 });
+
+  //Leave out deleted documents
+  schema.pre(filteredQueries, function () {
+    if (!this.getOptions().withDeleted) {
+      this.where({ deletedAt: null });
+    }
+  });
+
+  schema.pre("aggregate", function () {
+    if (!this.options.withDeleted) {
+      this.pipeline().unshift({ $match: { deletedAt: null } });
+    }
+  });
+
+  //Move the document and its children to the trash (Pass a session to do it in a transaction)
+  schema.methods.softDelete = async function (userId, deletedWith, session) {
+    this.deletedAt = new Date();
+    this.deletedBy = userId;
+    this.deletedWith = deletedWith;
+
+    //Not saving the document, so save hooks (e.g. geocoding) do not run again
+    await this.constructor.updateOne(
+      { _id: this._id },
+      {
+        deletedAt: this.deletedAt,
+        deletedBy: this.deletedBy,
+        deletedWith: this.deletedWith,
+      },
+      { session }
+    );
+
+    for (const child of cascade) {
+      const children = await mongoose
+        .model(child.model)
+        .find({ [child.foreignField]: this._id })
+        .session(session);
+
+      for (const doc of children) {
+        await doc.softDelete(userId, this._id, session);
+      }
+    }
+
+    if (options.onChange) {
+      await options.onChange(this, session);
+    }
+  };
+
+  //Take the document out of the trash, with the children that were deleted together with it
+  schema.methods.restore = async function () {
+    this.deletedAt = null;
+    this.deletedBy = undefined;
+    this.deletedWith = undefined;
+
+    await this.constructor.updateOne(
+      { _id: this._id },
+      { deletedAt: null, $unset: { deletedBy: "", deletedWith: "" } },
+      { withDeleted: true }
+    );
+
+    for (const child of cascade) {
+      const children = await mongoose
+        .model(child.model)
+        .find({ [child.foreignField]: this._id, deletedWith: this._id })
+        .setOptions({ withDeleted: true });
+
+      for (const doc of children) {
+        await doc.restore();
+      }
+    }
+
+    if (options.onChange) {
+      await options.onChange(this);
+    }
+  };
+
+  //Find a deleted document
+  schema.statics.findDeletedById = function (id) {
+    return this.findOne({ _id: id, deletedAt: { $ne: null } }).setOptions({
+      withDeleted: true,
+    });
+  };
+};
+
+module.exports = softDelete;
@@ -0,0 +1,43 @@
+const createLocalStorage = require("./local");
+const createS3Storage = require("./s3");
+
+//Storage of uploaded files, chosen with STORAGE_DRIVER (local or s3, defaults to local)
+//Files are stored by key (e.g. bootcamps/<bootcampId>/<imageId>_card.jpg) and every driver has the same methods:
+//  put(key, buffer, contentType), get(key), remove(key), list(prefix) and getSignedUrl(key, expiresIn)
+//Files are never public, they are downloaded with signed URLs which expire after SIGNED_URL_EXPIRE seconds (Defaults to 3600)
+
+const drivers = {
+  local: createLocalStorage,
+  s3: createS3Storage,
+};
+
+let storage;
+
+//Get the configured storage (Created once)
+const getStorage = () => {
+  if (!storage) {
+    const driver = process.env.STORAGE_DRIVER || "local";
+
+    if (!drivers[driver]) {
+      throw new Error(`Unknown STORAGE_DRIVER ${driver}`);
+    }
+
+    storage = drivers[driver]();
+  }
+
+  return storage;
+};
+
+//Get a signed download URL of a file
+const getFileUrl = (key) =>
+  getStorage().getSignedUrl(
+    key,
+    parseInt(process.env.SIGNED_URL_EXPIRE, 10) || 3600
+  );
+
+module.exports = {
+  getStorage,
+  getFileUrl,
+  createLocalStorage,
+  createS3Storage,
+};
@@ -0,0 +1,115 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+
+//Files on the local disk, in FILE_UPLOAD_PATH
+//Signed URLs point to GET /api/v1/files/<key> (See routes/files.js) and are signed with FILE_URL_SECRET (Defaults to JWT_SECRET)
+const createLocalStorage = ({
+  root = process.env.FILE_UPLOAD_PATH,
+  secret = process.env.FILE_URL_SECRET || process.env.JWT_SECRET,
+  baseUrl = "/api/v1/files",
+} = {}) => {
+  //Resolve a key to a path, keys can not leave the upload folder
+  const resolve = (key) => {
+    const file = path.resolve(root, key);
+
+    if (!file.startsWith(path.resolve(root) + path.sep)) {
+      throw new Error(`Invalid storage key ${key}`);
+    }
+
+    return file;
+  };
+
+  const sign = (key, expires) =>
+    crypto
+      .createHmac("sha256", secret)
+      .update(`${key}:${expires}`)
+      .digest("hex");
+
+  return {
+    name: "local",
+
+    async put(key, buffer) {
+      const file = resolve(key);
+
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      await fs.promises.writeFile(file, buffer);
+    },
+
+    //Get the contents of a file, null if it does not exist
+    async get(key) {
+      try {
+        return await fs.promises.readFile(resolve(key));
+      } catch (error) {
+        if (error.code === "ENOENT") {
+          return null;
+        }
+
+        throw error;
+      }
+    },
+
+    //Remove a file (A missing file is not an error)
+    async remove(key) {
+      try {
+        await fs.promises.unlink(resolve(key));
+      } catch (error) {
+        if (error.code !== "ENOENT") {
+          throw error;
+        }
+      }
+    },
+
+    //Keys of all files starting with the prefix
+    async list(prefix = "") {
+      let entries;
+
+      try {
+        entries = await fs.promises.readdir(root, {
+          recursive: true,
+          withFileTypes: true,
+        });
+      } catch (error) {
+        return [];
+      }
+
+      return entries
+        .filter((entry) => entry.isFile())
+        .map((entry) =>
+          path
+            .relative(
+              root,
+              path.join(entry.parentPath || entry.path, entry.name)
+            )
+            .split(path.sep)
+            .join("/")
+        )
+        .filter((key) => key.startsWith(prefix));
+    },
+
+    async getSignedUrl(key, expiresIn) {
+      const expires = Math.floor(Date.now() / 1000) + expiresIn;
+
+      return `${baseUrl}/${key}?expires=${expires}&signature=${sign(
+        key,
+        expires
+      )}`;
+    },
+
+    //Check the signature of a download
+    verifySignature(key, expires, signature) {
+      if (!/^[0-9a-f]{64}$/.test(signature || "")) {
+        return false;
+      }
+
+      const expected = Buffer.from(sign(key, expires), "hex");
+
+      return (
+        parseInt(expires, 10) > Date.now() / 1000 &&
+        crypto.timingSafeEqual(expected, Buffer.from(signature, "hex"))
+      );
+    },
+  };
+};
+
+module.exports = createLocalStorage;
@@ -0,0 +1,107 @@
+const {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  DeleteObjectCommand,
+  ListObjectsV2Command,
+} = require("@aws-sdk/client-s3");
+const { getSignedUrl } = require("@aws-sdk/s3-request-presigner");
+
+//Files in an S3 bucket, or a service with the same API (e.g. MinIO), configured in config/config.env:
+//  S3_BUCKET=skillbridge-uploads
+//  S3_REGION=us-east-1
+//  S3_ENDPOINT=http://localhost:9000   (Optional, for S3 compatible services)
+//  S3_FORCE_PATH_STYLE=true            (Optional, most S3 compatible services need it)
+//  S3_ACCESS_KEY_ID=...
+//  S3_SECRET_ACCESS_KEY=...
+const createS3Storage = ({
+  bucket = process.env.S3_BUCKET,
+  region = process.env.S3_REGION || "us-east-1",
+  endpoint = process.env.S3_ENDPOINT,
+  forcePathStyle = process.env.S3_FORCE_PATH_STYLE === "true",
+  accessKeyId = process.env.S3_ACCESS_KEY_ID,
+  secretAccessKey = process.env.S3_SECRET_ACCESS_KEY,
+} = {}) => {
+  const client = new S3Client({
+    region,
+    endpoint,
+    forcePathStyle,
+    credentials:
+      accessKeyId && secretAccessKey
+        ? { accessKeyId, secretAccessKey }
+        : undefined,
+    //Checksums are only sent when required, not every S3 compatible service supports them
+    requestChecksumCalculation: "WHEN_REQUIRED",
+    responseChecksumValidation: "WHEN_REQUIRED",
+  });
+
+  return {
+    name: "s3",
+
+    async put(key, buffer, contentType) {
+      await client.send(
+        new PutObjectCommand({
+          Bucket: bucket,
+          Key: key,
+          Body: buffer,
+          ContentType: contentType,
+        })
+      );
+    },
+
+    //Get the contents of a file, null if it does not exist
+    async get(key) {
+      try {
+        const object = await client.send(
+          new GetObjectCommand({ Bucket: bucket, Key: key })
+        );
+
+        return Buffer.from(await object.Body.transformToByteArray());
+      } catch (error) {
+        if (error.name === "NoSuchKey") {
+          return null;
+        }
+
+        throw error;
+      }
+    },
+
+    //Remove a file (S3 does not report missing files)
+    async remove(key) {
+      await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+    },
+
+    //Keys of all files starting with the prefix
+    async list(prefix = "") {
+      const keys = [];
+      let ContinuationToken;
+
+      do {
+        const page = await client.send(
+          new ListObjectsV2Command({
+            Bucket: bucket,
+            Prefix: prefix,
+            ContinuationToken,
+          })
+        );
+
+        (page.Contents || []).forEach((object) => keys.push(object.Key));
+        ContinuationToken = page.IsTruncated
+          ? page.NextContinuationToken
+          : undefined;
+      } while (ContinuationToken);
+
+      return keys;
+    },
+
+    getSignedUrl(key, expiresIn) {
+      return getSignedUrl(
+        client,
+        new GetObjectCommand({ Bucket: bucket, Key: key }),
+        { expiresIn }
+      );
+    },
+  };
+};
+
+module.exports = createS3Storage;
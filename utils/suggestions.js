@@ -0,0 +1,188 @@
+const mongoose = require("mongoose");
+const createTrie = require("./trie");
+
+//Typeahead suggestions for the search box (GET /api/v1/search/suggest)
+//Names of the published bootcamps, titles of their courses, careers and cities are kept in an in-memory trie
+//The trie is built again in the background after bootcamps or courses changed (See trackChanges), and at least every
+//SUGGEST_INDEX_TTL seconds (Defaults to 300) for changes made by other servers, requests use the old trie until then
+
+const types = ["bootcamp", "course", "career", "city"];
+
+let index; //{ trie, builtAt }
+let building; //Promise of the build in progress
+let changes = 0; //Changes since the server started
+let indexedChanges = -1; //Changes when the index was built
+
+//Lowercase without accents and extra spaces, so "Café  Boston" is found with "cafe b"
+const normalize = (text) =>
+  String(text)
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/\s+/g, " ")
+    .trim();
+
+//Count the entries with the same text (e.g. courses with the same title in several bootcamps)
+const countBy = (texts, type) => {
+  const entries = new Map();
+
+  texts.filter(Boolean).forEach((text) => {
+    const key = normalize(text);
+
+    if (!entries.has(key)) {
+      entries.set(key, { type, text, count: 0 });
+    }
+
+    entries.get(key).count++;
+  });
+
+  return [...entries.values()];
+};
+
+const buildIndex = async () => {
+  const Bootcamp = mongoose.model("Bootcamp");
+  const Course = mongoose.model("Course");
+
+  const started = changes;
+
+  //Only what everybody can see
+  const bootcamps = await Bootcamp.find(
+    await Bootcamp.visibleTo(),
+    "name slug careers location.city"
+  ).lean();
+  const courses = await Course.find(
+    { bootcamp: { $in: bootcamps.map((bootcamp) => bootcamp._id) } },
+    "title"
+  ).lean();
+
+  const entries = [
+    ...bootcamps.map((bootcamp) => ({
+      type: "bootcamp",
+      text: bootcamp.name,
+      id: bootcamp._id,
+      slug: bootcamp.slug,
+      count: 1,
+    })),
+    ...countBy(
+      courses.map((course) => course.title),
+      "course"
+    ),
+    ...countBy(
+      bootcamps.flatMap((bootcamp) => bootcamp.careers || []),
+      "career"
+    ),
+    ...countBy(
+      bootcamps.map((bootcamp) => bootcamp.location && bootcamp.location.city),
+      "city"
+    ),
+  ];
+
+  //Every word starts a key, so "Academy" also finds "Devworks Academy"
+  const trie = createTrie();
+
+  entries.forEach((entry) => {
+    const text = normalize(entry.text);
+
+    trie.insert(text, entry);
+
+    for (const match of text.matchAll(/ (?=\S)/g)) {
+      trie.insert(text.slice(match.index + 1), entry);
+    }
+  });
+
+  index = { trie, builtAt: Date.now() };
+  indexedChanges = started;
+
+  return index;
+};
+
+//Get the index, building it again in the background when it is outdated
+//Only the first request waits for the build, the next ones get the old index until the new one is ready
+const getIndex = async () => {
+  const ttl = (parseInt(process.env.SUGGEST_INDEX_TTL, 10) || 300) * 1000;
+  const outdated =
+    !index || indexedChanges !== changes || Date.now() - index.builtAt > ttl;
+
+  if (outdated && !building) {
+    building = buildIndex().finally(() => {
+      building = undefined;
+    });
+
+    //Requests waiting for the build get its error, a build in the background only logs it
+    building.catch((error) => console.log(error));
+  }
+
+  return index || building;
+};
+
+//Typos allowed in a prefix, none for short ones so "ja" does not find everything
+const maxEdits = (prefix) =>
+  prefix.length < 4 ? 0 : prefix.length < 8 ? 1 : 2;
+
+//Suggestions for a prefix: exact matches first, then by the number of bootcamps and the shortest text
+const suggest = async (prefix, { limit = 10, type } = {}) => {
+  const query = normalize(prefix);
+
+  if (!query) {
+    return [];
+  }
+
+  const { trie } = await getIndex();
+  const found = trie.search(query, maxEdits(query));
+
+  return [...found]
+    .filter(([entry]) => !type || type.includes(entry.type))
+    .sort(
+      ([a, aEdits], [b, bEdits]) =>
+        aEdits - bEdits || b.count - a.count || a.text.length - b.text.length
+    )
+    .slice(0, limit)
+    .map(([entry, edits]) => ({ ...entry, typo: edits > 0 }));
+};
+
+//Mark the index as outdated
+const invalidate = () => {
+  changes++;
+};
+
+//Check if an update changes one of the fields, e.g. { $set: { "location.city": "Boston" } } changes location
+const updatesFields = (update, fields) =>
+  Object.entries(update || {})
+    .flatMap(([key, value]) =>
+      key.startsWith("$") ? Object.keys(value || {}) : [key]
+    )
+    .some((path) =>
+      fields.some(
+        (field) =>
+          path === field ||
+          path.startsWith(`${field}.`) ||
+          field.startsWith(`${path}.`)
+      )
+    );
+
+//Mongoose plugin updating the index when documents of the schema change (Bootcamps and courses)
+//options.fields: the fields the index depends on, other changes (e.g. the average rating after a review) keep the index
+const trackChanges = (schema, options = {}) => {
+  const fields = options.fields || [];
+
+  schema.pre("save", function () {
+    this.$locals.suggestionsChanged =
+      this.isNew || fields.some((field) => this.isModified(field));
+  });
+
+  schema.post("save", function () {
+    if (this.$locals.suggestionsChanged) {
+      invalidate();
+    }
+  });
+
+  schema.post(["deleteOne", "deleteMany", "findOneAndDelete"], invalidate);
+
+  schema.post(["updateOne", "updateMany", "findOneAndUpdate"], function () {
+    if (updatesFields(this.getUpdate(), fields)) {
+      invalidate();
+    }
+  });
+};
+
+module.exports = { types, suggest, invalidate, trackChanges };
@@ -0,0 +1,95 @@
+const crypto = require("crypto");
+
+//Time-based one-time passwords (RFC 6238) as used by authenticator apps
+
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+const STEP = 30; //Seconds each code is valid for
+const DIGITS = 6;
+
+//Authenticator apps expect the shared secret as a base32 string
+const base32Encode = (buffer) => {
+  let bits = "";
+  buffer.forEach((byte) => (bits += byte.toString(2).padStart(8, "0")));
+
+  let encoded = "";
+  for (let i = 0; i < bits.length; i += 5) {
+    encoded +=
+      BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, "0"), 2)];
+  }
+  return encoded;
+};
+
+const base32Decode = (encoded) => {
+  let bits = "";
+  encoded
+    .replace(/=+$/, "")
+    .toUpperCase()
+    .split("")
+    .forEach((char) => {
+      const index = BASE32_ALPHABET.indexOf(char);
+      if (index === -1) {
+        throw new Error(`Invalid base32 character ${char}`);
+      }
+      bits += index.toString(2).padStart(5, "0");
+    });
+
+  const bytes = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8) {
+    bytes.push(parseInt(bits.slice(i, i + 8), 2));
+  }
+  return Buffer.from(bytes);
+};
+
+//HMAC-based one-time password (RFC 4226) for a given counter
+const hotp = (key, counter, digits = DIGITS) => {
+  const buffer = Buffer.alloc(8);
+  buffer.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto.createHmac("sha1", key).update(buffer).digest();
+
+  //Dynamic truncation
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const code = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** digits;
+
+  return code.toString().padStart(digits, "0");
+};
+
+//Current time step (Number of 30 second windows since the Unix epoch)
+const getStep = (time = Date.now()) => Math.floor(time / 1000 / STEP);
+
+//Generate a new random shared secret
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+//Generate the code for a secret at a point in time
+const generate = (secret, time = Date.now()) =>
+  hotp(base32Decode(secret), getStep(time));
+
+//Check a code against the secret, allowing for `window` steps of clock drift
+//Returns the matching time step (To prevent replays) or null
+const verify = (code, secret, window = 1, time = Date.now()) => {
+  if (!/^\d{6}$/.test(code)) {
+    return null;
+  }
+
+  const key = base32Decode(secret);
+  const currentStep = getStep(time);
+
+  for (let step = currentStep - window; step <= currentStep + window; step++) {
+    if (
+      crypto.timingSafeEqual(Buffer.from(hotp(key, step)), Buffer.from(code))
+    ) {
+      return step;
+    }
+  }
+  return null;
+};
+
+//URI shown as a QR code by the client to enroll an authenticator app
+const keyUri = (secret, account, issuer) =>
+  `otpauth://totp/${encodeURIComponent(issuer)}:${encodeURIComponent(
+    account
+  )}?secret=${secret}&issuer=${encodeURIComponent(
+    issuer
+  )}&algorithm=SHA1&digits=${DIGITS}&period=${STEP}`;
+
+module.exports = { generateSecret, generate, verify, keyUri };
@@ -0,0 +1,95 @@
+//Prefix tree for the typeahead suggestions (See utils/suggestions.js)
+//Keys are stored one character per node, the entries at the node where their key ends
+
+const createNode = () => ({ children: new Map(), entries: [] });
+
+const createTrie = () => {
+  const root = createNode();
+  let size = 0;
+
+  //Add an entry under a key (An entry can have several keys)
+  const insert = (key, entry) => {
+    let node = root;
+
+    for (const char of key) {
+      if (!node.children.has(char)) {
+        node.children.set(char, createNode());
+      }
+
+      node = node.children.get(char);
+    }
+
+    node.entries.push(entry);
+    size++;
+  };
+
+  //Find the entries whose keys start with the prefix, allowing maxEdits typos (Levenshtein distance)
+  //Returns a Map of the entries to the number of edits they needed
+  const search = (prefix, maxEdits = 0) => {
+    const chars = [...prefix];
+    const found = new Map();
+
+    const add = (entries, edits) => {
+      for (const entry of entries) {
+        if (!found.has(entry) || found.get(entry) > edits) {
+          found.set(entry, edits);
+        }
+      }
+    };
+
+    const collect = (node, edits) => {
+      add(node.entries, edits);
+      node.children.forEach((child) => collect(child, edits));
+    };
+
+    //row[i]: edits between the first i characters of the prefix and the key up to the node
+    //best: fewest edits between the whole prefix and the key so far, every key below the node starts with it
+    const walk = (node, row, best) => {
+      best = Math.min(best, row[chars.length]);
+      const closest = Math.min(...row);
+
+      //Going deeper can not need fewer edits
+      if (best <= maxEdits && closest >= best) {
+        return collect(node, best);
+      }
+
+      if (best <= maxEdits) {
+        add(node.entries, best);
+      } else if (closest > maxEdits) {
+        return;
+      }
+
+      node.children.forEach((child, char) => {
+        const next = [row[0] + 1];
+
+        for (let i = 1; i <= chars.length; i++) {
+          next[i] = Math.min(
+            next[i - 1] + 1,
+            row[i] + 1,
+            row[i - 1] + (chars[i - 1] === char ? 0 : 1)
+          );
+        }
+
+        walk(child, next, best);
+      });
+    };
+
+    walk(
+      root,
+      chars.map((char, index) => index).concat(chars.length),
+      Infinity
+    );
+
+    return found;
+  };
+
+  return {
+    insert,
+    search,
+    get size() {
+      return size;
+    },
+  };
+};
+
+module.exports = createTrie;
@@ -0,0 +1,194 @@
+const mongoose = require("mongoose");
+const ErrorResponse = require("./errorResponse");
+const notify = require("./notify");
+const { addImage } = require("./images");
+const { getStorage } = require("./storage");
+const { getScanner } = require("./scanners");
+const Upload = require("../models/Upload");
+
+//Every uploaded file waits in the quarantine area of the storage until it has been scanned,
+//only clean files are handed to their purpose, the uploader gets an email about the others
+//The type sent by the client is never trusted, the publishers check the content of the file
+
+//Publish a clean file for its purpose and return what it was published as
+//They throw an ErrorResponse when the file can not be used (e.g. not an image), the upload is then rejected
+const publishers = {
+  //An image in the gallery of a bootcamp (options: caption, cover)
+  bootcampImage: async (upload, file) => {
+    const bootcamp = await mongoose.model("Bootcamp").findById(upload.bootcamp);
+
+    if (!bootcamp) {
+      throw new ErrorResponse(
+        `Bootcamp ${upload.bootcamp} no longer exists`,
+        400
+      );
+    }
+
+    const image = await addImage(bootcamp, file, upload.options);
+
+    return { image: image._id };
+  },
+};
+
+//Scans fail e.g. while the scanner can not be reached, they are retried UPLOAD_SCAN_ATTEMPTS times (Defaults to 5)
+const maxAttempts = () => parseInt(process.env.UPLOAD_SCAN_ATTEMPTS, 10) || 5;
+
+//Tell the uploader why the file was not published
+const notifyUploader = async (upload) => {
+  const user = await mongoose.model("User").findById(upload.user);
+
+  if (!user) {
+    return;
+  }
+
+  const reason =
+    upload.status === "infected"
+      ? `the virus scanner found ${upload.reason}`
+      : upload.reason;
+
+  await notify(
+    user.email,
+    "Upload rejected",
+    `Your upload ${upload.originalName} was not published on SkillBridge because ${reason}. The file has been deleted.`
+  );
+};
+
+//Scan a quarantined upload and publish it when it is clean
+const processUpload = async (upload) => {
+  //Only one scan of an upload at a time (Also with several servers)
+  const claimed = await Upload.findOneAndUpdate(
+    { _id: upload._id, status: { $in: ["quarantined", "failed"] } },
+    { status: "scanning", scanStartedAt: Date.now(), $inc: { attempts: 1 } },
+    { new: true }
+  );
+
+  if (!claimed) {
+    return upload;
+  }
+
+  upload = claimed;
+
+  const storage = getStorage();
+  const scanner = getScanner();
+  const buffer = await storage.get(upload.key);
+
+  if (!buffer) {
+    upload.status = "rejected";
+    upload.reason = "the file is missing from the quarantine";
+  } else {
+    try {
+      const result = await scanner.scan(buffer);
+
+      upload.scanner = scanner.name;
+      upload.scannedAt = Date.now();
+
+      if (!result.clean) {
+        upload.status = "infected";
+        upload.reason = result.threat;
+      } else {
+        upload.result = await publishers[upload.purpose](upload, {
+          data: buffer,
+          size: buffer.length,
+        });
+        upload.status = "published";
+        upload.reason = undefined;
+      }
+    } catch (error) {
+      if (error instanceof ErrorResponse) {
+        upload.status = "rejected";
+        upload.reason = error.message;
+      } else if (upload.attempts < maxAttempts()) {
+        //The file stays in the quarantine for the next attempt (See processPendingUploads)
+        console.log(error);
+
+        upload.status = "failed";
+        upload.reason = error.message;
+        await upload.save();
+
+        return upload;
+      } else {
+        upload.status = "rejected";
+        upload.reason = "the file could not be scanned";
+      }
+    }
+  }
+
+  await storage.remove(upload.key);
+  upload.key = undefined;
+  await upload.save();
+
+  if (upload.status !== "published") {
+    await notifyUploader(upload);
+  }
+
+  return upload;
+};
+
+//Put an uploaded file (express-fileupload) into the quarantine and scan it in the background
+//fields: purpose (See publishers), user, bootcamp and the options of the purpose
+const quarantineUpload = async (file, fields) => {
+  if (!publishers[fields.purpose]) {
+    throw new Error(`Unknown upload purpose ${fields.purpose}`);
+  }
+
+  if (file.size > process.env.MAX_FILE_UPLOAD) {
+    throw new ErrorResponse(
+      `Please upload a file less than ${process.env.MAX_FILE_UPLOAD}`,
+      400
+    );
+  }
+
+  const upload = new Upload({
+    ...fields,
+    originalName: file.name,
+    mimetype: file.mimetype,
+    size: file.size,
+  });
+
+  upload.key = `quarantine/${upload._id}`;
+
+  await getStorage().put(upload.key, file.data, "application/octet-stream");
+  await upload.save();
+
+  //Not waiting for the scan, the status can be followed at GET /api/v1/uploads/:id
+  processUpload(upload).catch((error) => console.log(error));
+
+  return upload;
+};
+
+//Scan the uploads which are still waiting, e.g. after a restart or while the scanner was not reachable
+//Uploads stuck in a scan (The server stopped during it) are waiting again UPLOAD_SCAN_TIMEOUT minutes after the scan started (Defaults to 10)
+const processPendingUploads = async () => {
+  const timeout = parseInt(process.env.UPLOAD_SCAN_TIMEOUT, 10) || 10;
+  const stuck = { $lt: new Date(Date.now() - timeout * 60 * 1000) };
+
+  //Scans claimed before scanStartedAt was stored are timed from the upload
+  await Upload.updateMany(
+    {
+      status: "scanning",
+      $or: [
+        { scanStartedAt: stuck },
+        { scanStartedAt: { $exists: false }, createdAt: stuck },
+      ],
+    },
+    { status: "failed" }
+  );
+
+  const uploads = await Upload.find({
+    status: { $in: ["quarantined", "failed"] },
+    createdAt: { $lt: new Date(Date.now() - 60 * 1000) },
+  }).sort("createdAt");
+
+  for (const upload of uploads) {
+    await processUpload(upload);
+  }
+
+  return uploads.length;
+};
+
+module.exports = {
+  publishers,
+  quarantineUpload,
+  processUpload,
+  processPendingUploads,
+};